@@ -7,11 +7,50 @@
 
 const fs = require('fs');
 const path = require('path');
-const { MultiFormatWorkoutParser, EnhancedWorkoutAnalyzer } = require('./workout-parser.js');
+const {
+    MultiFormatWorkoutParser,
+    EnhancedWorkoutAnalyzer,
+    UnitConverter,
+    ParseDiagnostics,
+    WorkoutSchema,
+    WorkoutMerger,
+    WorkoutDiff,
+    ICalendarExporter,
+    MuscleTaxonomy
+} = require('./workout-parser.js');
+
+/**
+ * Get the value following a command line option, e.g. "--units imperial"
+ */
+function getOption(name) {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? process.argv[index + 1] : null;
+}
 
 // Configuration
-const CSV_FILE_PATH = process.argv[2] || 'strong8452961796350394804.csv';
+const OPTIONS_WITH_VALUES = ['--units', '--migrate', '--scheme', '--precedence', '--since', '--convert', '--plan-weeks'];
+const CSV_FILE_PATHS = process.argv.slice(2)
+    .filter((arg, i, args) => !arg.startsWith('-') && !OPTIONS_WITH_VALUES.includes(args[i - 1]));
+if (CSV_FILE_PATHS.length === 0) CSV_FILE_PATHS.push('strong8452961796350394804.csv');
+const UNIT_SYSTEM = getOption('--units') || 'metric';
+const MIGRATE_PATH = getOption('--migrate');
+const PROGRESSION_SCHEME = getOption('--scheme') || 'linear';
+// Which copy of a workout found in several files wins: order, most-sets, or a comma-separated list of files or formats
+const MERGE_PRECEDENCE = getOption('--precedence') || 'order';
+// The previous export to compare against, so only what changed since then is reported
+const PREVIOUS_PATH = getOption('--since');
+// Formats to write the parsed data back out as, e.g. "strong" or "strong,multi-section"
+const CONVERT_FORMATS = getOption('--convert') ? getOption('--convert').split(',') : [];
+// Write the sessions as an .ics calendar, with this many weeks of upcoming routine days
+const EXPORT_CALENDAR = process.argv.includes('--ics') || process.argv.includes('--plan-weeks');
+const PLAN_WEEKS = process.argv.includes('--plan-weeks')
+    ? parseInt(getOption('--plan-weeks'), 10) || ICalendarExporter.DEFAULT_PLAN_WEEKS
+    : 0;
 const OUTPUT_DIR = './output';
+const MAX_ISSUES_SHOWN = 20;
+const READ_CHUNK_SIZE = 1024 * 1024; // Bytes read from disk per chunk
+const TREND_BAR_WIDTH = 30;
+let units = null; // Display units, set up in main()
 
 /**
  * Main function to parse and analyze workout data
@@ -21,27 +60,42 @@ async function main() {
         console.log('🏋️  Workout CSV Parser - Node.js Example');
         console.log('=====================================\n');
 
-        // Check if CSV file exists
-        if (!fs.existsSync(CSV_FILE_PATH)) {
-            console.error(`❌ CSV file not found: ${CSV_FILE_PATH}`);
-            console.log('Usage: node example.js <path-to-csv-file>');
+        units = new UnitConverter(UNIT_SYSTEM);
+
+        if (MIGRATE_PATH) {
+            migrateDump(MIGRATE_PATH);
+            return;
+        }
+
+        // Check if the CSV files exist
+        const missing = CSV_FILE_PATHS.find(file => !fs.existsSync(file));
+        if (missing) {
+            console.error(`❌ CSV file not found: ${missing}`);
+            console.log('Usage: node example.js <path-to-csv-file> [more csv files to merge...]');
             process.exit(1);
         }
 
-        console.log(`📁 Reading CSV file: ${CSV_FILE_PATH}`);
-        
-        // Read the CSV file
-        const csvContent = fs.readFileSync(CSV_FILE_PATH, 'utf-8');
-        console.log(`✅ File loaded (${csvContent.length.toLocaleString()} characters)\n`);
+        const sources = [];
+        let parser = null;
+        for (const file of CSV_FILE_PATHS) {
+            parser = new MultiFormatWorkoutParser();
+            sources.push({ name: path.basename(file), data: await parseFile(parser, file) });
+        }
 
-        // Parse the workout data
-        console.log('🔄 Parsing workout data...');
-        const parser = new MultiFormatWorkoutParser();
-        const parsedData = parser.parse(csvContent);
-        console.log(`✅ Parsing completed! Format detected: ${parser.detectedFormat}\n`);
+        // Several exports (e.g. from before and after switching apps) become one dataset
+        let parsedData = sources[0].data;
+        if (sources.length > 1) {
+            const precedence = MERGE_PRECEDENCE.includes(',') ? MERGE_PRECEDENCE.split(',') : MERGE_PRECEDENCE;
+            parsedData = new WorkoutMerger({ precedence }).merge(sources);
+            parser = new MultiFormatWorkoutParser();
+            displayMerge(parsedData.merge);
+        }
+
+        // Report rows that were dropped or look wrong
+        displayDiagnostics(parsedData.diagnostics);
 
         // Create analyzer
-        const analyzer = new EnhancedWorkoutAnalyzer(parsedData);
+        const analyzer = new EnhancedWorkoutAnalyzer(parsedData, { unitSystem: UNIT_SYSTEM });
 
         // Display summary statistics
         displaySummary(parser, parsedData);
@@ -49,8 +103,19 @@ async function main() {
         // Display detailed analysis
         displayDetailedAnalysis(analyzer);
         
+        // Compare with the previous export
+        let changes = null;
+        if (PREVIOUS_PATH) {
+            if (!fs.existsSync(PREVIOUS_PATH)) {
+                throw new Error(`Previous export not found: ${PREVIOUS_PATH}`);
+            }
+            const previousData = await parseFile(new MultiFormatWorkoutParser(), PREVIOUS_PATH);
+            changes = new WorkoutDiff({ unitSystem: UNIT_SYSTEM }).compare(previousData, parsedData);
+            displayChanges(changes);
+        }
+        
         // Export results
-        await exportResults(parsedData, analyzer);
+        await exportResults(parsedData, analyzer, changes);
         
         console.log('\n🎉 Analysis completed successfully!');
 
@@ -60,6 +125,128 @@ async function main() {
     }
 }
 
+/**
+ * Stream a CSV file through a parser so large exports never sit in memory as one string
+ */
+async function parseFile(parser, file) {
+    const fileSize = fs.statSync(file).size;
+    console.log(`📁 Reading CSV file: ${file} (${formatBytes(fileSize)})`);
+    console.log('🔄 Parsing workout data...');
+    
+    const parsedData = await parser.parseStream(
+        fs.createReadStream(file, { highWaterMark: READ_CHUNK_SIZE }),
+        { totalSize: fileSize, onProgress: displayProgress }
+    );
+    if (process.stdout.isTTY) process.stdout.write('\n');
+    console.log(`✅ Parsing completed! Format detected: ${parser.detectedFormat}\n`);
+    
+    return parsedData;
+}
+
+/**
+ * Display which workouts each file contributed to a merge
+ */
+function displayMerge(merge) {
+    console.log('🔗 MERGED FILES');
+    console.log('===============');
+    merge.sources.forEach(source => {
+        console.log(`${source.name} (${source.format}): ${source.kept} of ${source.workouts} workouts kept, ${source.duplicates} duplicate(s)`);
+    });
+    merge.duplicates.slice(0, MAX_ISSUES_SHOWN).forEach(duplicate => {
+        console.log(`   - ${new Date(duplicate.kept.date).toDateString()}: kept workout ${duplicate.kept.sourceId} from ${duplicate.kept.source}, skipped workout ${duplicate.dropped.sourceId} from ${duplicate.dropped.source}`);
+    });
+    if (merge.duplicates.length > MAX_ISSUES_SHOWN) {
+        console.log(`   ... and ${merge.duplicates.length - MAX_ISSUES_SHOWN} more`);
+    }
+    console.log('');
+}
+
+/**
+ * Display what changed since the previous export
+ */
+function displayChanges(changes) {
+    const summary = changes.summary;
+    
+    console.log('🆕 CHANGES SINCE THE PREVIOUS EXPORT');
+    console.log('====================================');
+    console.log(`Workouts: ${summary.added} added, ${summary.removed} removed, ${summary.changed} edited, ${summary.unchanged} unchanged`);
+    console.log(`Sets: ${summary.setsAdded} added, ${summary.setsRemoved} removed, ${summary.setsChanged} edited`);
+    console.log(`New records: ${summary.newRecords}`);
+    
+    changes.changelog.slice(-MAX_ISSUES_SHOWN).forEach(entry => {
+        console.log(`   - ${entry.text}`);
+    });
+    if (changes.changelog.length > MAX_ISSUES_SHOWN) {
+        console.log(`   ... and ${changes.changelog.length - MAX_ISSUES_SHOWN} earlier changes`);
+    }
+    console.log('');
+}
+
+/**
+ * Draw a progress bar for the streaming parse (only on an interactive terminal)
+ */
+function displayProgress(progress) {
+    if (!process.stdout.isTTY || progress.percent === null) return;
+    
+    const width = 30;
+    const filled = Math.round((progress.percent / 100) * width);
+    const bar = '█'.repeat(filled) + '░'.repeat(width - filled);
+    
+    process.stdout.write(`\r   [${bar}] ${progress.percent.toFixed(1)}% · ${progress.rows.toLocaleString()} rows`);
+}
+
+/**
+ * Format a byte count for display
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Format a record event's value with its unit
+ */
+function formatRecord(event) {
+    if (event.type === 'reps') return `${event.value} reps`;
+    if (event.type === 'distance') return `${event.value} ${units.distanceUnit}`;
+    
+    const label = { weight: 'heaviest set', e1rm: 'e1RM', volume: 'volume' }[event.type];
+    return `${event.value}${units.weightUnit} ${label}`;
+}
+
+/**
+ * Display parse diagnostics (dropped rows and warnings)
+ */
+function displayDiagnostics(diagnostics) {
+    if (!diagnostics) return;
+    
+    console.log('🩺 DATA ISSUES');
+    console.log('==============');
+    console.log(`Rows kept: ${diagnostics.rowsKept} of ${diagnostics.rowsRead}`);
+    
+    Object.entries(diagnostics.sections).forEach(([section, counts]) => {
+        console.log(`  ${section}: ${counts.kept}/${counts.read} rows kept`);
+    });
+    
+    const issues = diagnostics.errors.concat(diagnostics.warnings);
+    if (issues.length === 0) {
+        console.log('No data issues found.\n');
+        return;
+    }
+    
+    console.log(`${diagnostics.errors.length} error(s), ${diagnostics.warnings.length} warning(s):`);
+    issues.slice(0, MAX_ISSUES_SHOWN).forEach(issue => {
+        const icon = issue.level === 'error' ? '❌' : '⚠️ ';
+        console.log(`  ${icon} ${ParseDiagnostics.formatIssue(issue)}`);
+    });
+    
+    if (issues.length > MAX_ISSUES_SHOWN) {
+        console.log(`  ... and ${issues.length - MAX_ISSUES_SHOWN} more (see workout-data.json)`);
+    }
+    console.log('');
+}
+
 /**
  * Display summary statistics
  */
@@ -68,12 +255,15 @@ function displaySummary(parser, data) {
     console.log('====================');
     
     parser.data = data; // Set the data
-    const summary = parser.getSummary();
+    const summary = parser.getSummary({ unitSystem: UNIT_SYSTEM });
     
     console.log(`Total Workouts: ${summary.totalWorkouts}`);
     console.log(`Total Exercises: ${summary.totalExercises}`);
     console.log(`Total Sets: ${summary.totalSets}`);
-    console.log(`Total Volume: ${Math.round(summary.totalVolume).toLocaleString()} kg×reps`);
+    console.log(`Total Volume: ${Math.round(summary.totalVolume).toLocaleString()} ${summary.units.volume}`);
+    if (summary.sourceUnits) {
+        console.log(`Recorded Units: ${summary.sourceUnits.weight}, ${summary.sourceUnits.distance}`);
+    }
     console.log(`Average Workout Time: ${summary.avgWorkoutTime} minutes`);
     console.log(`Unique Exercises: ${summary.exerciseTypes.length}`);
     
@@ -103,10 +293,41 @@ function displayDetailedAnalysis(analyzer) {
         .sort((a, b) => b[1].weight - a[1].weight)
         .slice(0, 10);
     
-    topRecords.forEach(([exercise, record], index) => {
-        console.log(`${index + 1}. ${exercise}: ${record.weight}kg × ${record.reps} reps (${new Date(record.date).toDateString()})`);
+    topRecords.forEach(([, record], index) => {
+        console.log(`${index + 1}. ${record.name}: ${record.weight}${units.weightUnit} × ${record.reps} reps (${new Date(record.date).toDateString()})`);
     });
     
+    // Estimated 1RM
+    console.log('\n🧮 Estimated 1RM (Top 10, Epley):');
+    const e1rmRecords = analyzer.getEstimatedOneRepMaxRecords();
+    Object.entries(e1rmRecords)
+        .sort((a, b) => b[1].value - a[1].value)
+        .slice(0, 10)
+        .forEach(([, record], index) => {
+            console.log(`${index + 1}. ${record.name}: ${record.value}${units.weightUnit} e1RM from ${record.weight}${units.weightUnit} × ${record.reps} reps (${new Date(record.date).toDateString()})`);
+        });
+    
+    // Records timeline
+    console.log('\n🥇 Recent Records:');
+    const timeline = analyzer.getRecordTimeline();
+    if (timeline.length > 0) {
+        timeline.slice(-10).reverse().forEach(event => {
+            console.log(`${new Date(event.date).toDateString()}  ${event.name}: ${formatRecord(event)} (was ${event.previous})`);
+        });
+        
+        const bestSessions = analyzer.getRecordsBySession()
+            .filter(session => session.count > 0)
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 3);
+        console.log(`Most records in one session: ${bestSessions.map(session => `${session.count} on ${new Date(session.date).toDateString()}`).join(', ')}`);
+        
+        analyzer.getDaysSinceLastRecord().slice(0, 5).forEach(lift => {
+            console.log(`⏳ ${lift.name}: ${lift.days} days since the last record`);
+        });
+    } else {
+        console.log('No records broken yet — every exercise needs a second session to beat.');
+    }
+    
     // Workout Consistency
     console.log('\n📅 Workout Consistency:');
     const consistency = analyzer.getWorkoutConsistency();
@@ -118,29 +339,192 @@ function displayDetailedAnalysis(analyzer) {
         console.log('Not enough data to calculate consistency metrics.');
     }
     
+    const streaks = analyzer.getConsistency();
+    if (streaks.totalSessions > 0) {
+        const favoriteDay = streaks.dayOfWeek.reduce((best, day) => day.sessions > best.sessions ? day : best);
+        const favoriteTime = streaks.timeOfDay.reduce((best, period) => period.sessions > best.sessions ? period : best);
+        console.log(`Week streak (${streaks.weeklyTarget}+ sessions): ${streaks.weekStreak.current} current, ${streaks.weekStreak.longest} longest`);
+        console.log(`Day streak: ${streaks.dayStreak.current} current, ${streaks.dayStreak.longest} longest`);
+        console.log(`Trained on ${streaks.activeDays} of ${streaks.calendar.length} days, most often on ${favoriteDay.day} (${favoriteDay.share}%) in the ${favoriteTime.period} (${favoriteTime.share}%)`);
+        if (streaks.missedWeeks.length > 0) {
+            console.log(`Missed the target in ${streaks.missedWeeks.length} weeks, most recently the week of ${streaks.missedWeeks[streaks.missedWeeks.length - 1].weekStart}`);
+        }
+    }
+    
+    // Effort (RPE)
+    console.log('\n🎚️  Effort (RPE):');
+    const intensity = analyzer.getIntensityDistribution();
+    if (intensity.ratedSets > 0) {
+        intensity.zones.forEach(zone => {
+            console.log(`${zone.label.padEnd(24)} ${String(zone.sets).padStart(5)} sets (${zone.share}%)`);
+        });
+        console.log(`${intensity.unratedSets} working sets have no RPE.`);
+        
+        analyzer.getRPEDrift().slice(0, 5).forEach(flag => {
+            console.log(`⚠️  ${flag.name}: ${flag.weight}${units.weightUnit} × ${flag.reps} went from RPE ${flag.previousRPE} to ${flag.rpe} (${new Date(flag.date).toDateString()})`);
+        });
+    } else {
+        console.log('No sets with an RPE were logged.');
+    }
+    
+    // Exercises that stopped progressing
+    console.log('\n🚦 Needs Attention (e1RM trend over the last 6 sessions):');
+    const needsAttention = analyzer.getNeedsAttention();
+    if (needsAttention.length > 0) {
+        needsAttention.slice(0, 10).forEach(trend => {
+            const since = `best e1RM ${trend.best.value}${units.weightUnit} on ${new Date(trend.stalledSince).toDateString()}, ${trend.sessionsSinceBest} sessions ago`;
+            console.log(`${trend.rank}. ${trend.name}: ${trend.status} (${trend.percentPerWeek > 0 ? '+' : ''}${trend.percentPerWeek}%/week, ${since})`);
+        });
+    } else {
+        console.log('No lifts are plateaued or regressing.');
+    }
+    
+    // Next Session Targets
+    console.log(`\n🎯 Next Session Targets (${PROGRESSION_SCHEME} progression):`);
+    const recommendations = analyzer.getRecommendations({ scheme: PROGRESSION_SCHEME });
+    if (recommendations.length > 0) {
+        recommendations.forEach(recommendation => {
+            const target = recommendation.weight === null
+                ? `${recommendation.sets}×${recommendation.reps}`
+                : `${recommendation.sets}×${recommendation.reps} @ ${recommendation.weight}${units.weightUnit}`;
+            const rpe = recommendation.targetRPE ? ` RPE ${recommendation.targetRPE}` : '';
+            console.log(`${recommendation.day ? `[${recommendation.day}] ` : ''}${recommendation.name}: ${target}${rpe} (${recommendation.action})`);
+            console.log(`   ${recommendation.reason}`);
+        });
+    } else {
+        console.log('No planned exercises found.');
+    }
+    
+    // Routine Adherence (multi-section exports carry the plan)
+    const adherence = analyzer.getRoutineAdherence();
+    if (adherence && adherence.routines.length > 0) {
+        console.log('\n📋 Routine Adherence:');
+        adherence.routines.forEach(routine => {
+            const sets = routine.setCompletion === null ? 'no planned sets' : `${routine.setCompletion}% of planned sets`;
+            const reps = routine.repCompletion === null ? '' : `, ${routine.repCompletion}% of planned reps`;
+            console.log(`${routine.name}: ${routine.completedDays}/${routine.plannedDays} days done (${routine.dayCompletion}%), ${sets}${reps}`);
+        });
+        adherence.exercises
+            .filter(exercise => exercise.status === 'partial' || exercise.status === 'skipped')
+            .forEach(exercise => {
+                console.log(`${exercise.status === 'skipped' ? '⏭️ ' : '⚠️ '} [${exercise.day}] ${exercise.name}: ${exercise.performedSets}/${exercise.plannedSets} sets (${exercise.status})`);
+            });
+        const recentWeeks = adherence.weeks.slice(-4);
+        if (recentWeeks.length > 0) {
+            console.log(`Sessions per week: ${recentWeeks.map(week => `${week.weekStart} ${week.completedSessions}/${week.plannedSessions}`).join(' | ')}`);
+        }
+    }
+    
     // Top Exercises by Volume
     console.log('\n💪 Top Exercises by Total Volume:');
-    const exerciseVolumes = {};
-    analyzer.data.exercises.forEach(exercise => {
-        const name = exercise.exercisename;
-        if (name && exercise.totalVolume) {
-            exerciseVolumes[name] = (exerciseVolumes[name] || 0) + exercise.totalVolume;
-        }
+    const topExercises = analyzer.query().groupBy('exercise')
+        .filter(group => group.volume > 0)
+        .sort((a, b) => b.volume - a.volume)
+        .slice(0, 10);
+    
+    topExercises.forEach((group, index) => {
+        console.log(`${index + 1}. ${group.label}: ${Math.round(group.volume).toLocaleString()} ${units.weightUnit}×reps`);
     });
     
-    const topExercises = Object.entries(exerciseVolumes)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 10);
+    // Cardio
+    const cardioEfforts = analyzer.getCardioBestEfforts();
+    if (Object.keys(cardioEfforts).length > 0) {
+        console.log('\n🏃 Cardio Best Efforts:');
+        Object.values(cardioEfforts).forEach(activity => {
+            const longest = activity.longestDistance
+                ? `longest ${units.formatDistance(activity.longestDistance.distanceMeters)}`
+                : `longest ${UnitConverter.formatDuration(activity.longestDuration.durationSeconds)}`;
+            const fastest = Object.entries(activity.fastest)
+                .map(([label, effort]) => `${label} ${UnitConverter.formatDuration(effort.timeSeconds)}${effort.estimated ? '*' : ''}`)
+                .join(', ');
+            console.log(`${activity.name} (${activity.sessions} sessions): ${longest}${fastest ? `; fastest ${fastest}` : ''}`);
+        });
+        
+        const cardioWeeks = analyzer.getCardioSeries({ interval: 'week' }).slice(-4);
+        console.log('Last 4 weeks: ' + cardioWeeks
+            .map(week => `${week.label} ${week.distance} ${units.distanceUnit} in ${week.durationMinutes} min`)
+            .join(' | '));
+        console.log('* estimated from the average pace of a longer effort');
+    }
     
-    topExercises.forEach(([exercise, volume], index) => {
-        console.log(`${index + 1}. ${exercise}: ${Math.round(volume).toLocaleString()} kg×reps`);
+    // Muscle Group Balance
+    const balance = analyzer.getMuscleGroupBalance();
+    console.log(`\n⚖️  Weekly Sets per Muscle Group (${balance.weeks} weeks, secondary muscles count half):`);
+    Object.values(balance.groups)
+        .sort((a, b) => b.setsPerWeek - a.setsPerWeek)
+        .forEach(group => {
+            console.log(`${group.label.padEnd(12)} ${String(group.setsPerWeek).padStart(5)} sets/week (${group.share}%)`);
+        });
+    
+    // Weekly Volume Trend
+    console.log('\n📊 Weekly Volume (last 12 weeks):');
+    const weeks = analyzer.getVolumeSeries({ interval: 'week' }).slice(-12);
+    const maxVolume = Math.max(0, ...weeks.map(week => week.volume));
+    weeks.forEach(week => {
+        const bar = '█'.repeat(maxVolume > 0 ? Math.round((week.volume / maxVolume) * TREND_BAR_WIDTH) : 0);
+        console.log(`${week.label}  ${bar.padEnd(TREND_BAR_WIDTH)} ${Math.round(week.volume).toLocaleString()} ${units.weightUnit}×reps (${week.sessions} sessions)`);
     });
 }
 
+/**
+ * Write parsed data as JSON one array item at a time
+ * A single JSON.stringify() of a multi-hundred-MB export can exceed the maximum string length.
+ */
+function writeJSONFile(filePath, data) {
+    const fd = fs.openSync(filePath, 'w');
+    const keys = Object.keys(data);
+    
+    try {
+        fs.writeSync(fd, '{\n');
+        keys.forEach((key, keyIndex) => {
+            const value = data[key];
+            const separator = keyIndex < keys.length - 1 ? ',' : '';
+            
+            if (!Array.isArray(value)) {
+                const json = JSON.stringify(value, null, 2).replace(/\n/g, '\n  ');
+                fs.writeSync(fd, `  ${JSON.stringify(key)}: ${json}${separator}\n`);
+                return;
+            }
+            
+            fs.writeSync(fd, `  ${JSON.stringify(key)}: [`);
+            value.forEach((item, index) => {
+                const json = JSON.stringify(item, null, 2).replace(/\n/g, '\n    ');
+                fs.writeSync(fd, `${index > 0 ? ',' : ''}\n    ${json}`);
+            });
+            fs.writeSync(fd, `${value.length > 0 ? '\n  ' : ''}]${separator}\n`);
+        });
+        fs.writeSync(fd, '}\n');
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Upgrade an old workout-data.json dump (or an older canonical document) to the current schema
+ */
+function migrateDump(filePath) {
+    if (!fs.existsSync(filePath)) {
+        console.error(`❌ JSON file not found: ${filePath}`);
+        process.exit(1);
+    }
+    
+    console.log(`📁 Migrating JSON dump: ${filePath}`);
+    const doc = WorkoutSchema.migrate(fs.readFileSync(filePath, 'utf-8'));
+    
+    if (!fs.existsSync(OUTPUT_DIR)) {
+        fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    }
+    
+    const canonicalPath = path.join(OUTPUT_DIR, 'workout-canonical.json');
+    writeJSONFile(canonicalPath, doc);
+    console.log(`✅ ${doc.workouts.length} workouts, ${doc.exercises.length} exercises and ${doc.notes.length} notes (${doc.source.format})`);
+    console.log(`🗂️  Canonical data (schema v${WorkoutSchema.VERSION}) exported to: ${canonicalPath}`);
+}
+
 /**
  * Export results to files
  */
-async function exportResults(data, analyzer) {
+async function exportResults(data, analyzer, changes) {
     console.log('\n💾 EXPORTING RESULTS');
     console.log('===================');
     
@@ -151,14 +535,19 @@ async function exportResults(data, analyzer) {
     
     // Export full parsed data as JSON
     const jsonPath = path.join(OUTPUT_DIR, 'workout-data.json');
-    fs.writeFileSync(jsonPath, JSON.stringify(data, null, 2));
+    writeJSONFile(jsonPath, data);
     console.log(`📄 Full data exported to: ${jsonPath}`);
     
+    // Export the canonical, versioned document for other tools
+    const canonicalPath = path.join(OUTPUT_DIR, 'workout-canonical.json');
+    writeJSONFile(canonicalPath, WorkoutSchema.fromParsedData(data));
+    console.log(`🗂️  Canonical data (schema v${WorkoutSchema.VERSION}) exported to: ${canonicalPath}`);
+    
     // Export summary report
     const summaryPath = path.join(OUTPUT_DIR, 'workout-summary.json');
     const parser = new MultiFormatWorkoutParser();
     parser.data = data;
-    const summary = parser.getSummary();
+    const summary = parser.getSummary({ unitSystem: UNIT_SYSTEM });
     fs.writeFileSync(summaryPath, JSON.stringify(summary, null, 2));
     console.log(`📊 Summary exported to: ${summaryPath}`);
     
@@ -168,31 +557,59 @@ async function exportResults(data, analyzer) {
     fs.writeFileSync(recordsPath, JSON.stringify(records, null, 2));
     console.log(`🏆 Personal records exported to: ${recordsPath}`);
     
+    // Export the record timeline
+    const timelinePath = path.join(OUTPUT_DIR, 'record-timeline.json');
+    fs.writeFileSync(timelinePath, JSON.stringify(analyzer.getRecordTimeline(), null, 2));
+    console.log(`🥇 Record timeline exported to: ${timelinePath}`);
+    
+    // Export the changes since the previous export
+    if (changes) {
+        const changesPath = path.join(OUTPUT_DIR, 'changes.json');
+        fs.writeFileSync(changesPath, JSON.stringify(changes, null, 2));
+        console.log(`🆕 Changes since the previous export exported to: ${changesPath}`);
+    }
+    
+    // Write the data back out in other apps' formats
+    CONVERT_FORMATS.forEach(format => {
+        const convertedPath = path.join(OUTPUT_DIR, `workouts-${format}.csv`);
+        fs.writeFileSync(convertedPath, new MultiFormatWorkoutParser().serialize(data, format));
+        console.log(`🔁 ${format} CSV exported to: ${convertedPath}`);
+    });
+    
+    // Export the sessions (and upcoming routine days) for calendar apps
+    if (EXPORT_CALENDAR) {
+        const calendarPath = path.join(OUTPUT_DIR, 'workouts.ics');
+        fs.writeFileSync(calendarPath, new ICalendarExporter({ unitSystem: UNIT_SYSTEM, planWeeks: PLAN_WEEKS }).toICS(data));
+        console.log(`📅 Calendar exported to: ${calendarPath}`);
+    }
+    
     // Export exercise progress data
     const progressPath = path.join(OUTPUT_DIR, 'exercise-progress.json');
     const progressData = {};
     
-    // Get progress for top exercises
-    const exerciseVolumes = {};
-    data.exercises.forEach(exercise => {
-        const name = exercise.exercisename;
-        if (name && exercise.totalVolume) {
-            exerciseVolumes[name] = (exerciseVolumes[name] || 0) + exercise.totalVolume;
-        }
-    });
-    
-    const topExercises = Object.entries(exerciseVolumes)
-        .sort((a, b) => b[1] - a[1])
+    // Get progress for top exercises, counting every name an exercise was recorded under
+    const topExercises = analyzer.query().groupBy('exercise')
+        .filter(group => group.volume > 0)
+        .sort((a, b) => b.volume - a.volume)
         .slice(0, 10)
-        .map(([name]) => name);
+        .map(group => group.key);
     
-    topExercises.forEach(exerciseName => {
-        progressData[exerciseName] = analyzer.getExerciseProgress(exerciseName);
+    topExercises.forEach(exerciseId => {
+        progressData[exerciseId] = analyzer.getExerciseProgress(exerciseId);
     });
     
     fs.writeFileSync(progressPath, JSON.stringify(progressData, null, 2));
     console.log(`📈 Exercise progress exported to: ${progressPath}`);
     
+    // Export volume time series for charting
+    const seriesPath = path.join(OUTPUT_DIR, 'volume-series.json');
+    const series = {
+        week: analyzer.getVolumeSeries({ interval: 'week' }),
+        month: analyzer.getVolumeSeries({ interval: 'month' })
+    };
+    fs.writeFileSync(seriesPath, JSON.stringify(series, null, 2));
+    console.log(`📊 Volume series exported to: ${seriesPath}`);
+    
     // Export CSV report
     const csvReportPath = path.join(OUTPUT_DIR, 'workout-report.csv');
     const csvReport = generateCSVReport(data, analyzer);
@@ -208,13 +625,14 @@ function generateCSVReport(data, analyzer) {
         'Exercise Name',
         'Total Sessions',
         'Total Sets',
-        'Total Volume',
-        'Max Weight',
+        `Total Volume (${units.weightUnit}×reps)`,
+        `Max Weight (${units.weightUnit})`,
         'Last Performed',
         'Body Part'
     ];
     
     const exerciseStats = {};
+    const taxonomy = new MuscleTaxonomy({ catalog: analyzer.catalog });
     
     data.exercises.forEach(exercise => {
         const name = exercise.exercisename;
@@ -227,7 +645,7 @@ function generateCSVReport(data, analyzer) {
                 volume: 0,
                 maxWeight: 0,
                 lastPerformed: null,
-                bodyPart: exercise.bodypart || 'Unknown'
+                bodyPart: MuscleTaxonomy.getLabel(taxonomy.classify(exercise).primary[0])
             };
         }
         
@@ -254,8 +672,8 @@ function generateCSVReport(data, analyzer) {
             `"${name}"`,
             stats.sessions,
             stats.sets,
-            Math.round(stats.volume),
-            stats.maxWeight,
+            Math.round(units.weight(stats.volume)),
+            UnitConverter.round(units.weight(stats.maxWeight), 1),
             stats.lastPerformed ? stats.lastPerformed.toISOString().split('T')[0] : '',
             stats.bodyPart
         ].join(',');
@@ -269,11 +687,18 @@ function generateCSVReport(data, analyzer) {
  * Show usage information
  */
 function showUsage() {
-    console.log('Usage: node example.js <path-to-csv-file>');
+    console.log('Usage: node example.js <path-to-csv-file> [--units metric|imperial] [--scheme linear|double|rpe]');
+    console.log('       node example.js <path-to-csv-file> --convert strong|multi-section');
+    console.log('       node example.js <path-to-csv-file> --ics [--plan-weeks <weeks>]');
+    console.log('       node example.js --migrate <old-workout-data.json>');
     console.log('');
     console.log('Example:');
     console.log('  node example.js strong8452961796350394804.csv');
-    console.log('  node example.js /path/to/your/workout/data.csv');
+    console.log('  node example.js /path/to/your/workout/data.csv --units imperial');
+    console.log('  node example.js /path/to/your/workout/data.csv --scheme double');
+    console.log('  node example.js hevy_workouts.csv --convert strong');
+    console.log('  node example.js advanced-workout-data.csv --ics --plan-weeks 4');
+    console.log('  node example.js --migrate output/workout-data.json');
     console.log('');
     console.log('The script will parse the CSV file and generate analysis reports in the ./output directory.');
 }
@@ -23,6 +23,11 @@ async function testBothFormats() {
             path: 'c:\\Users\\David\\Downloads\\asafkedem_20250806.csv',
             name: 'Multi-Section Format', 
             expectedFormat: 'multi-section'
+        },
+        {
+            path: 'hevy_workouts.csv',
+            name: 'Hevy App Format',
+            expectedFormat: 'hevy'
         }
     ];
 
@@ -63,11 +68,11 @@ async function testBothFormats() {
             if (recordCount > 0) {
                 const topRecord = Object.entries(records)
                     .sort((a, b) => b[1].weight - a[1].weight)[0];
-                console.log(`   🥇 Top PR: ${topRecord[0]} - ${topRecord[1].weight}kg × ${topRecord[1].reps} reps`);
+                console.log(`   🥇 Top PR: ${topRecord[1].name} - ${topRecord[1].weight}kg × ${topRecord[1].reps} reps`);
             }
             
             // Format-specific tests
-            if (parser.detectedFormat === 'strong') {
+            if (parser.detectedFormat === 'strong' || parser.detectedFormat === 'hevy') {
                 const cardio = analyzer.getCardioExercises();
                 const strength = analyzer.getStrengthExercises();
                 console.log(`   🏃 Cardio Exercises: ${cardio.length}`);
@@ -3,7 +3,29 @@
  * This script tests the parser with sample data to ensure it works correctly
  */
 
-const { WorkoutParser, WorkoutAnalyzer } = require('./workout-parser.js');
+const {
+    WorkoutParser,
+    WorkoutAnalyzer,
+    MultiFormatWorkoutParser,
+    EnhancedWorkoutAnalyzer,
+    OneRepMaxCalculator,
+    ProgressionPlanner,
+    ConsistencyTracker,
+    RPEScale,
+    FormatRegistry,
+    CSVTokenizer,
+    UnitConverter,
+    LocalDate,
+    SessionLinker,
+    ParseDiagnostics,
+    WorkoutSchema,
+    ExerciseCatalog,
+    MuscleTaxonomy,
+    WorkoutMerger,
+    WorkoutDiff,
+    WorkoutSerializer,
+    ICalendarExporter
+} = require('./workout-parser.js');
 
 // Sample CSV data for testing
 const sampleCSV = `
@@ -42,7 +64,133 @@ row_id,TIMESTAMP,USERID,_id,eid,belongSys,mynote,title,mydate,logTime,label,body
 ######################################################
 `;
 
-function runTests() {
+// Sample Hevy app CSV data for testing
+const sampleHevyCSV = `"title","start_time","end_time","description","exercise_title","superset_id","exercise_notes","set_index","set_type","weight_kg","reps","distance_km","duration_seconds","rpe"
+"Upper A","25 Jun 2024, 18:05","25 Jun 2024, 19:10","","Bench Press (Barbell)",,"",0,"warmup",60,10,,,
+"Upper A","25 Jun 2024, 18:05","25 Jun 2024, 19:10","","Bench Press (Barbell)",,"",1,"normal",90,5,,,8
+"Upper A","25 Jun 2024, 18:05","25 Jun 2024, 19:10","","Rowing Machine",,"",0,"normal",,,2.5,600,
+`;
+
+// Sample Strong app CSV data for testing
+const sampleStrongCSV = `"Workout #";"Date";"Workout Name";"Duration (sec)";"Exercise Name";"Set Order";"Weight (kg)";"Reps";"RPE";"Distance (meters)";"Seconds";"Notes";"Workout Notes"
+"1";"2024-08-06 13:59:53";"Push Day";"3600";"Bench Press (Barbell)";"1";"80.0";"8";"7";"";"";"";""
+"1";"2024-08-06 13:59:53";"Push Day";"3600";"Bench Press (Barbell)";"2";"100.0";"1";"9";"";"";"";""
+"1";"2024-08-06 13:59:53";"Push Day";"3600";"Running";"1";"";"";"";"2000.0";"600.0";"";""
+"2";"2024-08-13 18:00:00";"Push Day";"3500";"Bench Press (Barbell)";"1";"95.0";"8";"9";"";"";"";""
+`;
+
+// Sample Strong export with a progressing squat, a plateaued bench press and a regressing deadlift
+const sampleTrendCSV = `"Workout #";"Date";"Workout Name";"Duration (sec)";"Exercise Name";"Set Order";"Weight (kg)";"Reps";"RPE";"Distance (meters)";"Seconds";"Notes";"Workout Notes"
+"1";"2024-09-02 18:00:00";"Full Body";"3600";"Squat (Barbell)";"1";"100";"5";"";"";"";"";""
+"1";"2024-09-02 18:00:00";"Full Body";"3600";"Bench Press (Barbell)";"1";"80";"5";"";"";"";"";""
+"1";"2024-09-02 18:00:00";"Full Body";"3600";"Deadlift (Barbell)";"1";"150";"5";"";"";"";"";""
+"2";"2024-09-09 18:00:00";"Full Body";"3600";"Squat (Barbell)";"1";"102.5";"5";"";"";"";"";""
+"2";"2024-09-09 18:00:00";"Full Body";"3600";"Bench Press (Barbell)";"1";"82.5";"5";"";"";"";"";""
+"2";"2024-09-09 18:00:00";"Full Body";"3600";"Deadlift (Barbell)";"1";"150";"5";"";"";"";"";""
+"3";"2024-09-16 18:00:00";"Full Body";"3600";"Squat (Barbell)";"1";"105";"5";"";"";"";"";""
+"3";"2024-09-16 18:00:00";"Full Body";"3600";"Bench Press (Barbell)";"1";"85";"5";"";"";"";"";""
+"3";"2024-09-16 18:00:00";"Full Body";"3600";"Deadlift (Barbell)";"1";"145";"5";"";"";"";"";""
+"4";"2024-09-23 18:00:00";"Full Body";"3600";"Squat (Barbell)";"1";"107.5";"5";"";"";"";"";""
+"4";"2024-09-23 18:00:00";"Full Body";"3600";"Bench Press (Barbell)";"1";"85";"5";"";"";"";"";""
+"4";"2024-09-23 18:00:00";"Full Body";"3600";"Deadlift (Barbell)";"1";"140";"5";"";"";"";"";""
+"5";"2024-09-30 18:00:00";"Full Body";"3600";"Squat (Barbell)";"1";"110";"5";"";"";"";"";""
+"5";"2024-09-30 18:00:00";"Full Body";"3600";"Bench Press (Barbell)";"1";"85";"5";"";"";"";"";""
+"5";"2024-09-30 18:00:00";"Full Body";"3600";"Deadlift (Barbell)";"1";"140";"5";"";"";"";"";""
+"6";"2024-10-07 18:00:00";"Full Body";"3600";"Squat (Barbell)";"1";"112.5";"5";"";"";"";"";""
+"6";"2024-10-07 18:00:00";"Full Body";"3600";"Bench Press (Barbell)";"1";"85";"5";"";"";"";"";""
+"6";"2024-10-07 18:00:00";"Full Body";"3600";"Deadlift (Barbell)";"1";"135";"5";"";"";"";"";""
+`;
+
+// Sample Strong export where the same squat load felt harder a week later, with one invalid RPE
+const sampleRPECSV = `"Workout #";"Date";"Workout Name";"Duration (sec)";"Exercise Name";"Set Order";"Weight (kg)";"Reps";"RPE";"Distance (meters)";"Seconds";"Notes";"Workout Notes"
+"1";"2024-09-02 18:00:00";"A";"3600";"Squat (Barbell)";"1";"100";"5";"7";"";"";"";""
+"1";"2024-09-02 18:00:00";"A";"3600";"Squat (Barbell)";"2";"100";"5";"7.5";"";"";"";""
+"2";"2024-09-09 18:00:00";"A";"3600";"Squat (Barbell)";"1";"100";"5";"8.5";"";"";"";""
+"2";"2024-09-09 18:00:00";"A";"3600";"Squat (Barbell)";"2";"100";"5";"14";"";"";"";""
+"3";"2024-09-16 18:00:00";"A";"3600";"Squat (Barbell)";"1";"105";"5";"";"";"";"";""
+`;
+
+// Sample Strong export with runs, a row, a timed plank and an activity the catalog doesn't know
+const sampleCardioCSV = `"Workout #";"Date";"Workout Name";"Duration (sec)";"Exercise Name";"Set Order";"Weight (kg)";"Reps";"RPE";"Distance (meters)";"Seconds";"Notes";"Workout Notes"
+"1";"2024-09-02 07:00:00";"Run";"1800";"Running";"1";"";"";"";"5000";"1500";"";""
+"2";"2024-09-04 07:00:00";"Run";"3600";"Running";"1";"";"";"";"10000";"3300";"";""
+"3";"2024-09-05 07:00:00";"Row";"900";"Rowing Machine";"1";"";"";"";"2000";"480";"";""
+"4";"2024-09-10 07:00:00";"Run";"1200";"Running";"1";"";"";"";"3000";"840";"";""
+"5";"2024-09-11 07:00:00";"Core";"600";"Plank";"1";"";"";"";"";"90";"";""
+"5";"2024-09-11 07:00:00";"Core";"600";"Mystery Trail";"1";"";"";"";"1500";"600";"";""
+`;
+
+// Seconds since the epoch for a local wall-clock time, so epoch columns match the local TIMESTAMP columns
+const localEpoch = (localTime) => Math.floor(new Date(localTime.replace(' ', 'T')).getTime() / 1000);
+
+// Sample multi-section export with a three-day routine: Push done with one short exercise, Pull done
+// with one exercise skipped, Legs not trained yet. Pull's session links by date only (day_id 0).
+const sampleRoutineCSV = `
+### SETTING ##########################################
+
+row_id,USERID,TIMESTAMP,gender,currentRoutine,DOB,name,length,mass,dbversion,vibration,alarm,timer,sets,targetrep,age,zonedifference,location,use_location,screenon,auto_lock,lastlogs,preloadreps,exp_level,fit_goal,audio_reminder,audio_exercise_tips,audio_personal_tips
+1,1,"2024-09-01 06:00:00",M,1,1990-01-01,," cm"," kg",,,,120,3,10,0,2,,0,1,1,0,0,1,0,0,0,0
+
+######################################################
+
+### ROUTINES #########################################
+
+row_id,USERID,TIMESTAMP,_id,name,difficulty,focus,dayaweek,description,daytype,tags,rdb_id,bannerCode,progression_flag
+1,1,"2024-09-01 06:00:00",1,"Push Pull Legs",1,2,3,,1," ",0,,0
+
+row_id,USERID,TIMESTAMP,package,_id,name,day,dayIndex,interval_mode,rest_day,week,sort_order,day_completed_timestamp
+11,1,"2024-09-01 06:00:00",1,1,"Push",1,1,0,0,0,0,"2024-09-02 19:00:00"
+12,1,"2024-09-01 06:00:00",1,2,"Pull",2,2,0,0,0,0,"2024-09-04 19:10:00"
+13,1,"2024-09-01 06:00:00",1,3,"Legs",3,3,0,0,0,0,
+
+row_id,USERID,TIMESTAMP,belongSys,superset,_id,exercise_id,belongplan,exercisename,setcount,timer,logs,bodypart,mysort,targetrep,setdone,setdonetime,interval_time,interval_unit,rest_time_enabled,interval_time_enabled
+21,1,"2024-09-02 19:00:00",1,0,1,1,1,"Barbell Bench Press",4,60,"80x8,80x8,80x8,80x8",0,0,8,0,${localEpoch('2024-09-02 18:50:00')},0,sec,1,0
+22,1,"2024-09-02 19:00:00",1,0,2,2,1,"Overhead Press",3,60,"40x10,40x8",0,0,10,0,${localEpoch('2024-09-02 19:00:00')},0,sec,1,0
+23,1,"2024-09-04 19:00:00",1,0,3,3,2,"Barbell Row",4,60,"60x10,60x10,60x10,60x12",0,0,10,0,${localEpoch('2024-09-04 19:00:00')},0,sec,1,0
+24,1,"2024-09-04 19:00:00",1,0,4,4,2,"Dumbbell Curl",3,60,"",0,0,12,0,0,0,sec,1,0
+25,1,"2024-09-01 06:00:00",1,0,5,5,3,"Barbell Squat",5,60,"",0,0,5,0,0,0,sec,1,0
+
+######################################################
+
+### WORKOUT SESSIONS #################################
+
+rowid,_id,USERID,edit_time,day_id,total_time,workout_time,rest_time,wasted_time,total_exercise,total_weight,recordbreak,starttime,endtime,workout_mode,TIMESTAMP,calories
+31,${localEpoch('2024-09-02 18:00:00')},1,${localEpoch('2024-09-02 19:00:00')},1,3600,3000,600,0,2,3600,0,${localEpoch('2024-09-02 18:00:00')},${localEpoch('2024-09-02 19:00:00')},0,"2024-09-02 19:00:00",0
+32,${localEpoch('2024-09-04 18:03:20')},1,${localEpoch('2024-09-04 19:00:00')},0,3400,3000,400,0,1,2520,0,${localEpoch('2024-09-04 18:03:20')},${localEpoch('2024-09-04 19:00:00')},0,"2024-09-04 19:00:00",0
+
+######################################################
+`;
+
+// Sample multi-section sessions: two logged with the same start time and one without a start time
+const sampleUndatedCSV = `
+### WORKOUT SESSIONS #################################
+
+rowid,_id,USERID,edit_time,day_id,total_time,workout_time,rest_time,wasted_time,total_exercise,total_weight,recordbreak,starttime,endtime,workout_mode,TIMESTAMP,calories
+31,1,1,0,0,3600,3000,600,0,2,3600,0,${localEpoch('2024-09-02 18:00:00')},${localEpoch('2024-09-02 19:00:00')},0,"2024-09-02 19:00:00",0
+32,2,1,0,0,3600,3000,600,0,2,3600,0,${localEpoch('2024-09-02 18:00:00')},${localEpoch('2024-09-02 19:00:00')},0,"2024-09-02 19:00:00",0
+33,3,1,0,0,3400,3000,400,0,1,2520,0,,,0,"",0
+
+######################################################
+`;
+
+// Sample Strong export with set notes and a workout note
+const sampleNotesCSV = `"Workout #";"Date";"Workout Name";"Duration (sec)";"Exercise Name";"Set Order";"Weight (kg)";"Reps";"RPE";"Distance (meters)";"Seconds";"Notes";"Workout Notes"
+"1";"2024-09-02 18:00:00";"Push";"3600";"Bench Press (Barbell)";"1";"80";"8";"";"";"";"Paused reps";"Felt strong today"
+"1";"2024-09-02 18:00:00";"Push";"3600";"Bench Press (Barbell)";"2";"80";"8";"";"";"";"";"Felt strong today"
+"1";"2024-09-02 18:00:00";"Push";"3600";"Overhead Press (Barbell)";"1";"50";"5";"";"";"";"Left shoulder pinch";"Felt strong today"
+"2";"2024-09-09 18:00:00";"Push";"3600";"Bench Press (Barbell)";"1";"82.5";"8";"";"";"";"Shoulder fine, wider grip";""
+"2";"2024-09-09 18:00:00";"Push";"3600";"Overhead Press (Barbell)";"1";"50";"6";"";"";"";"";""
+`;
+
+// Sample Hevy export that logged the first Strong sample workout again, plus a later workout
+const sampleOverlapHevyCSV = `"title","start_time","end_time","description","exercise_title","superset_id","exercise_notes","set_index","set_type","weight_kg","reps","distance_km","duration_seconds","rpe"
+"Push","06 Aug 2024, 14:05","06 Aug 2024, 15:00","Good session","Barbell Bench Press",,"",0,"normal",80,8,,,
+"Push","06 Aug 2024, 14:05","06 Aug 2024, 15:00","Good session","Barbell Bench Press",,"",1,"normal",100,1,,,
+"Push","06 Aug 2024, 14:05","06 Aug 2024, 15:00","Good session","Barbell Bench Press",,"",2,"normal",70,10,,,
+"Legs","20 Aug 2024, 18:00","20 Aug 2024, 19:00","","Squat (Barbell)",,"",0,"normal",120,5,,,
+`;
+
+async function runTests() {
     console.log('🧪 Running Workout CSV Parser Tests');
     console.log('===================================\n');
 
@@ -109,6 +257,919 @@ function runTests() {
         console.log('✅ JSON export and re-import works');
         console.log(`   - Exported size: ${jsonOutput.length.toLocaleString()} characters\n`);
 
+        // Test 6: Estimated 1RM
+        console.log('Test 6: Estimated 1RM and rep-range records...');
+        const strongParser = new MultiFormatWorkoutParser();
+        const strongAnalyzer = new EnhancedWorkoutAnalyzer(strongParser.parse(sampleStrongCSV));
+
+        const epley = new OneRepMaxCalculator().estimate(100, 5);
+        if (Math.abs(epley - 116.67) > 0.01) {
+            throw new Error(`Epley estimate for 100kg × 5 should be 116.67, got ${epley}`);
+        }
+
+        const benchE1RM = strongAnalyzer.getEstimatedOneRepMaxRecords()['barbell-bench-press'];
+        if (benchE1RM.weight !== 95 || benchE1RM.reps !== 8) {
+            throw new Error('95kg × 8 should outrank 100kg × 1 by estimated 1RM');
+        }
+
+        const benchRepRecords = strongAnalyzer.getRepRangeRecords()['barbell-bench-press'];
+        if (benchRepRecords['1RM'].weight !== 100 || benchRepRecords['5RM'].weight !== 95) {
+            throw new Error('Rep-range records should track the heaviest weight for at least N reps');
+        }
+
+        const benchHistory = strongAnalyzer.getEstimatedOneRepMaxHistory('Bench Press (Barbell)', { formula: 'rpe' });
+        console.log('✅ Estimated 1RM works');
+        console.log(`   - Bench e1RM: ${benchE1RM.value}kg from ${benchE1RM.weight}kg × ${benchE1RM.reps}`);
+        console.log(`   - Bench e1RM history: ${benchHistory.map(point => point.estimated1RM).join(' → ')}kg\n`);
+
+        // Test 7: Hevy format
+        console.log('Test 7: Hevy format parsing...');
+        const hevyParser = new MultiFormatWorkoutParser();
+        const hevyData = hevyParser.parse(sampleHevyCSV);
+
+        if (hevyParser.detectedFormat !== 'hevy') {
+            throw new Error(`Expected hevy format, got ${hevyParser.detectedFormat}`);
+        }
+        if (hevyData.workoutSessions.length !== 1 || hevyData.workoutSessions[0].total_time !== 3900) {
+            throw new Error('Hevy rows should be grouped into one 65 minute workout');
+        }
+
+        const hevyBench = hevyData.exercises.find(ex => ex.exercisename === 'Bench Press (Barbell)');
+        const hevyRow = hevyData.exercises.find(ex => ex.exercisename === 'Rowing Machine');
+        if (hevyBench.sets[0].setNumber !== 1 || hevyBench.sets[0].setType !== 'warmup') {
+            throw new Error('Hevy set_index should map to one-based set numbers with set types kept');
+        }
+        if (hevyRow.sets[0].distance !== 2500) {
+            throw new Error('Hevy distance_km should be converted to meters');
+        }
+        console.log('✅ Hevy format parsing works');
+        console.log(`   - Exercises: ${hevyData.exercises.length}, sets: ${hevyBench.totalSets + hevyRow.totalSets}\n`);
+
+        // Test 8: Format registry
+        console.log('Test 8: Format registry and detection...');
+        const registryParser = new MultiFormatWorkoutParser();
+        registryParser.parse(sampleCSV);
+        if (registryParser.detectedFormat !== 'multi-section') {
+            throw new Error(`Expected multi-section format, got ${registryParser.detectedFormat}`);
+        }
+
+        const registry = FormatRegistry.withDefaults().register({
+            name: 'simple',
+            label: 'Simple Log',
+            detect: lines => (lines[0] === 'exercise,weight,reps' ? 1 : 0),
+            parse: csvContent => csvContent.trim().split('\n').slice(1).map(line => line.split(',')),
+            normalize: rows => ({
+                exercises: rows.map(([name, weight, reps]) => ({
+                    exercisename: name,
+                    sets: [{ setNumber: 1, weight: +weight, reps: +reps, volume: weight * reps }]
+                })),
+                workoutSessions: [],
+                format: 'simple'
+            })
+        });
+        const customParser = new MultiFormatWorkoutParser({ registry });
+        const customData = customParser.parse('exercise,weight,reps\nDeadlift,140,5\n');
+        if (customParser.detectedFormat !== 'simple' || customData.exercises[0].sets[0].weight !== 140) {
+            throw new Error('Custom format adapters should be detected and used');
+        }
+
+        const forcedData = new MultiFormatWorkoutParser().parse(sampleStrongCSV, { format: 'strong' });
+        if (forcedData.format !== 'strong') {
+            throw new Error('Forcing a format should skip detection');
+        }
+
+        let detectionError = null;
+        try {
+            new MultiFormatWorkoutParser().parse('just,some,unrelated\ncsv,data,here');
+        } catch (error) {
+            detectionError = error;
+        }
+        if (!detectionError) {
+            throw new Error('Unrecognized files should not silently fall back to a format');
+        }
+        console.log('✅ Format registry works');
+        console.log(`   - Candidates: ${customParser.formatCandidates.map(c => `${c.format}=${c.confidence}`).join(', ')}\n`);
+
+        // Test 9: CSV tokenizer
+        console.log('Test 9: CSV tokenizer with multi-line quoted fields...');
+        const multiLineNote = sampleCSV.replace('"Chair on distance 3"', '"Chair on distance 3\r\nSeat at 5, back at 2"');
+        const multiLineData = new WorkoutParser().parse(multiLineNote);
+        if (multiLineData.notes.length !== 1 || multiLineData.notes[0].mynote !== 'Chair on distance 3\nSeat at 5, back at 2') {
+            throw new Error('Notes containing newlines should stay in one row');
+        }
+
+        const strongWithNote = '\uFEFF' + sampleStrongCSV
+            .replace(/\n/g, '\r\n')
+            .replace('"";""\r\n"1";"2024-08-06 13:59:53";"Push Day";"3600";"Running"', '"Paused\r\nfirst rep";""\r\n"1";"2024-08-06 13:59:53";"Push Day";"3600";"Running"');
+        const strongNoteData = new MultiFormatWorkoutParser().parse(strongWithNote);
+        const strongBench = strongNoteData.exercises.find(ex => ex.exercisename === 'Bench Press (Barbell)');
+        if (strongBench.sets[1].notes !== 'Paused\nfirst rep' || strongNoteData.exercises.length !== 3) {
+            throw new Error('Strong set notes containing newlines should stay in one row');
+        }
+
+        if (CSVTokenizer.sniffDelimiter('a;b;c\n1;"2;3";4') !== ';' || CSVTokenizer.sniffDelimiter('a\tb\n1\t2') !== '\t') {
+            throw new Error('Delimiter sniffing should pick the delimiter outside quotes');
+        }
+
+        const chunked = new CSVTokenizer({ delimiter: 'auto' });
+        let chunkedRecords = [];
+        for (let i = 0; i < strongWithNote.length; i += 7) {
+            chunkedRecords = chunkedRecords.concat(chunked.push(strongWithNote.slice(i, i + 7)));
+        }
+        chunkedRecords = chunkedRecords.concat(chunked.flush());
+        const wholeRecords = new CSVTokenizer({ delimiter: 'auto' }).tokenize(strongWithNote);
+        if (JSON.stringify(chunkedRecords) !== JSON.stringify(wholeRecords)) {
+            throw new Error('Chunked tokenizing should match tokenizing the whole file');
+        }
+        console.log('✅ CSV tokenizer works');
+        console.log(`   - Records: ${wholeRecords.length}, last starts on line ${wholeRecords[wholeRecords.length - 1].line}\n`);
+
+        // Test 10: Unit normalization
+        console.log('Test 10: Unit normalization...');
+        const imperialStrongCSV = sampleStrongCSV
+            .replace('"Weight (kg)"', '"Weight (lbs)"')
+            .replace('"Distance (meters)"', '"Distance (miles)"')
+            .replace('"2000.0"', '"1.5"');
+        const imperialData = new MultiFormatWorkoutParser().parse(imperialStrongCSV);
+        const imperialBench = imperialData.exercises.find(ex => ex.exercisename === 'Bench Press (Barbell)').sets[0];
+        const imperialRun = imperialData.exercises.find(ex => ex.exercisename === 'Running').sets[0];
+
+        if (imperialData.sourceUnits.weight !== 'lb' || imperialBench.originalWeight !== 80 ||
+            Math.abs(imperialBench.weight - 36.287) > 0.001) {
+            throw new Error('Weight (lbs) should be converted to kilograms and the original value kept');
+        }
+        if (Math.abs(imperialRun.distance - 2414.016) > 0.001) {
+            throw new Error('Distance (miles) should be converted to meters');
+        }
+
+        const imperialAnalyzer = new EnhancedWorkoutAnalyzer(imperialData, { unitSystem: 'imperial' });
+        if (imperialAnalyzer.getPersonalRecords()['barbell-bench-press'].weight !== 100) {
+            throw new Error('Imperial analyzer should report weights in pounds');
+        }
+
+        const poundsData = new WorkoutParser().parse(sampleCSV.replace('" kg"', '" lbs"'));
+        if (poundsData.sourceUnits.weight !== 'lb' || poundsData.exercises[0].sets[1].originalWeight !== 70) {
+            throw new Error('Multi-section mass setting should drive the source weight unit');
+        }
+
+        const imperial = new UnitConverter('imperial');
+        console.log('✅ Unit normalization works');
+        console.log(`   - 100kg displays as ${imperial.formatWeight(100)}, 5000m as ${imperial.formatDistance(5000)}\n`);
+
+        // Test 11: Parse diagnostics
+        console.log('Test 11: Parse diagnostics...');
+        const messyCSV = sampleCSV
+            .replace('"20x10,70x5', '"20x10,abc,70x5')
+            .replace('### NOTES', '### MEASUREMENTS ######\nfoo,bar\n\n### NOTES');
+        const messyData = new WorkoutParser().parse(messyCSV);
+        const messyReport = messyData.diagnostics;
+
+        if (!messyReport.warnings.some(w => w.reason.includes('"abc"') && w.section === 'routines' && w.line)) {
+            throw new Error('Unparseable set logs should be reported with their line and section');
+        }
+        if (!messyReport.warnings.some(w => w.reason.includes('Unknown section "MEASUREMENTS"'))) {
+            throw new Error('Unknown sections should be reported');
+        }
+        if (messyReport.sections.unknown.read !== 1 || messyReport.sections.unknown.kept !== 0) {
+            throw new Error('Rows dropped from unknown sections should be counted');
+        }
+
+        const brokenStrongCSV = sampleStrongCSV.replace('"2024-08-13 18:00:00"', '"not a date"') + '"3";"2024-08-20 18:00:00"\n';
+        const brokenReport = new MultiFormatWorkoutParser().parse(brokenStrongCSV).diagnostics;
+        if (brokenReport.errors.length !== 2 || brokenReport.sections.strong.read !== 5 || brokenReport.sections.strong.kept !== 3) {
+            throw new Error('Dropped Strong rows should be reported as errors');
+        }
+        console.log('✅ Parse diagnostics work');
+        brokenReport.errors.forEach(error => console.log(`   - ${ParseDiagnostics.formatIssue(error)}`));
+        console.log('');
+
+        // Test 12: Streaming parse
+        console.log('Test 12: Streaming chunked parsing...');
+        const withoutTimestamps = data => JSON.stringify(data, (key, value) => key === 'parsedAt' ? undefined : value);
+        
+        for (const csvContent of [sampleCSV, sampleHevyCSV, brokenStrongCSV]) {
+            const expected = withoutTimestamps(new MultiFormatWorkoutParser().parse(csvContent));
+            const progress = [];
+            const stream = new MultiFormatWorkoutParser().createParseStream({
+                totalSize: csvContent.length,
+                onProgress: event => progress.push(event)
+            });
+            
+            for (let i = 0; i < csvContent.length; i += 7) {
+                stream.write(csvContent.slice(i, i + 7));
+            }
+            
+            if (withoutTimestamps(stream.end()) !== expected) {
+                throw new Error('Chunked parse should match parse() on the whole content');
+            }
+            if (progress.length === 0 || progress[progress.length - 1].percent !== 100) {
+                throw new Error('Progress should be reported up to 100%');
+            }
+        }
+        
+        const encoded = new TextEncoder().encode(sampleStrongCSV.replace('Bench Press', 'Développé couché'));
+        const byteChunks = [];
+        for (let i = 0; i < encoded.length; i += 5) {
+            byteChunks.push(encoded.slice(i, i + 5)); // Splits the multi-byte "é" between chunks
+        }
+        const streamedData = await new MultiFormatWorkoutParser().parseStream((async function* () {
+            yield* byteChunks;
+        })());
+        if (!streamedData.exercises.some(exercise => exercise.exercisename === 'Développé couché (Barbell)')) {
+            throw new Error('UTF-8 characters split across chunks should be decoded');
+        }
+        console.log('✅ Streaming parse matches parse() and reports progress');
+        console.log('');
+
+        // Test 13: Canonical schema
+        console.log('Test 13: Canonical schema, validation and migration...');
+        for (const csvContent of [sampleCSV, sampleHevyCSV, sampleStrongCSV]) {
+            const parsed = new MultiFormatWorkoutParser().parse(csvContent);
+            const doc = WorkoutSchema.fromParsedData(parsed);
+            const { valid, errors } = WorkoutSchema.validate(doc);
+            
+            if (!valid) {
+                throw new Error(`Canonical document should be valid: ${JSON.stringify(errors[0])}`);
+            }
+            if (JSON.stringify(WorkoutSchema.fromParsedData(new MultiFormatWorkoutParser().parse(csvContent)).workouts) !== JSON.stringify(doc.workouts)) {
+                throw new Error('IDs should be stable across parses');
+            }
+            // Old example.js dumps are the parsed data serialized without a schema version
+            if (JSON.stringify(WorkoutSchema.migrate(JSON.stringify(parsed))) !== JSON.stringify(doc)) {
+                throw new Error('Migrating a JSON dump should give the same document');
+            }
+        }
+        
+        const strongDoc = WorkoutSchema.fromParsedData(new MultiFormatWorkoutParser().parse(sampleStrongCSV));
+        const firstExercise = strongDoc.exercises[0];
+        if (strongDoc.workouts.length !== 2 || firstExercise.workoutId !== strongDoc.workouts[0].id || firstExercise.sets[0].rpe !== 7) {
+            throw new Error('Strong exercises should be linked to their workout with numeric RPE');
+        }
+        
+        const brokenDoc = JSON.parse(JSON.stringify(strongDoc));
+        brokenDoc.exercises[0].workoutId = 'w_missing';
+        brokenDoc.exercises[0].sets[0].reps = '8';
+        const brokenPaths = WorkoutSchema.validate(brokenDoc).errors.map(error => error.path);
+        if (!brokenPaths.includes('exercises[0].workoutId') || !brokenPaths.includes('exercises[0].sets[0].reps')) {
+            throw new Error('Validator should report invalid references and field types');
+        }
+        
+        const undatedDoc = WorkoutSchema.fromParsedData(new MultiFormatWorkoutParser().parse(sampleUndatedCSV));
+        if (new Set(undatedDoc.workouts.map(workout => workout.id)).size !== 3 || undatedDoc.workouts[2].startedAt !== null) {
+            throw new Error('Sessions with the same start should get distinct IDs and undated sessions should sort last');
+        }
+        if (!WorkoutSchema.validate(undatedDoc).valid) {
+            throw new Error('A document with an undated workout should be valid');
+        }
+        
+        let rejectedNewer = false;
+        try {
+            WorkoutSchema.migrate({ schemaVersion: WorkoutSchema.VERSION + 1 });
+        } catch (error) {
+            rejectedNewer = error.message.includes('Unsupported schema version');
+        }
+        if (!rejectedNewer) {
+            throw new Error('Documents from a newer schema version should be rejected');
+        }
+        console.log('✅ Canonical schema works');
+        console.log('');
+
+        // Test 14: Exercise catalog
+        console.log('Test 14: Exercise name normalization and aliases...');
+        const catalog = new ExerciseCatalog({ aliases: { 'Old Bench': 'Bench Press (Barbell)', 'Leg Day Curl': 'Nordic Curl' } });
+        const expectedIds = {
+            'Bench Press (Barbell)': 'barbell-bench-press',
+            'Barbell Bench Press': 'barbell-bench-press',
+            'barbell  bench-press': 'barbell-bench-press',
+            'Bench Pres (Barbel)': 'barbell-bench-press',
+            'Incline Bench Press (Barbell)': 'incline-barbell-bench-press',
+            'Barbell Deadlift': 'barbell-deadlift',
+            'Pull-Ups': 'pull-up',
+            'Old Bench': 'barbell-bench-press',
+            'Leg Day Curl': 'custom:curl-nordic',
+            'Zercher Carry': 'custom:carry-zercher'
+        };
+        Object.entries(expectedIds).forEach(([name, id]) => {
+            if (catalog.resolve(name).id !== id) {
+                throw new Error(`"${name}" should resolve to ${id}, got ${catalog.resolve(name).id}`);
+            }
+        });
+        if (catalog.resolve('Bench Pres (Barbel)').match !== 'fuzzy') {
+            throw new Error('Typos should be reported as fuzzy matches');
+        }
+        
+        const renamedCSV = sampleStrongCSV + '"3";"2024-08-20 18:00:00";"Push Day";"3500";"Barbell Bench Press";"1";"105.0";"3";"";"";"";"";""\n';
+        const renamedAnalyzer = new EnhancedWorkoutAnalyzer(new MultiFormatWorkoutParser().parse(renamedCSV));
+        const benchRecord = renamedAnalyzer.getPersonalRecords()['barbell-bench-press'];
+        if (benchRecord.weight !== 105 || benchRecord.name !== 'Bench Press (Barbell)' || benchRecord.originalName !== 'Barbell Bench Press') {
+            throw new Error('Renamed exercises should share one record keyed by exercise ID, keeping the original names');
+        }
+        if (renamedAnalyzer.getExerciseProgress('Barbell Bench Press').length !== 3) {
+            throw new Error('Progress should include entries recorded under every alias');
+        }
+        const renamedParser = new MultiFormatWorkoutParser();
+        renamedParser.data = renamedAnalyzer.data;
+        if (renamedParser.getSummary().exerciseTypes.length !== 2) {
+            throw new Error('Aliases should count as one unique exercise');
+        }
+        console.log('✅ Exercise catalog works');
+        console.log(`   - ${renamedAnalyzer.getExercises().map(exercise => `${exercise.id}: ${exercise.originalNames.join(' / ')}`).join(', ')}`);
+        console.log('');
+
+        // Test 15: Muscle-group taxonomy
+        console.log('Test 15: Muscle-group taxonomy and weekly muscle volume...');
+        const taxonomy = new MuscleTaxonomy();
+        const benchClass = taxonomy.classify('Bench Press (Barbell)');
+        if (benchClass.primary[0] !== 'chest' || !benchClass.secondary.includes('triceps') || benchClass.equipment !== 'barbell') {
+            throw new Error('Catalog exercises should have primary/secondary muscles and equipment');
+        }
+        const cableRaise = taxonomy.classify('Lateral Raise (Cable)');
+        if (cableRaise.primary[0] !== 'shoulders' || cableRaise.equipment !== 'cable') {
+            throw new Error('Names outside the catalog should be classified from keywords and the equipment suffix');
+        }
+        if (taxonomy.classify({ exercisename: 'Mystery Move', bodypart: 0 }).primary[0] !== 'back') {
+            throw new Error('Multi-section body-part codes should be used as a fallback, including code 0');
+        }
+        
+        const strongByBodyPart = new MultiFormatWorkoutParser();
+        strongByBodyPart.data = strongAnalyzer.data;
+        if (strongByBodyPart.getExercisesByBodyPart().unknown) {
+            throw new Error('Strong exercises should not land in "unknown"');
+        }
+        
+        const weeklyMuscles = strongAnalyzer.getMuscleGroupVolumeByWeek();
+        if (weeklyMuscles.length !== 2 || weeklyMuscles[0].groups.chest.sets !== 2 || weeklyMuscles[0].groups.triceps.sets !== 1) {
+            throw new Error('Weekly muscle sets should credit primary muscles fully and secondary muscles by half');
+        }
+        const hevyWeek = new EnhancedWorkoutAnalyzer(new MultiFormatWorkoutParser().parse(sampleHevyCSV)).getMuscleGroupVolumeByWeek()[0];
+        if (hevyWeek.groups.chest.sets !== 1) {
+            throw new Error('Warm-up sets should not count as working sets');
+        }
+        const balance = strongAnalyzer.getMuscleGroupBalance();
+        if (balance.weeks !== 2 || balance.groups.chest.setsPerWeek !== 1.5) {
+            throw new Error('Muscle balance should average sets over the weeks');
+        }
+        console.log('✅ Muscle-group taxonomy works');
+        console.log(`   - ${Object.values(balance.groups).map(group => `${group.label}: ${group.setsPerWeek}/wk`).join(', ')}`);
+        console.log('');
+
+        // Test 16: Time-bucketed volume series
+        console.log('Test 16: Daily, weekly, monthly and block volume series...');
+        const dailySeries = strongAnalyzer.getVolumeSeries({ interval: 'day' });
+        if (dailySeries.length !== 8 || dailySeries[1].volume !== 0 || dailySeries[1].sessions !== 0) {
+            throw new Error('Daily series should cover every day and zero-fill rest days');
+        }
+        const weeklySeries = strongAnalyzer.getVolumeSeries();
+        if (weeklySeries.length !== 2 || weeklySeries[0].label !== '2024-W32' || weeklySeries[0].start !== '2024-08-05' || weeklySeries[0].end !== '2024-08-11') {
+            throw new Error('Weekly buckets should be ISO weeks starting on Monday');
+        }
+        if (weeklySeries[0].volume !== 740 || weeklySeries[0].reps !== 9 || weeklySeries[0].sessions !== 1 || weeklySeries[0].durationMinutes !== 60) {
+            throw new Error('Weekly buckets should total volume, reps, sessions and duration');
+        }
+        const monthlyBench = strongAnalyzer.getVolumeSeries({ interval: 'month', exercise: 'Bench Press (Barbell)' });
+        if (monthlyBench.length !== 1 || monthlyBench[0].label !== '2024-08' || monthlyBench[0].sets !== 3 || monthlyBench[0].volume !== 1500) {
+            throw new Error('Series should be filterable by exercise');
+        }
+        const blockSeries = strongAnalyzer.getVolumeSeries({ interval: 'block', blockWeeks: 1 });
+        if (blockSeries.length !== 2 || blockSeries[1].label !== 'Block 2') {
+            throw new Error('Block buckets should span the requested number of weeks');
+        }
+        const hevySeries = new EnhancedWorkoutAnalyzer(new MultiFormatWorkoutParser().parse(sampleHevyCSV)).getVolumeSeries({ muscleGroup: 'chest' });
+        if (hevySeries[0].sets !== 1 || hevySeries[0].tonnage <= hevySeries[0].volume) {
+            throw new Error('Tonnage should include warm-up sets while volume and sets should not');
+        }
+        console.log('✅ Volume series work');
+        console.log(`   - ${weeklySeries.map(week => `${week.label}: ${week.volume}kg×reps`).join(', ')}`);
+        console.log('');
+
+        // Test 17: Training load
+        console.log('Test 17: Training load, ACWR, monotony and strain...');
+        const trainingLoad = strongAnalyzer.getTrainingLoad();
+        if (trainingLoad.sessions.length !== 2 || trainingLoad.sessions[0].rpe !== 8 || trainingLoad.sessions[0].load !== 480) {
+            throw new Error('Session load should be average working-set RPE × minutes');
+        }
+        const loadNow = trainingLoad.current;
+        if (trainingLoad.days.length !== 8 || loadNow.acute !== 522 || loadNow.chronic !== 250.5 || loadNow.acwr !== 2.08) {
+            throw new Error('Acute load should sum 7 days and chronic load should be the weekly average over 28 days');
+        }
+        if (loadNow.chronicComplete || trainingLoad.flags.length !== 0) {
+            throw new Error('ACWR should not be flagged before the chronic window is full');
+        }
+        const shortWindows = strongAnalyzer.getTrainingLoad({ acuteDays: 1, chronicDays: 7, thresholds: { acwrLow: null, monotonyHigh: null } });
+        if (shortWindows.flags.length !== 1 || shortWindows.flags[0].type !== 'acwr-high' || shortWindows.flags[0].date !== '2024-08-13') {
+            throw new Error('Spikes beyond the configured threshold should be flagged');
+        }
+        if (strongAnalyzer.getTrainingLoad({ method: 'volume' }).sessions[0].load !== 740) {
+            throw new Error('Volume method should use working-set volume as load');
+        }
+        console.log('✅ Training load works');
+        console.log(`   - ACWR ${loadNow.acwr}, monotony ${loadNow.monotony}, strain ${loadNow.strain}`);
+        console.log('');
+
+        // Test 18: Plateau and regression detection
+        console.log('Test 18: Exercise trends and needs-attention ranking...');
+        const trendAnalyzer = new EnhancedWorkoutAnalyzer(new MultiFormatWorkoutParser().parse(sampleTrendCSV));
+        const trends = trendAnalyzer.getExerciseTrends();
+        if (trends['barbell-squat'].status !== 'progressing' || trends['barbell-squat'].stalledSince !== null) {
+            throw new Error('A lift with a new best every session should be progressing');
+        }
+        const benchTrend = trends['barbell-bench-press'];
+        if (benchTrend.status !== 'plateaued' || LocalDate.dayKey(new Date(benchTrend.stalledSince)) !== '2024-09-16' || benchTrend.sessionsSinceBest !== 3) {
+            throw new Error('A lift without a new best for 3 sessions should be plateaued since its last best');
+        }
+        const deadliftTrend = trends['barbell-deadlift'];
+        if (deadliftTrend.status !== 'regressing' || deadliftTrend.percentPerWeek >= 0 || deadliftTrend.slopePerSession >= 0) {
+            throw new Error('A declining lift should be regressing with a negative slope');
+        }
+        const attention = trendAnalyzer.getNeedsAttention();
+        if (attention.length !== 2 || attention[0].exerciseId !== 'barbell-deadlift' || attention[1].rank !== 2) {
+            throw new Error('Needs-attention list should rank regressing lifts before plateaus');
+        }
+        if (strongAnalyzer.getExerciseTrend('Bench Press (Barbell)').status !== 'insufficient-data') {
+            throw new Error('Lifts with fewer than 3 sessions should not be classified');
+        }
+        if (trendAnalyzer.getExerciseTrend('Bench Press (Barbell)', { metric: 'topSet' }).best.value !== 85) {
+            throw new Error('Top-set metric should track the heaviest weight');
+        }
+        console.log('✅ Exercise trends work');
+        console.log(`   - ${attention.map(trend => `#${trend.rank} ${trend.name} (${trend.status})`).join(', ')}`);
+        console.log('');
+
+        // Test 19: Progressive overload recommendations
+        console.log('Test 19: Progressive overload recommendations...');
+        const planned = new EnhancedWorkoutAnalyzer(parsedData).getRecommendations();
+        if (planned.length !== 1 || planned[0].routine !== 'Barbell Focused Plan' || planned[0].day !== 'Back deadlift' || planned[0].sets !== 6 || planned[0].reps !== 8) {
+            throw new Error('Multi-section routines should supply the planned sets and reps');
+        }
+        if (planned[0].action !== 'repeat' || planned[0].weight !== 100 || !planned[0].reason.includes('100×5, 100×4, 100×3')) {
+            throw new Error('Linear progression should repeat a weight that missed the planned reps and explain why');
+        }
+        
+        const linear = new ProgressionPlanner({ scheme: 'linear' });
+        const hit = linear.recommend({ sets: 3, reps: 5, lowerBody: true }, [[{ weight: 100, reps: 5 }, { weight: 100, reps: 5 }, { weight: 100, reps: 5 }]]);
+        if (hit.action !== 'increase' || hit.weight !== 105) {
+            throw new Error('Linear progression should add the lower-body increment after a successful session');
+        }
+        const missed = [{ weight: 100, reps: 5 }, { weight: 100, reps: 4 }, { weight: 100, reps: 3 }];
+        if (linear.recommend({ sets: 3, reps: 5 }, [missed, missed]).action !== 'deload' || linear.recommend({ sets: 3, reps: 5 }, [missed, missed]).weight !== 90) {
+            throw new Error('Linear progression should deload after repeated misses');
+        }
+        
+        const double = new ProgressionPlanner({ scheme: 'double', repSpan: 4 });
+        if (double.recommend({ sets: 2, reps: 8 }, [[{ weight: 20, reps: 9 }, { weight: 20, reps: 8 }]]).reps !== 9) {
+            throw new Error('Double progression should add a rep within the range');
+        }
+        const topOfRange = double.recommend({ sets: 2, reps: 8 }, [[{ weight: 20, reps: 12 }, { weight: 20, reps: 12 }]]);
+        if (topOfRange.action !== 'increase' || topOfRange.weight !== 22.5 || topOfRange.reps !== 8) {
+            throw new Error('Double progression should add weight and reset reps at the top of the range');
+        }
+        
+        const rpeBench = strongAnalyzer.getRecommendations({ scheme: 'rpe' }).find(recommendation => recommendation.exerciseId === 'barbell-bench-press');
+        if (rpeBench.action !== 'decrease' || rpeBench.targetRPE !== 8 || rpeBench.weight >= 95) {
+            throw new Error('RPE progression should back off after a set above the target RPE');
+        }
+        console.log('✅ Progression recommendations work');
+        console.log(`   - ${planned[0].name}: ${planned[0].sets}×${planned[0].reps} @ ${planned[0].weight}kg (${planned[0].action})`);
+        console.log('');
+
+        // Test 20: RPE and RIR
+        console.log('Test 20: RPE/RIR parsing, RPE-chart e1RM and effort analysis...');
+        const ratedSet = strongAnalyzer.data.exercises[0].sets[0];
+        if (ratedSet.rpe !== 7 || ratedSet.rir !== 3) {
+            throw new Error('Strong RPE should be parsed to a number with the matching RIR');
+        }
+        if (RPEScale.fromRIR('2') !== 8 || RPEScale.parse('hard') !== null || RPEScale.percentOfMax(5, 8) !== 81.1) {
+            throw new Error('RPEScale should convert RIR, reject invalid values and read the RPE chart');
+        }
+        if (Math.round(new OneRepMaxCalculator({ formula: 'rpe-chart' }).estimate(100, 5, 8) * 10) / 10 !== 123.3) {
+            throw new Error('RPE-chart e1RM of 100kg × 5 @ 8 should be 100 / 81.1%');
+        }
+        
+        const suffixData = new MultiFormatWorkoutParser().parse(sampleCSV.replace('100x5,100x4,100x3', '100x5@8,100x4@9.5,100x3@12'));
+        const suffixSets = suffixData.exercises[0].sets;
+        if (suffixSets[3].rpe !== 8 || suffixSets[4].rir !== 0.5 || suffixSets[5].rpe !== null || suffixSets[0].rpe !== null) {
+            throw new Error('Multi-section set logs should accept an optional @RPE suffix');
+        }
+        if (!suffixData.diagnostics.warnings.some(warning => warning.reason.includes('"12"'))) {
+            throw new Error('Out-of-range RPE suffixes should be reported');
+        }
+        
+        const rpeAnalyzer = new EnhancedWorkoutAnalyzer(new MultiFormatWorkoutParser().parse(sampleRPECSV));
+        if (rpeAnalyzer.data.diagnostics.warnings.length !== 1 || rpeAnalyzer.data.exercises[1].sets[1].rpe !== null) {
+            throw new Error('Invalid Strong RPE values should be dropped with a warning');
+        }
+        
+        const rpeSummary = strongAnalyzer.getRPESummary();
+        if (rpeSummary.exercises['barbell-bench-press'].averageRPE !== 8.3 || rpeSummary.sessions.length !== 2 || rpeSummary.sessions[0].averageRPE !== 8) {
+            throw new Error('Average RPE should be reported per exercise and per session');
+        }
+        const intensity = strongAnalyzer.getIntensityDistribution();
+        const zoneSets = Object.fromEntries(intensity.zones.map(zone => [zone.zone, zone.sets]));
+        if (intensity.ratedSets !== 3 || intensity.unratedSets !== 1 || zoneSets.moderate !== 1 || zoneSets.hard !== 2) {
+            throw new Error('Intensity distribution should bucket rated working sets by RPE zone');
+        }
+        const drift = rpeAnalyzer.getRPEDrift();
+        if (drift.length !== 1 || drift[0].weight !== 100 || drift[0].previousRPE !== 7.5 || drift[0].rpe !== 8.5) {
+            throw new Error('A rise in RPE at the same weight × reps should be flagged');
+        }
+        console.log('✅ RPE/RIR support works');
+        console.log(`   - ${intensity.zones.map(zone => `${zone.zone}: ${zone.share}%`).join(', ')}`);
+        console.log('');
+
+        // Test 21: Cardio analytics
+        console.log('Test 21: Cardio pace, best efforts and weekly totals...');
+        const cardioAnalyzer = new EnhancedWorkoutAnalyzer(new MultiFormatWorkoutParser().parse(sampleCardioCSV));
+        const cardioNames = cardioAnalyzer.getCardioExercises().map(exercise => exercise.name);
+        if (cardioNames.length !== 5 || cardioNames.includes('Plank') || !cardioNames.includes('Mystery Trail')) {
+            throw new Error('Cardio should be detected from the taxonomy, with logged distance as the fallback');
+        }
+        if (cardioAnalyzer.getStrengthExercises().map(exercise => exercise.exercisename).join() !== 'Plank') {
+            throw new Error('A timed plank should stay a strength exercise');
+        }
+        
+        const firstRun = cardioAnalyzer.getCardioSessions({ activity: 'Running' })[0];
+        if (firstRun.distance !== 5 || firstRun.pace !== 300 || firstRun.speed !== 12) {
+            throw new Error('5 km in 25:00 should be a 5:00 /km pace at 12 km/h');
+        }
+        const runningBests = cardioAnalyzer.getCardioBestEfforts().running;
+        if (runningBests.fastest['5k'].timeSeconds !== 1500 || runningBests.fastest['5k'].estimated ||
+            runningBests.fastest['1k'].timeSeconds !== 280 || !runningBests.fastest['1k'].estimated ||
+            runningBests.longestDistance.distanceMeters !== 10000) {
+            throw new Error('Best efforts should use exact distances and mark times taken from longer efforts as estimated');
+        }
+        const cardioWeeks = cardioAnalyzer.getCardioSeries({ activity: 'running' });
+        if (cardioWeeks.length !== 2 || cardioWeeks[0].distance !== 15 || cardioWeeks[0].durationMinutes !== 80 || cardioWeeks[1].sessions !== 1) {
+            throw new Error('Weekly cardio totals should sum distance, time and sessions');
+        }
+        if (UnitConverter.formatDuration(3300) !== '55:00' || new UnitConverter('imperial').formatPace(483) !== '8:03 /mi') {
+            throw new Error('Durations and paces should be formatted for display');
+        }
+        console.log('✅ Cardio analytics work');
+        console.log(`   - Running: fastest 5k ${UnitConverter.formatDuration(runningBests.fastest['5k'].timeSeconds)}, longest ${runningBests.longestDistance.distanceMeters / 1000} km`);
+        console.log('');
+
+        // Test 22: Streaks and calendar data
+        console.log('Test 22: Streaks, calendar heatmap and missed weeks...');
+        const routineAnalyzer = new EnhancedWorkoutAnalyzer(parsedData);
+        if (routineAnalyzer.getWeeklyTarget() !== 5 || routineAnalyzer.getConsistency().weeklyTarget !== 5 || strongAnalyzer.getConsistency().weeklyTarget !== 3) {
+            throw new Error('The weekly target should default to the routine days per week, else 3');
+        }
+        
+        // Mon/Wed/Fri for two weeks, one session the third week, then Mon + Tue of the fourth
+        const trackedDays = ['2024-09-02', '2024-09-04', '2024-09-06', '2024-09-09', '2024-09-11', '2024-09-13', '2024-09-18', '2024-09-23', '2024-09-24'];
+        const trackedSessions = trackedDays.map((day, index) => ({ date: `${day}T${index === 8 ? '07' : '18'}:00:00`, durationMinutes: 60, volume: 1000 * (index + 1) }));
+        const tracked = new ConsistencyTracker({ weeklyTarget: 3 }).analyze(trackedSessions);
+        if (tracked.weekStreak.longest !== 2 || tracked.weekStreak.current !== 0 || tracked.weekStreak.longestStart !== '2024-09-02') {
+            throw new Error('Week streaks should count consecutive weeks that met the target');
+        }
+        if (tracked.dayStreak.current !== 2 || tracked.dayStreak.longest !== 2 || tracked.calendar.length !== 23 || tracked.activeDays !== 9) {
+            throw new Error('Day streaks and the calendar should cover every day from the first session');
+        }
+        if (tracked.missedWeeks.length !== 1 || tracked.missedWeeks[0].weekStart !== '2024-09-16' || tracked.missedWeeks[0].shortBy !== 2) {
+            throw new Error('Only completed weeks below the target should be missed weeks');
+        }
+        if (tracked.calendar[0].level !== 1 || tracked.calendar[1].level !== 0 || tracked.calendar[22].level !== 4) {
+            throw new Error('Heatmap levels should scale against the busiest day');
+        }
+        if (tracked.dayOfWeek[0].sessions !== 3 || tracked.dayOfWeek[6].sessions !== 0 || tracked.timeOfDay[0].sessions !== 1 || tracked.timeOfDay[2].sessions !== 8) {
+            throw new Error('Sessions should be counted per weekday and part of the day');
+        }
+        
+        // A week in progress keeps the streak open; asOf extends the calendar
+        const inProgress = new ConsistencyTracker({ weeklyTarget: 2 }).analyze(trackedSessions, { asOf: '2024-09-25' });
+        if (inProgress.weekStreak.current !== 1 || inProgress.dayStreak.current !== 2 || inProgress.calendar.length !== 24) {
+            throw new Error('The current day and week should not break a streak until they are over');
+        }
+        console.log('✅ Consistency tracking works');
+        console.log(`   - ${tracked.activeDays} active days, longest week streak ${tracked.weekStreak.longest}, ${tracked.missedWeeks.length} missed week`);
+        console.log('');
+
+        // Test 23: Record timeline
+        console.log('Test 23: Record timeline, records per session and days since the last record...');
+        const timeline = trendAnalyzer.getRecordTimeline();
+        const firstRecord = timeline[0];
+        if (timeline.length !== 21 || firstRecord.exerciseId !== 'barbell-squat' || firstRecord.type !== 'weight' ||
+            firstRecord.previous !== 100 || firstRecord.improvement !== 2.5 || firstRecord.workoutId !== 2) {
+            throw new Error('Each beaten weight, e1RM and volume record should be an event tagged with its workout');
+        }
+        if (timeline.some(event => event.exerciseId === 'barbell-bench-press' && event.workoutId > 3)) {
+            throw new Error('Equalling a record should not count as beating it');
+        }
+        if (trendAnalyzer.getRecordTimeline({ types: ['weight'], includeFirst: true }).length !== 10) {
+            throw new Error('includeFirst should report the first session of each exercise');
+        }
+        if (trendAnalyzer.getRecordsBySession().map(session => session.count).join() !== '0,6,6,3,3,3') {
+            throw new Error('Records should be counted per workout session');
+        }
+        const staleLift = trendAnalyzer.getDaysSinceLastRecord()[0];
+        if (staleLift.exerciseId !== 'barbell-deadlift' || staleLift.days !== 35 || staleLift.records !== 0) {
+            throw new Error('A lift that never beat its first session should be 35 days since its last record');
+        }
+        const lastDeadlift = new Date(staleLift.lastRecord.date);
+        const tenDaysLater = LocalDate.dayKey(new Date(lastDeadlift.getFullYear(), lastDeadlift.getMonth(), lastDeadlift.getDate() + 10));
+        if (trendAnalyzer.getDaysSinceLastRecord({ asOf: tenDaysLater }).find(lift => lift.exerciseId === 'barbell-deadlift').days !== 10) {
+            throw new Error('A YYYY-MM-DD asOf should count to that local day');
+        }
+        const distanceRecord = cardioAnalyzer.getRecordTimeline({ types: ['distance'] })[0];
+        if (distanceRecord.name !== 'Running' || distanceRecord.value !== 10 || distanceRecord.previous !== 5) {
+            throw new Error('Longer cardio sessions should be distance records');
+        }
+        let rejectedType = false;
+        try {
+            trendAnalyzer.getRecordTimeline({ types: ['speed'] });
+        } catch (error) {
+            rejectedType = error.message.includes('Unknown record type');
+        }
+        if (!rejectedType) {
+            throw new Error('Unknown record types should be rejected');
+        }
+        console.log('✅ Record timeline works');
+        console.log(`   - ${timeline.length} records, ${staleLift.name} ${staleLift.days} days since its last`);
+        console.log('');
+
+        // Test 24: Routine adherence
+        console.log('Test 24: Routine adherence for planned days, sets and reps...');
+        const adherence = new EnhancedWorkoutAnalyzer(new MultiFormatWorkoutParser().parse(sampleRoutineCSV)).getRoutineAdherence();
+        const [ppl] = adherence.routines;
+        if (ppl.plannedDays !== 3 || ppl.completedDays !== 2 || ppl.dayCompletion !== 66.7 || ppl.skippedExercises !== 1) {
+            throw new Error('Routine adherence should count planned and completed workout days');
+        }
+        if (ppl.plannedSets !== 14 || ppl.performedSets !== 10 || ppl.setCompletion !== 71.4 || ppl.repCompletion !== 65.2) {
+            throw new Error('Set and rep completion should cover the completed days only');
+        }
+        if (adherence.days[0].sessionId !== localEpoch('2024-09-02 18:00:00') || adherence.days[1].sessionId !== localEpoch('2024-09-04 18:03:20') || adherence.days[2].completed) {
+            throw new Error('Workout days should link to sessions by day_id, then by completion date');
+        }
+        const statuses = adherence.exercises.map(exercise => exercise.status).join();
+        if (statuses !== 'complete,partial,complete,skipped,pending') {
+            throw new Error(`Unexpected exercise statuses: ${statuses}`);
+        }
+        const row = adherence.exercises[2];
+        if (row.performedReps !== 42 || row.repCompletion !== 100 || adherence.skipped.map(exercise => exercise.name).join() !== 'Dumbbell Curl') {
+            throw new Error('Extra reps should not count past the target and skipped exercises should be listed');
+        }
+        if (adherence.weeks.length !== 1 || adherence.weeks[0].plannedSessions !== 3 || adherence.weeks[0].completedSessions !== 2) {
+            throw new Error('Weekly adherence should compare sessions to the routine days per week');
+        }
+        if (strongAnalyzer.getRoutineAdherence() !== null) {
+            throw new Error('Formats without routines should have no adherence report');
+        }
+        console.log('✅ Routine adherence works');
+        console.log(`   - ${ppl.name}: ${ppl.dayCompletion}% of days, ${ppl.setCompletion}% of sets, ${ppl.repCompletion}% of reps`);
+        console.log('');
+
+        // Test 25: Linked notes and search
+        console.log('Test 25: Notes linked to exercises and sessions, with search...');
+        const [rowNote] = new EnhancedWorkoutAnalyzer(parsedData).getNotes();
+        if (rowNote.source !== 'note' || rowNote.exerciseId !== 'seated-leg-curl' || rowNote.date !== '2024-02-21T13:37:20.000Z') {
+            throw new Error('Multi-section note rows should link to their exercise and use the logged time');
+        }
+        
+        const notesAnalyzer = new EnhancedWorkoutAnalyzer(new MultiFormatWorkoutParser().parse(sampleNotesCSV));
+        const allNotes = notesAnalyzer.getNotes();
+        if (allNotes.length !== 4 || allNotes[0].source !== 'workout' || allNotes[0].text !== 'Felt strong today' || allNotes[0].workoutName !== 'Push') {
+            throw new Error('Strong workout notes should be read once per workout');
+        }
+        const pinch = allNotes.find(note => note.text === 'Left shoulder pinch');
+        if (pinch.source !== 'set' || pinch.exerciseId !== 'barbell-overhead-press' || pinch.workoutId !== 1 || pinch.setNumber !== 1) {
+            throw new Error('Strong set notes should link to their exercise, workout and set');
+        }
+        if (notesAnalyzer.searchNotes('SHOULDER').length !== 2 || notesAnalyzer.searchNotes('shoulder grip').length !== 1 ||
+            notesAnalyzer.searchNotes('shoulder', { exercise: 'Overhead Press (Barbell)' }).length !== 1 ||
+            notesAnalyzer.searchNotes('', { from: '2024-09-05' }).length !== 1 ||
+            notesAnalyzer.searchNotes('', { sources: ['workout'] }).length !== 1) {
+            throw new Error('Notes should be searchable by keyword, exercise, date and source');
+        }
+        const notedHistory = notesAnalyzer.getExerciseProgress('Bench Press (Barbell)');
+        if (notedHistory[0].notes.map(note => note.text).join() !== 'Paused reps' || notedHistory[1].notes.length !== 1) {
+            throw new Error('Exercise history should carry the notes of each session');
+        }
+        console.log('✅ Notes work');
+        console.log(`   - ${allNotes.length} notes, "shoulder" matches ${notesAnalyzer.searchNotes('shoulder').length}`);
+        console.log('');
+
+        // Test 26: Composable queries
+        console.log('Test 26: Chained query filters, sorting, paging and grouping...');
+        const recentQuery = trendAnalyzer.query().lastDays(14, '2024-10-07');
+        if (recentQuery.count() !== 6 || recentQuery.sessions().length !== 2 || trendAnalyzer.query().count() !== 18) {
+            throw new Error('Date filters should narrow entries and sessions without changing the base query');
+        }
+        const recentRecords = recentQuery.analyzer().getPersonalRecords();
+        if (recentRecords['barbell-squat'].weight !== 112.5 || recentRecords['barbell-deadlift'].weight !== 140 ||
+            recentQuery.summary().totalWorkouts !== 2) {
+            throw new Error('Analyzer methods should run against the filtered view');
+        }
+        const recentSummary = recentQuery.summary();
+        if (recentSummary.dateRange.span !== 7 || recentSummary.workoutFrequency.workoutsPerWeek !== 2) {
+            throw new Error('A filtered summary should cover only the filtered sessions');
+        }
+        const heavySquats = trendAnalyzer.query().exercise('back squat').minWeight(105).sortBy('maxWeight', 'desc');
+        const squatPage = heavySquats.page(2, 2).exercises();
+        if (heavySquats.count() !== 4 || squatPage.length !== 2 || squatPage[0].maxWeight !== 107.5 || heavySquats.sessions().length !== 4) {
+            throw new Error('Exercise aliases, weight filters, sorting and paging should compose');
+        }
+        const chest = trendAnalyzer.query().muscleGroup('chest').groupBy('workout');
+        if (chest.length !== 1 || chest[0].label !== 'Full Body' || chest[0].entries !== 6 || chest[0].maxWeight !== 85) {
+            throw new Error('Muscle group filters should group by workout');
+        }
+        const workingSets = new EnhancedWorkoutAnalyzer(new MultiFormatWorkoutParser().parse(sampleHevyCSV)).query().setType('normal').exercise('Bench Press (Barbell)');
+        const [workingBench] = workingSets.exercises();
+        if (workingBench.totalSets !== 1 || workingBench.totalVolume !== 450 || workingSets.groupBy('month')[0].volume !== 450) {
+            throw new Error('Set filters should recompute entry totals');
+        }
+        console.log('✅ Queries work');
+        console.log(`   - ${recentQuery.count()} entries in the last 14 days, ${Object.keys(recentRecords).length} records`);
+        console.log('');
+
+        // Test 27: Merging exports
+        console.log('Test 27: Merging overlapping exports from different apps...');
+        const mergeSources = [
+            { name: 'strong.csv', data: new MultiFormatWorkoutParser().parse(sampleStrongCSV) },
+            { name: 'hevy.csv', data: new MultiFormatWorkoutParser().parse(sampleOverlapHevyCSV) }
+        ];
+        const merged = new WorkoutMerger().merge(mergeSources);
+        const [firstMerged] = merged.workoutSessions;
+        if (merged.format !== 'merged' || merged.workoutSessions.map(session => session._id).join() !== '1,2,3' || merged.merge.duplicates.length !== 1) {
+            throw new Error('The workout logged in both apps should be kept once and workouts renumbered in date order');
+        }
+        if (firstMerged.provenance.source !== 'strong.csv' || firstMerged.provenance.duplicates[0].source !== 'hevy.csv' ||
+            firstMerged.description !== 'Good session' || merged.exercises.filter(entry => entry.workout_id === 1).length !== 2) {
+            throw new Error('The kept workout should record where it came from and fill empty fields from its duplicate');
+        }
+        const hevyFirst = new WorkoutMerger({ precedence: ['hevy'] }).merge(mergeSources);
+        const preferredBench = hevyFirst.exercises.find(entry => entry.workout_id === 1);
+        if (hevyFirst.workoutSessions[0].provenance.source !== 'hevy.csv' || preferredBench.totalSets !== 3 || hevyFirst.merge.sources[0].duplicates !== 1) {
+            throw new Error('Precedence should pick which copy of a duplicate workout is kept');
+        }
+        if (new WorkoutMerger({ minSimilarity: 1 }).merge(mergeSources).workoutSessions.length !== 4) {
+            throw new Error('Overlapping workouts with different exercises should both be kept');
+        }
+        const mergedRecords = new EnhancedWorkoutAnalyzer(merged).getPersonalRecords();
+        if (mergedRecords['barbell-bench-press'].weight !== 100 || mergedRecords['barbell-squat'].weight !== 120) {
+            throw new Error('Merged data should work with the analyzer');
+        }
+        const mergedSummary = new EnhancedWorkoutAnalyzer(merged).getSummary();
+        if (mergedSummary.avgWorkoutTime !== 59 || mergedSummary.totalWorkouts !== 3 || mergedSummary.format !== 'merged') {
+            throw new Error('A merged summary should report the average workout time in minutes');
+        }
+        let badPrecedence = null;
+        try {
+            new WorkoutMerger({ precedence: 'newest' });
+        } catch (error) {
+            badPrecedence = error;
+        }
+        if (!badPrecedence) {
+            throw new Error('Unknown precedence rules should be rejected');
+        }
+        console.log('✅ Merging works');
+        console.log(`   - ${merged.workoutSessions.length} workouts from ${mergeSources.length} files, ${merged.merge.duplicates.length} duplicate skipped`);
+        console.log('');
+
+        // Test 28: Diffing exports
+        console.log('Test 28: Changes between two exports of the same history...');
+        const laterStrongCSV = sampleStrongCSV.replace('"2";"100.0";"1"', '"2";"102.5";"1"') +
+            '"3";"2024-08-20 18:00:00";"Push Day";"3600";"Bench Press (Barbell)";"1";"105.0";"3";"";"";"";"";""\n';
+        const earlierExport = new MultiFormatWorkoutParser().parse(sampleStrongCSV);
+        const laterExport = new MultiFormatWorkoutParser().parse(laterStrongCSV);
+        const changes = new WorkoutDiff().compare(earlierExport, laterExport);
+        if (changes.summary.added !== 1 || changes.summary.changed !== 1 || changes.summary.unchanged !== 1 || changes.summary.setsChanged !== 1) {
+            throw new Error('The diff should find the added workout and the edited set');
+        }
+        const [editedSet] = changes.changed[0].setChanges.changed;
+        if (editedSet.fields.join() !== 'weight' || editedSet.before.weight !== 100 || editedSet.weight !== 102.5 || editedSet.setNumber !== 2) {
+            throw new Error('Edited sets should report the changed fields with before and after values');
+        }
+        if (!changes.newRecords.some(event => event.type === 'weight' && event.value === 105 && event.workoutId === 3) ||
+            changes.changelog[changes.changelog.length - 1].change !== 'record') {
+            throw new Error('Records set in new workouts should be reported after them in the changelog');
+        }
+        const reverted = new WorkoutDiff().compare(laterExport, earlierExport);
+        if (reverted.summary.removed !== 1 || reverted.summary.newRecords !== 0 ||
+            new WorkoutDiff().compare(laterExport, laterExport).changelog.length !== 0) {
+            throw new Error('Removed workouts should be reported and identical exports have no changes');
+        }
+        const correctedStrongCSV = sampleStrongCSV.replace('"95.0";"8"', '"110.0";"8"');
+        const correctedRecords = new WorkoutDiff().compare(earlierExport, new MultiFormatWorkoutParser().parse(correctedStrongCSV)).newRecords;
+        if (!correctedRecords.some(event => event.type === 'weight' && event.value === 110 && event.workoutId === 2)) {
+            throw new Error('Records set by an edited set in an existing workout should be reported');
+        }
+        const pullDayCSV = sampleStrongCSV + '"3";"2024-08-10 18:00:00";"Pull Day";"3600";"Barbell Row";"1";"60.0";"8";"";"";"";"";""\n';
+        const mergedChanges = new WorkoutDiff().compare(
+            new WorkoutMerger().merge([new MultiFormatWorkoutParser().parse(sampleStrongCSV), new MultiFormatWorkoutParser().parse(sampleOverlapHevyCSV)]),
+            new WorkoutMerger().merge([new MultiFormatWorkoutParser().parse(pullDayCSV), new MultiFormatWorkoutParser().parse(sampleOverlapHevyCSV)])
+        );
+        if (mergedChanges.summary.added !== 1 || mergedChanges.summary.removed !== 0 || mergedChanges.summary.unchanged !== 3) {
+            throw new Error('Merged exports should be matched by start time, since merging renumbers workouts');
+        }
+        const singleToMerged = new WorkoutDiff().compare(
+            new MultiFormatWorkoutParser().parse(sampleStrongCSV),
+            new WorkoutMerger().merge([new MultiFormatWorkoutParser().parse(sampleStrongCSV), new MultiFormatWorkoutParser().parse(sampleOverlapHevyCSV)])
+        );
+        if (singleToMerged.summary.added !== 1 || singleToMerged.summary.removed !== 0 || singleToMerged.summary.unchanged + singleToMerged.summary.changed !== 2) {
+            throw new Error('A single export should match a merged export of it by start time');
+        }
+        const hevyExport = new MultiFormatWorkoutParser().parse(sampleHevyCSV);
+        const hevyToStrong = new WorkoutDiff().compare(hevyExport, new MultiFormatWorkoutParser().parse(new WorkoutSerializer().toStrong(hevyExport)));
+        if (hevyToStrong.summary.added !== 0 || hevyToStrong.summary.removed !== 0 || hevyToStrong.summary.changed + hevyToStrong.summary.unchanged !== 1) {
+            throw new Error('A Hevy export should match its Strong re-export by start time');
+        }
+        console.log('✅ Diffing works');
+        changes.changelog.forEach(entry => console.log(`   - ${entry.text}`));
+        console.log('');
+
+        // Test 29: Writing exports back out
+        console.log('Test 29: Serializing to Strong and multi-section CSV...');
+        const tables = data => withoutTimestamps({
+            settings: data.settings,
+            routines: data.routines,
+            workoutDays: data.workoutDays,
+            exercises: data.exercises,
+            workoutSessions: data.workoutSessions,
+            notes: data.notes,
+            sourceUnits: data.sourceUnits
+        });
+        const poundsStrongCSV = sampleStrongCSV.replace('Weight (kg)', 'Weight (lbs)');
+        
+        for (const [csvContent, format] of [[sampleCSV, 'multi-section'], [sampleRoutineCSV, 'multi-section'], [sampleStrongCSV, 'strong'], [poundsStrongCSV, 'strong']]) {
+            const roundTripParser = new MultiFormatWorkoutParser();
+            const original = roundTripParser.parse(csvContent);
+            const written = roundTripParser.serialize(original, format);
+            const reread = new MultiFormatWorkoutParser().parse(written);
+            
+            if (tables(reread) !== tables(original) || reread.diagnostics.warnings.length + reread.diagnostics.errors.length > 0) {
+                throw new Error(`Serialized ${format} data should parse back to the same data`);
+            }
+        }
+        
+        const poundsExport = new MultiFormatWorkoutParser().parse(poundsStrongCSV);
+        poundsExport.exercises[0].exercisename = 'Side Lateral Raise';
+        const convertedCSV = new WorkoutSerializer().toMultiSection(poundsExport);
+        const converted = new MultiFormatWorkoutParser().parse(convertedCSV);
+        const convertedSets = converted.exercises.map(entry => (entry.sets || []).map(set => set.weight).join());
+        const liftedSets = poundsExport.exercises
+            .map(entry => entry.sets.filter(set => set.weight > 0 || set.reps > 0).map(set => set.weight).join());
+        if (converted.detectedFormat === 'strong' || !convertedCSV.includes('"80x8@7,100x1@9"') || convertedSets.join('|') !== liftedSets.join('|') ||
+            converted.exercises[0].exercisename !== 'Side Lateral Raise' || converted.exercises[0].workout_id !== 1) {
+            throw new Error('Strong data converted to multi-section should keep its pound weights and workout links');
+        }
+        if (!new WorkoutSerializer({ weightUnit: 'kg' }).toStrong(poundsExport).includes('"Weight (kg)"')) {
+            throw new Error('Strong output should use the requested weight unit');
+        }
+        try {
+            new MultiFormatWorkoutParser().serialize(poundsExport, 'hevy');
+            throw new Error('Formats without a serializer should be rejected');
+        } catch (error) {
+            if (!error.message.includes('can be read but not written')) throw error;
+        }
+        const routineData = new MultiFormatWorkoutParser().parse(sampleRoutineCSV);
+        const linkedRoutine = SessionLinker.link(routineData);
+        const routineStrongRows = new WorkoutSerializer().toStrong(routineData).trim().split('\n').length - 1;
+        if (linkedRoutine.workouts.map(workout => workout.entries.length).join() !== '2,2' || linkedRoutine.orphans.length !== 1 ||
+            WorkoutSchema.fromParsedData(routineData).exercises.filter(exercise => exercise.workoutId).length !== 4 || routineStrongRows !== 10) {
+            throw new Error('Entries should link to sessions by the time their sets were done, then by day, everywhere');
+        }
+        console.log('✅ Serializing works');
+        console.log(`   - ${converted.exercises[0].exercisename}: ${converted.exercises[0].logs} (${converted.sourceUnits.weight})`);
+        console.log('');
+
+        // Test 30: Calendar export
+        console.log('Test 30: iCalendar export...');
+        const calendarAsOf = new Date(2026, 9, 19, 12, 0, 0); // Monday
+        const ics = new ICalendarExporter({ asOf: calendarAsOf }).toICS(new MultiFormatWorkoutParser().parse(sampleStrongCSV));
+        const icsLines = ics.split('\r\n');
+        const firstStart = new Date('2024-08-06 13:59:53').toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+        
+        if (icsLines[0] !== 'BEGIN:VCALENDAR' || icsLines[icsLines.length - 2] !== 'END:VCALENDAR' || /[^\r]\n/.test(ics) ||
+            icsLines.some(line => Buffer.byteLength(line) > 75)) {
+            throw new Error('The calendar should use CRLF lines folded to 75 octets');
+        }
+        if (icsLines.filter(line => line === 'BEGIN:VEVENT').length !== 2 || !icsLines.includes(`DTSTART:${firstStart}`) ||
+            !icsLines.includes('DURATION:PT1H') || !icsLines.includes('DURATION:PT58M20S')) {
+            throw new Error('Each session should be an event with its start time and duration');
+        }
+        if (!ics.replace(/\r\n /g, '').includes('DESCRIPTION:Bench Press (Barbell): 2 sets\\, top set 100 kg × 1\\nRunning: 1 set\\, top set 2 km in 10:00')) {
+            throw new Error('Event descriptions should list exercises and top sets, escaped');
+        }
+        
+        const undatedUids = new ICalendarExporter({ asOf: calendarAsOf })
+            .getEvents(new MultiFormatWorkoutParser().parse(sampleUndatedCSV)).map(event => event.uid);
+        if (undatedUids.length !== 2 || undatedUids[0] === undatedUids[1]) {
+            throw new Error('Sessions with the same start should get distinct UIDs and undated sessions no event');
+        }
+        
+        const planEvents = new ICalendarExporter({ asOf: '2026-10-19', planWeeks: 2 })
+            .getEvents(new MultiFormatWorkoutParser().parse(sampleRoutineCSV))
+            .filter(event => event.type === 'plan');
+        if (planEvents.map(event => `${event.start} ${event.summary}`).join('|') !==
+            '2026-10-20 Push Pull Legs: Push|2026-10-22 Push Pull Legs: Pull|2026-10-24 Push Pull Legs: Legs' ||
+            planEvents.some(event => event.recurrence.interval !== 1 || event.recurrence.count !== 2) ||
+            planEvents[0].description !== 'Barbell Bench Press: 4 × 8\nOverhead Press: 3 × 10') {
+            throw new Error('Routine days should recur weekly, spread over the routine\'s days per week');
+        }
+        console.log('✅ Calendar export works');
+        planEvents.forEach(event => console.log(`   - ${event.start} ${event.summary} (weekly × ${event.recurrence.count})`));
+        console.log('');
+
         console.log('🎉 All tests passed successfully!');
         console.log('\nSample data structure:');
         console.log(JSON.stringify({
@@ -8,957 +8,7593 @@
  * - Notes
  */
 
+/**
+ * RFC 4180 CSV tokenizer shared by every format
+ * Handles quoted fields with embedded delimiters, quotes and newlines, CRLF line endings,
+ * a leading byte order mark and delimiter sniffing. Input can be fed in chunks with push()/flush()
+ * or tokenized in one go with tokenize().
+ */
+class CSVTokenizer {
+    /**
+     * @param {Object} options - Tokenizer options
+     * @param {string} options.delimiter - Field delimiter, or 'auto' to sniff ',', ';' or tab (default: ',')
+     * @param {string} options.quote - Quote character (default: '"')
+     * @param {boolean} options.trim - Trim whitespace around field values (default: true)
+     * @param {boolean} options.skipEmptyLines - Drop blank lines instead of emitting empty records (default: true)
+     */
+    constructor(options = {}) {
+        this.delimiter = options.delimiter || ',';
+        this.quote = options.quote || '"';
+        this.trim = options.trim !== false;
+        this.skipEmptyLines = options.skipEmptyLines !== false;
+
+        this.reset();
+    }
+
+    /**
+     * Reset the tokenizer state so it can read a new file
+     */
+    reset() {
+        this.resolvedDelimiter = this.delimiter === 'auto' ? null : this.delimiter;
+        this.pending = '';
+        this.started = false;
+        this.line = 1;
+        this.records = [];
+
+        this.fields = [];
+        this.field = '';
+        this.raw = '';
+        this.recordLine = 1;
+        this.inQuotes = false;
+        this.quoteInQuotes = false; // Saw a quote inside a quoted field; the next char decides if it was escaped
+        this.skipLineFeed = false; // Saw a CR; a following LF belongs to the same line break
+    }
+
+    /**
+     * Tokenize a complete CSV document
+     * @param {string} text - The raw CSV content
+     * @returns {Array} Records: [{ fields, line, raw }]
+     */
+    tokenize(text) {
+        this.reset();
+        const records = this.push(text);
+        return records.concat(this.flush());
+    }
+
+    /**
+     * Parse a single CSV line into fields
+     * @param {string} line - CSV line to parse
+     * @returns {Array} Array of field values
+     */
+    parseLine(line) {
+        const records = new CSVTokenizer({
+            delimiter: this.delimiter,
+            quote: this.quote,
+            trim: this.trim,
+            skipEmptyLines: false
+        }).tokenize(line);
+
+        return records.length > 0 ? records[0].fields : [''];
+    }
+
+    /**
+     * Feed a chunk of CSV text
+     * @param {string} chunk - Next piece of the file
+     * @returns {Array} Records completed by this chunk
+     */
+    push(chunk) {
+        if (!this.started) {
+            if (chunk.charCodeAt(0) === 0xFEFF) chunk = chunk.slice(1);
+            if (chunk.length > 0) this.started = true;
+        }
+
+        if (!this.resolvedDelimiter) {
+            // Hold input back until there are enough lines to sniff the delimiter
+            this.pending += chunk;
+            if (this.pending.split('\n').length <= CSVTokenizer.SNIFF_LINES && this.pending.length < 65536) {
+                return [];
+            }
+
+            this.resolvedDelimiter = CSVTokenizer.sniffDelimiter(this.pending);
+            chunk = this.pending;
+            this.pending = '';
+        }
+
+        for (let i = 0; i < chunk.length; i++) {
+            this._consume(chunk[i]);
+        }
+
+        return this._takeRecords();
+    }
+
+    /**
+     * Finish reading and return any record still being built
+     * @returns {Array} Remaining records
+     */
+    flush() {
+        if (!this.resolvedDelimiter) {
+            this.resolvedDelimiter = CSVTokenizer.sniffDelimiter(this.pending);
+            const chunk = this.pending;
+            this.pending = '';
+            for (let i = 0; i < chunk.length; i++) {
+                this._consume(chunk[i]);
+            }
+        }
+
+        if (this.quoteInQuotes) {
+            this.quoteInQuotes = false;
+            this.inQuotes = false;
+        }
+
+        if (this.field !== '' || this.fields.length > 0 || this.raw !== '') {
+            this._endRecord();
+        }
+
+        return this._takeRecords();
+    }
+
+    /**
+     * Process one character of input
+     * @param {string} char - Next character
+     */
+    _consume(char) {
+        if (this.skipLineFeed) {
+            this.skipLineFeed = false;
+            if (char === '\n') return;
+        }
+
+        if (this.quoteInQuotes) {
+            this.quoteInQuotes = false;
+
+            if (char === this.quote) {
+                // Escaped quote ("")
+                this.field += char;
+                this.raw += char;
+                return;
+            }
+
+            // The previous quote closed the field; handle this char normally
+            this.inQuotes = false;
+        }
+
+        if (this.inQuotes) {
+            this.raw += char;
+
+            if (char === this.quote) {
+                this.quoteInQuotes = true;
+            } else if (char === '\r') {
+                this.field += '\n';
+                this.skipLineFeed = true;
+                this.line++;
+            } else {
+                if (char === '\n') this.line++;
+                this.field += char;
+            }
+            return;
+        }
+
+        if (char === this.resolvedDelimiter) {
+            this.raw += char;
+            this._endField();
+        } else if (char === '\n' || char === '\r') {
+            this._endRecord();
+            this.line++;
+            this.recordLine = this.line;
+            if (char === '\r') this.skipLineFeed = true;
+        } else if (char === this.quote && this.field.trim() === '') {
+            // Opening quote at the start of a field
+            this.raw += char;
+            this.field = '';
+            this.inQuotes = true;
+        } else {
+            this.raw += char;
+            this.field += char;
+        }
+    }
+
+    /**
+     * Close the current field
+     */
+    _endField() {
+        this.fields.push(this.trim ? this.field.trim() : this.field);
+        this.field = '';
+    }
+
+    /**
+     * Close the current record, dropping it if it is a blank line
+     */
+    _endRecord() {
+        this._endField();
+
+        const isEmpty = this.fields.length === 1 && this.fields[0] === '' && this.raw.trim() === '';
+        if (!(isEmpty && this.skipEmptyLines)) {
+            this.records.push({ fields: this.fields, line: this.recordLine, raw: this.raw });
+        }
+
+        this.fields = [];
+        this.raw = '';
+    }
+
+    /**
+     * Hand over the records completed so far
+     * @returns {Array} Completed records
+     */
+    _takeRecords() {
+        const records = this.records;
+        this.records = [];
+        return records;
+    }
+
+    /**
+     * Guess the delimiter from the first lines of a file
+     * The candidate that splits every sampled line into the same number of fields wins;
+     * otherwise the one with the most occurrences outside quotes.
+     * @param {string} sample - Start of the CSV content
+     * @param {Array} candidates - Delimiters to consider (default: ',', ';', tab)
+     * @returns {string} Most likely delimiter (',' if nothing matches)
+     */
+    static sniffDelimiter(sample, candidates = [',', ';', '\t']) {
+        const lines = sample
+            .replace(/^\uFEFF/, '')
+            .split(/\r?\n/)
+            .filter(line => line.trim())
+            .slice(0, CSVTokenizer.SNIFF_LINES);
+
+        let best = ',';
+        let bestScore = 0;
+
+        candidates.forEach(candidate => {
+            const counts = lines.map(line => {
+                let count = 0;
+                let inQuotes = false;
+                for (let i = 0; i < line.length; i++) {
+                    if (line[i] === '"') inQuotes = !inQuotes;
+                    else if (line[i] === candidate && !inQuotes) count++;
+                }
+                return count;
+            });
+
+            if (counts.length === 0 || counts[0] === 0) return;
+
+            const consistent = counts.every(count => count === counts[0]);
+            const total = counts.reduce((a, b) => a + b, 0);
+            const score = consistent ? total * 2 : total;
+
+            if (score > bestScore) {
+                best = candidate;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    }
+}
+
+// Number of lines looked at when sniffing the delimiter
+CSVTokenizer.SNIFF_LINES = 5;
+
+/**
+ * Unit conversion between the canonical SI values stored in parsed data (kg, meters)
+ * and the units a file was recorded in or a user wants to see
+ */
+class UnitConverter {
+    /**
+     * @param {string} system - Display unit system: 'metric' or 'imperial' (default: 'metric')
+     */
+    constructor(system = 'metric') {
+        if (!UnitConverter.SYSTEMS[system]) {
+            throw new Error(`Unknown unit system: ${system}`);
+        }
+
+        this.system = system;
+        this.weightUnit = UnitConverter.SYSTEMS[system].weight;
+        this.distanceUnit = UnitConverter.SYSTEMS[system].distance;
+    }
+
+    /**
+     * Convert kilograms to this converter's weight unit
+     * @param {number} kg - Weight in kilograms
+     * @returns {number} Weight in display units
+     */
+    weight(kg) {
+        return UnitConverter.fromKilograms(kg, this.weightUnit);
+    }
+
+    /**
+     * Convert meters to this converter's distance unit
+     * @param {number} meters - Distance in meters
+     * @returns {number} Distance in display units
+     */
+    distance(meters) {
+        return UnitConverter.fromMeters(meters, this.distanceUnit);
+    }
+
+    /**
+     * Format a weight for display, e.g. "220.5 lb"
+     * @param {number} kg - Weight in kilograms
+     * @returns {string} Formatted weight
+     */
+    formatWeight(kg) {
+        return `${UnitConverter.round(this.weight(kg), 1)} ${this.weightUnit}`;
+    }
+
+    /**
+     * Format a distance for display, e.g. "3.11 mi"
+     * @param {number} meters - Distance in meters
+     * @returns {string} Formatted distance
+     */
+    formatDistance(meters) {
+        return `${UnitConverter.round(this.distance(meters), 2)} ${this.distanceUnit}`;
+    }
+
+    /**
+     * Format a set's load for display, e.g. "100 kg × 5", "5 km in 25:00" or "1:30" for a timed hold
+     * @param {Object} set - Parsed set (kg / meters)
+     * @returns {string} Formatted set
+     */
+    formatSet(set) {
+        if (set.distance) {
+            return `${this.formatDistance(set.distance)}${set.seconds ? ` in ${UnitConverter.formatDuration(set.seconds)}` : ''}`;
+        }
+        if (!set.weight && set.seconds && !set.reps) return UnitConverter.formatDuration(set.seconds);
+        return `${this.formatWeight(set.weight || 0)} × ${set.reps || 0}`;
+    }
+
+    /**
+     * Format a pace for display, e.g. "5:12 /km"
+     * @param {number} secondsPerUnit - Seconds per display distance unit
+     * @returns {string} Formatted pace
+     */
+    formatPace(secondsPerUnit) {
+        return `${UnitConverter.formatDuration(secondsPerUnit)} /${this.distanceUnit}`;
+    }
+
+    /**
+     * Format a duration as m:ss or h:mm:ss
+     * @param {number} seconds - Duration in seconds
+     * @returns {string} Formatted duration
+     */
+    static formatDuration(seconds) {
+        const total = Math.round(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const rest = String(total % 60).padStart(2, '0');
+        
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+    }
+
+    /**
+     * Format a volume (weight × reps) for display, e.g. "12,345 kg×reps"
+     * @param {number} kgReps - Volume in kilogram-reps
+     * @returns {string} Formatted volume
+     */
+    formatVolume(kgReps) {
+        return `${Math.round(this.weight(kgReps)).toLocaleString()} ${this.weightUnit}×reps`;
+    }
+
+    /**
+     * Describe the display units
+     * @returns {Object} Unit labels: { system, weight, distance, volume }
+     */
+    describe() {
+        return {
+            system: this.system,
+            weight: this.weightUnit,
+            distance: this.distanceUnit,
+            volume: `${this.weightUnit}×reps`
+        };
+    }
+
+    /**
+     * Normalize a unit label such as " kg", "lbs", "Weight (lbs)" or "miles"
+     * @param {string} label - Unit label as written in a file
+     * @returns {string|null} 'kg', 'lb', 'm', 'km', 'mi', 'ft', 'cm' or 'in', or null if unknown
+     */
+    static normalizeUnit(label) {
+        if (!label) return null;
+
+        const match = String(label).toLowerCase().match(/\(([^)]+)\)/);
+        const unit = (match ? match[1] : String(label)).trim().toLowerCase();
+
+        return UnitConverter.ALIASES[unit] || null;
+    }
+
+    /**
+     * Convert a weight to kilograms
+     * @param {number} value - Weight in the source unit
+     * @param {string} unit - Source unit ('kg' or 'lb')
+     * @returns {number} Weight in kilograms
+     */
+    static toKilograms(value, unit) {
+        return unit === 'lb' ? value * UnitConverter.KG_PER_LB : value;
+    }
+
+    /**
+     * Convert kilograms to another weight unit
+     * @param {number} kg - Weight in kilograms
+     * @param {string} unit - Target unit ('kg' or 'lb')
+     * @returns {number} Weight in the target unit
+     */
+    static fromKilograms(kg, unit) {
+        return unit === 'lb' ? kg / UnitConverter.KG_PER_LB : kg;
+    }
+
+    /**
+     * Convert a distance to meters
+     * @param {number} value - Distance in the source unit
+     * @param {string} unit - Source unit ('m', 'km', 'mi', 'ft')
+     * @returns {number} Distance in meters
+     */
+    static toMeters(value, unit) {
+        return value * (UnitConverter.METERS_PER_UNIT[unit] || 1);
+    }
+
+    /**
+     * Convert meters to another distance unit
+     * @param {number} meters - Distance in meters
+     * @param {string} unit - Target unit ('m', 'km', 'mi', 'ft')
+     * @returns {number} Distance in the target unit
+     */
+    static fromMeters(meters, unit) {
+        return meters / (UnitConverter.METERS_PER_UNIT[unit] || 1);
+    }
+
+    /**
+     * Detect source units from column headers such as "Weight (lbs)" or "distance_km"
+     * @param {Array} headers - Column headers
+     * @returns {Object} Source units: { weight, distance }
+     */
+    static detectFromHeaders(headers) {
+        const units = { weight: 'kg', distance: 'm' };
+
+        headers.forEach(header => {
+            const match = String(header).match(/^(weight|distance)(?:\s*\(([^)]+)\)|_(\w+))$/i);
+            if (!match) return;
+
+            const unit = UnitConverter.normalizeUnit(match[2] || match[3]);
+            if (unit) units[match[1].toLowerCase()] = unit;
+        });
+
+        return units;
+    }
+
+    /**
+     * Detect source units from multi-section settings ("mass" and "length" columns)
+     * @param {Object} settings - Parsed settings row
+     * @returns {Object} Source units: { weight, distance }
+     */
+    static detectFromSettings(settings) {
+        const mass = UnitConverter.normalizeUnit(settings && settings.mass);
+        const length = UnitConverter.normalizeUnit(settings && settings.length);
+        const imperialLength = length === 'in' || length === 'ft' || length === 'mi';
+
+        return {
+            weight: mass === 'lb' ? 'lb' : 'kg',
+            distance: imperialLength ? 'mi' : 'm'
+        };
+    }
+
+    /**
+     * Round a number to a fixed number of decimals
+     * @param {number} value - Value to round
+     * @param {number} decimals - Decimal places
+     * @returns {number} Rounded value
+     */
+    static round(value, decimals = 1) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * Get a part as a percentage of a total
+     * @param {number} part - Part
+     * @param {number} total - Total
+     * @returns {number|null} Percentage with one decimal, or null without a total
+     */
+    static percent(part, total) {
+        return total > 0 ? UnitConverter.round(part / total * 100, 1) : null;
+    }
+}
+
+UnitConverter.KG_PER_LB = 0.45359237;
+
+UnitConverter.METERS_PER_UNIT = { m: 1, km: 1000, mi: 1609.344, ft: 0.3048, cm: 0.01, in: 0.0254 };
+
+UnitConverter.SYSTEMS = {
+    metric: { weight: 'kg', distance: 'km' },
+    imperial: { weight: 'lb', distance: 'mi' }
+};
+
+UnitConverter.ALIASES = {
+    kg: 'kg', kgs: 'kg', kilograms: 'kg',
+    lb: 'lb', lbs: 'lb', pounds: 'lb',
+    m: 'm', meters: 'm', metres: 'm',
+    km: 'km', kilometers: 'km', kilometres: 'km',
+    mi: 'mi', miles: 'mi',
+    ft: 'ft', feet: 'ft',
+    cm: 'cm', in: 'in', inches: 'in'
+};
+
+/**
+ * Local calendar days
+ * Days and weeks are the user's local ones, so a workout at 23:30 counts on the day it was done.
+ */
+class LocalDate {
+    /**
+     * Read a date argument, taking a bare YYYY-MM-DD string as local midnight rather than UTC
+     * @param {Date|string|number} value - Date, date string or timestamp in milliseconds
+     * @returns {Date} Date (invalid if the value can't be read)
+     */
+    static parse(value) {
+        if (value instanceof Date) return new Date(value.getTime());
+
+        const match = typeof value === 'string' && value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (match) return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+
+        return new Date(value);
+    }
+
+    /**
+     * Format a date as a local calendar day
+     * @param {Date} date - Date
+     * @returns {string} YYYY-MM-DD
+     */
+    static dayKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Get local midnight of the Monday that starts the week of a date
+     * @param {Date} date - Date
+     * @returns {Date} Start of the week
+     */
+    static startOfWeek(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7);
+    }
+
+    /**
+     * Get the Monday that starts the week of a date
+     * @param {Date} date - Date
+     * @returns {string} Local date as YYYY-MM-DD
+     */
+    static weekStart(date) {
+        return LocalDate.dayKey(LocalDate.startOfWeek(date));
+    }
+}
+
+/**
+ * Links exercise entries to the workout sessions they were done in
+ * Shared by the schema, merger, diff and serializer so they all agree on which sets belong to which session.
+ */
+class SessionLinker {
+    /**
+     * Group exercise entries under their workout sessions
+     * Entries with a workout_id (Strong, Hevy) link by ID. Other entries link to the session whose window
+     * holds the time their sets were done, falling back to the earliest session on the day they were logged.
+     * @param {Object} data - Parsed workout data
+     * @returns {Object} { workouts: [{ session, start, end, entries }] in session order, orphans },
+     *   start and end in milliseconds (NaN if unknown)
+     */
+    static link(data) {
+        const byId = new Map();
+        const workouts = (data.workoutSessions || []).map(session => {
+            const start = session.starttime ? session.starttime * 1000 : new Date(session.TIMESTAMP).getTime();
+            const end = session.endtime ? session.endtime * 1000 : start + (session.total_time || 0) * 1000;
+            const workout = { session, start, end: Math.max(start, end), entries: [] };
+            byId.set(String(session._id), workout);
+            return workout;
+        });
+
+        const byDay = new Map();
+        workouts.filter(workout => !isNaN(workout.start))
+            .sort((a, b) => a.start - b.start)
+            .forEach(workout => {
+                const day = LocalDate.dayKey(new Date(workout.start));
+                if (!byDay.has(day)) byDay.set(day, workout);
+            });
+
+        const orphans = [];
+        (data.exercises || []).forEach(entry => {
+            const workout = entry.workout_id !== undefined
+                ? byId.get(String(entry.workout_id))
+                : SessionLinker._findByTime(entry, workouts, byDay);
+
+            if (workout) {
+                workout.entries.push(entry);
+            } else {
+                orphans.push(entry);
+            }
+        });
+
+        return { workouts, orphans };
+    }
+
+    /**
+     * Find the session a multi-section entry was done in
+     * @param {Object} entry - Parsed exercise entry
+     * @param {Array} workouts - Linked workouts
+     * @param {Map} byDay - Earliest workout per local day
+     * @returns {Object|null} Workout, or null if the entry isn't part of one
+     */
+    static _findByTime(entry, workouts, byDay) {
+        const doneAt = entry.setdonetime ? entry.setdonetime * 1000 : NaN;
+        const during = isNaN(doneAt) ? null : workouts.find(workout => doneAt >= workout.start && doneAt <= workout.end);
+        if (during) return during;
+
+        const date = isNaN(doneAt) ? new Date(entry.TIMESTAMP) : new Date(doneAt);
+        return isNaN(date.getTime()) ? null : byDay.get(LocalDate.dayKey(date)) || null;
+    }
+}
+
+/**
+ * Rate of perceived exertion (RPE) and reps in reserve (RIR)
+ * RPE 10 is a maximal set, RPE 8 leaves two reps in reserve. The percentage chart follows the
+ * common RTS table, where each reps-in-reserve step counts as one extra rep.
+ */
+class RPEScale {
+    /**
+     * Parse an RPE value from a CSV field
+     * @param {string|number} value - Raw value, e.g. "8", "8.5" or 9
+     * @returns {number|null} RPE between 1 and 10, or null if empty or invalid
+     */
+    static parse(value) {
+        if (value === null || value === undefined || String(value).trim() === '') return null;
+
+        const rpe = Number(value);
+        return RPEScale.isValid(rpe) ? rpe : null;
+    }
+
+    /**
+     * Check whether a value is a usable RPE
+     * @param {number} rpe - RPE value
+     * @returns {boolean} True for a number from 1 to 10
+     */
+    static isValid(rpe) {
+        return typeof rpe === 'number' && !isNaN(rpe) && rpe >= 1 && rpe <= 10;
+    }
+
+    /**
+     * Convert RPE to reps in reserve
+     * @param {number|null} rpe - RPE value
+     * @returns {number|null} Reps in reserve, or null without an RPE
+     */
+    static toRIR(rpe) {
+        return RPEScale.isValid(rpe) ? 10 - rpe : null;
+    }
+
+    /**
+     * Convert reps in reserve to RPE
+     * @param {string|number} rir - Reps in reserve
+     * @returns {number|null} RPE, or null if the value isn't 0-9
+     */
+    static fromRIR(rir) {
+        if (rir === null || rir === undefined || String(rir).trim() === '') return null;
+
+        const value = Number(rir);
+        return !isNaN(value) && value >= 0 && value <= 9 ? 10 - value : null;
+    }
+
+    /**
+     * Percentage of one-rep max a set of reps at an RPE corresponds to
+     * @param {number} reps - Reps performed
+     * @param {number} rpe - RPE of the set (rounded to the nearest half point)
+     * @returns {number|null} Percentage, or null outside the chart (1-12 reps, RPE 6.5-10)
+     */
+    static percentOfMax(reps, rpe) {
+        const rounded = Math.round(rpe * 2) / 2;
+        if (reps < 1 || reps > 12 || rounded < 6.5 || rounded > 10) return null;
+
+        const effectiveReps = reps + (10 - rounded);
+        return RPEScale.PERCENT_OF_MAX[(effectiveReps - 1) * 2];
+    }
+
+    /**
+     * Build the RPE and RIR fields of a set
+     * @param {string|number} rpe - Raw RPE value
+     * @param {string|number} rir - Raw RIR value, used when there is no RPE
+     * @returns {Object} { rpe, rir } as numbers or null
+     */
+    static fields(rpe, rir) {
+        const value = RPEScale.parse(rpe);
+        const effort = value !== null ? value : RPEScale.fromRIR(rir);
+        return { rpe: effort, rir: RPEScale.toRIR(effort) };
+    }
+}
+
+// Percentage of one-rep max by effective reps (reps + reps in reserve), in half-rep steps from 1 to 15.5
+RPEScale.PERCENT_OF_MAX = [
+    100, 97.8, 95.5, 93.9, 92.2, 90.7, 89.2, 87.8, 86.3, 85.0,
+    83.7, 82.4, 81.1, 79.9, 78.6, 77.4, 76.2, 75.1, 73.9, 72.3,
+    70.7, 69.4, 68.0, 66.7, 65.3, 64.0, 62.6, 61.3, 59.9, 58.6
+];
+
+// RPE bands used by EnhancedWorkoutAnalyzer.getIntensityDistribution()
+RPEScale.ZONES = [
+    { zone: 'easy', label: 'Easy (RPE 6 or less)', min: 1, max: 6 },
+    { zone: 'moderate', label: 'Moderate (RPE 6.5-7.5)', min: 6.5, max: 7.5 },
+    { zone: 'hard', label: 'Hard (RPE 8-9)', min: 8, max: 9 },
+    { zone: 'maximal', label: 'Maximal (RPE 9.5-10)', min: 9.5, max: 10 }
+];
+
+/**
+ * Collects parse warnings, errors and per-section row counts
+ * Errors are rows that were dropped; warnings are rows kept with suspicious or defaulted values.
+ */
+class ParseDiagnostics {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Clear all collected issues and counts
+     */
+    reset() {
+        this.errors = [];
+        this.warnings = [];
+        this.sections = {};
+    }
+
+    /**
+     * Record a dropped row
+     * @param {string} reason - Why the row was dropped
+     * @param {Object} context - Where it happened: { line, section, raw }
+     */
+    error(reason, context = {}) {
+        this.errors.push(this._createIssue('error', reason, context));
+    }
+
+    /**
+     * Record a row that was kept but may be wrong
+     * @param {string} reason - What looks wrong
+     * @param {Object} context - Where it happened: { line, section, raw }
+     */
+    warning(reason, context = {}) {
+        this.warnings.push(this._createIssue('warning', reason, context));
+    }
+
+    /**
+     * Count a data row read from a section
+     * @param {string} section - Section name
+     */
+    rowRead(section) {
+        this._getSection(section).read++;
+    }
+
+    /**
+     * Count a data row kept in the parsed result
+     * @param {string} section - Section name
+     */
+    rowKept(section) {
+        this._getSection(section).kept++;
+    }
+
+    /**
+     * Check whether anything was reported
+     * @returns {boolean} True if there are warnings or errors
+     */
+    hasIssues() {
+        return this.errors.length > 0 || this.warnings.length > 0;
+    }
+
+    /**
+     * Get a plain report that can be attached to parsed data and serialized
+     * @returns {Object} { errors, warnings, sections, rowsRead, rowsKept }
+     */
+    getReport() {
+        const sections = Object.values(this.sections);
+
+        return {
+            errors: this.errors.slice(),
+            warnings: this.warnings.slice(),
+            sections: JSON.parse(JSON.stringify(this.sections)),
+            rowsRead: sections.reduce((sum, section) => sum + section.read, 0),
+            rowsKept: sections.reduce((sum, section) => sum + section.kept, 0)
+        };
+    }
+
+    /**
+     * Format a single issue for display, e.g. "Line 12 [notes]: Row has no header line"
+     * @param {Object} issue - Warning or error from a report
+     * @returns {string} Human readable description
+     */
+    static formatIssue(issue) {
+        const location = [
+            issue.source || null,
+            issue.line ? `Line ${issue.line}` : null,
+            issue.section ? `[${issue.section}]` : null
+        ].filter(Boolean).join(' ');
+
+        return `${location ? location + ': ' : ''}${issue.reason}`;
+    }
+
+    /**
+     * Build an issue entry
+     * @param {string} level - 'error' or 'warning'
+     * @param {string} reason - Description of the problem
+     * @param {Object} context - { line, section, raw }
+     * @returns {Object} Issue entry
+     */
+    _createIssue(level, reason, context) {
+        const raw = context.raw === undefined ? null : String(context.raw);
+
+        return {
+            level,
+            line: context.line || null,
+            section: context.section || null,
+            raw: raw && raw.length > ParseDiagnostics.MAX_RAW_LENGTH
+                ? raw.slice(0, ParseDiagnostics.MAX_RAW_LENGTH) + '…'
+                : raw,
+            reason
+        };
+    }
+
+    /**
+     * Get (and create if needed) the row counts for a section
+     * @param {string} section - Section name
+     * @returns {Object} { read, kept }
+     */
+    _getSection(section) {
+        if (!this.sections[section]) {
+            this.sections[section] = { read: 0, kept: 0 };
+        }
+        return this.sections[section];
+    }
+}
+
+// Raw row text longer than this is truncated in reports
+ParseDiagnostics.MAX_RAW_LENGTH = 200;
+
+/**
+ * Catalog of canonical exercises with aliases and fuzzy name matching
+ * Names are compared as sets of normalized words, so "Bench Press (Barbell)", "Barbell Bench Press"
+ * and "barbell bench press" resolve to the same exercise. Unknown names get an ID derived the same way,
+ * so spelling variants of a custom exercise still group together.
+ */
+class ExerciseCatalog {
+    /**
+     * @param {Object} options - Catalog options
+     * @param {boolean} options.builtIn - Load the built-in exercises (default: true)
+     * @param {Array} options.exercises - Extra exercises: [{ id, name, aliases, primary, secondary, equipment }]
+     * @param {Object} options.aliases - Custom alias map: { 'My Bench': 'barbell-bench-press' or 'Bench Press (Barbell)' }
+     * @param {number} options.minScore - Lowest fuzzy match score accepted, between 0 and 1 (default: 0.8)
+     */
+    constructor(options = {}) {
+        this.exercises = new Map();
+        this.keys = new Map();
+        this.cache = new Map();
+        this.minScore = options.minScore === undefined ? ExerciseCatalog.MIN_SCORE : options.minScore;
+        
+        if (options.builtIn !== false) {
+            ExerciseCatalog.BUILT_IN_EXERCISES.forEach(exercise => this.addExercise(exercise));
+        }
+        (options.exercises || []).forEach(exercise => this.addExercise(exercise));
+        
+        Object.entries(options.aliases || {}).forEach(([alias, target]) => this.addAlias(alias, target));
+    }
+
+    /**
+     * Add an exercise, replacing any exercise with the same ID
+     * @param {Object} exercise - { id, name, aliases }
+     * @returns {ExerciseCatalog} This catalog, for chaining
+     */
+    addExercise(exercise) {
+        if (!exercise || !exercise.id || !exercise.name) {
+            throw new Error('Catalog exercise must have an id and a name');
+        }
+        
+        const entry = { ...exercise, aliases: (exercise.aliases || []).slice() };
+        this.exercises.set(entry.id, entry);
+        
+        [entry.name, ...entry.aliases].forEach(name => this.keys.set(ExerciseCatalog.normalize(name), entry.id));
+        this.cache.clear();
+        
+        return this;
+    }
+
+    /**
+     * Map a name to an exercise
+     * The target may be an exercise ID or a name; a name that isn't in the catalog becomes a new exercise,
+     * which is how renamed custom exercises are merged ("Old Name" -> "New Name").
+     * @param {string} alias - Name to map
+     * @param {string} target - Exercise ID or name
+     * @returns {ExerciseCatalog} This catalog, for chaining
+     */
+    addAlias(alias, target) {
+        let id = this.exercises.has(target) ? target : null;
+        
+        if (!id) {
+            const match = this.resolve(target, { fuzzy: false });
+            id = match.matched ? match.id : null;
+        }
+        if (!id) {
+            id = ExerciseCatalog.slugify(target);
+            this.addExercise({ id, name: target, aliases: [] });
+        }
+        
+        this.exercises.get(id).aliases.push(alias);
+        this.keys.set(ExerciseCatalog.normalize(alias), id);
+        this.cache.clear();
+        
+        return this;
+    }
+
+    /**
+     * Get an exercise by ID
+     * @param {string} id - Exercise ID
+     * @returns {Object|undefined} { id, name, aliases }
+     */
+    getExercise(id) {
+        return this.exercises.get(id);
+    }
+
+    /**
+     * Get every exercise in the catalog
+     * @returns {Array} Exercises: [{ id, name, aliases }]
+     */
+    getExercises() {
+        return Array.from(this.exercises.values());
+    }
+
+    /**
+     * Resolve a recorded exercise name to a canonical exercise
+     * @param {string} name - Exercise name as it appears in the data
+     * @param {Object} options - Resolve options
+     * @param {boolean} options.fuzzy - Allow typo-tolerant matches (default: true)
+     * @returns {Object} { id, name, originalName, matched, match: 'exact'|'fuzzy'|'none', score }
+     */
+    resolve(name, options = {}) {
+        const originalName = String(name === undefined || name === null ? '' : name).trim();
+        const fuzzy = options.fuzzy !== false;
+        const cacheKey = `${fuzzy ? 1 : 0}:${originalName}`;
+        
+        if (this.cache.has(cacheKey)) {
+            return { ...this.cache.get(cacheKey), originalName };
+        }
+        
+        const key = ExerciseCatalog.normalize(originalName);
+        let result;
+        
+        if (this.keys.has(key)) {
+            result = this._createMatch(this.keys.get(key), 'exact', 1);
+        } else {
+            const best = fuzzy ? this._findFuzzyMatch(key) : null;
+            result = best
+                ? this._createMatch(best.id, 'fuzzy', best.score)
+                : { id: ExerciseCatalog.slugify(originalName), name: originalName, matched: false, match: 'none', score: 0 };
+        }
+        
+        this.cache.set(cacheKey, result);
+        return { ...result, originalName };
+    }
+
+    /**
+     * Build a resolve() result for a catalog exercise
+     * @param {string} id - Exercise ID
+     * @param {string} match - 'exact' or 'fuzzy'
+     * @param {number} score - Match score
+     * @returns {Object} Match result without originalName
+     */
+    _createMatch(id, match, score) {
+        return { id, name: this.exercises.get(id).name, matched: true, match, score };
+    }
+
+    /**
+     * Find the closest catalog name with the same number of words, allowing small typos in each word
+     * @param {string} key - Normalized name
+     * @returns {Object|null} { id, score } of the best match at or above minScore
+     */
+    _findFuzzyMatch(key) {
+        const words = key.split(' ').filter(Boolean);
+        if (words.length === 0) return null;
+        
+        let best = null;
+        
+        this.keys.forEach((id, candidateKey) => {
+            const candidateWords = candidateKey.split(' ');
+            if (candidateWords.length !== words.length) return;
+            
+            const score = ExerciseCatalog._scoreWords(words, candidateWords);
+            if (score >= this.minScore && (!best || score > best.score)) {
+                best = { id, score: Math.round(score * 100) / 100 };
+            }
+        });
+        
+        return best;
+    }
+
+    /**
+     * Score how closely two word lists match; each word may differ by one or two typos depending on its length
+     * @param {Array} words - Words of the recorded name
+     * @param {Array} candidateWords - Words of a catalog name
+     * @returns {number} 0 if any word has no close counterpart, otherwise 1 - edits / characters
+     */
+    static _scoreWords(words, candidateWords) {
+        const unused = candidateWords.slice();
+        let edits = 0;
+        let length = 0;
+        
+        for (const word of words) {
+            const allowed = word.length >= 8 ? 2 : (word.length >= 4 ? 1 : 0);
+            let bestIndex = -1;
+            let bestDistance = Infinity;
+            
+            unused.forEach((candidate, index) => {
+                const distance = ExerciseCatalog._editDistance(word, candidate);
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    bestIndex = index;
+                }
+            });
+            
+            if (bestDistance > allowed) return 0;
+            
+            edits += bestDistance;
+            length += Math.max(word.length, unused[bestIndex].length);
+            unused.splice(bestIndex, 1);
+        }
+        
+        return 1 - edits / length;
+    }
+
+    /**
+     * Levenshtein distance between two words
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @returns {number} Number of single-character edits
+     */
+    static _editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+        
+        return previous[b.length];
+    }
+
+    /**
+     * Normalize a name into a sorted, de-duplicated list of words
+     * @param {string} name - Exercise name
+     * @returns {string} Normalized key, e.g. "barbell bench press"
+     */
+    static normalize(name) {
+        const words = String(name || '')
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .split(' ')
+            .filter(Boolean)
+            .map(word => ExerciseCatalog.WORD_SYNONYMS[word] || word)
+            .join(' ')
+            .split(' ')
+            .filter(word => !ExerciseCatalog.STOP_WORDS.includes(word));
+        
+        return Array.from(new Set(words)).sort().join(' ');
+    }
+
+    /**
+     * Derive an ID from a name that isn't in the catalog
+     * @param {string} name - Exercise name
+     * @returns {string} ID such as "custom:machine-seated-leg-curl" (words sorted as in normalize())
+     */
+    static slugify(name) {
+        return `custom:${ExerciseCatalog.normalize(name).replace(/ /g, '-') || 'unnamed'}`;
+    }
+}
+
+// Lowest fuzzy match score accepted by default
+ExerciseCatalog.MIN_SCORE = 0.8;
+
+// Words dropped before comparing names
+ExerciseCatalog.STOP_WORDS = ['the', 'a', 'with', 'on', 'of'];
+
+// Abbreviations, plurals and spelling variants mapped to one word (multi-word values are split again)
+ExerciseCatalog.WORD_SYNONYMS = {
+    bb: 'barbell', db: 'dumbbell', dbs: 'dumbbell', dumbbells: 'dumbbell', barbells: 'barbell',
+    kb: 'kettlebell', kettlebells: 'kettlebell', cables: 'cable', machines: 'machine',
+    bicep: 'biceps', tricep: 'triceps',
+    pullup: 'pull up', pullups: 'pull up', pushup: 'push up', pushups: 'push up', chinup: 'chin up', chinups: 'chin up',
+    ups: 'up', curls: 'curl', raises: 'raise', presses: 'press', rows: 'row', extensions: 'extension',
+    squats: 'squat', deadlifts: 'deadlift', lunges: 'lunge', flyes: 'fly', flies: 'fly', flys: 'fly',
+    dips: 'dip', crunches: 'crunch', shrugs: 'shrug', thrusts: 'thrust', pulldowns: 'pulldown',
+    pushdowns: 'pushdown', skullcrushers: 'skullcrusher', twists: 'twist', planks: 'plank'
+};
+
+// Built-in exercises named the way Strong names them, with names used by other apps as aliases,
+// the muscle groups they train (see MuscleTaxonomy) and the equipment they use
+ExerciseCatalog.BUILT_IN_EXERCISES = [
+    { id: 'barbell-bench-press', name: 'Bench Press (Barbell)', aliases: ['Bench Press', 'Flat Bench Press', 'Flat Barbell Bench Press'],
+      primary: ['chest'], secondary: ['triceps', 'shoulders'], equipment: 'barbell' },
+    { id: 'dumbbell-bench-press', name: 'Bench Press (Dumbbell)', aliases: ['Dumbbell Press', 'Flat Dumbbell Press'],
+      primary: ['chest'], secondary: ['triceps', 'shoulders'], equipment: 'dumbbell' },
+    { id: 'incline-barbell-bench-press', name: 'Incline Bench Press (Barbell)', aliases: ['Incline Bench Press'],
+      primary: ['chest'], secondary: ['shoulders', 'triceps'], equipment: 'barbell' },
+    { id: 'incline-dumbbell-bench-press', name: 'Incline Bench Press (Dumbbell)', aliases: ['Incline Dumbbell Press'],
+      primary: ['chest'], secondary: ['shoulders', 'triceps'], equipment: 'dumbbell' },
+    { id: 'decline-barbell-bench-press', name: 'Decline Bench Press (Barbell)', aliases: ['Decline Bench Press'],
+      primary: ['chest'], secondary: ['triceps'], equipment: 'barbell' },
+    { id: 'close-grip-bench-press', name: 'Bench Press - Close Grip (Barbell)', aliases: ['Close Grip Bench Press'],
+      primary: ['triceps'], secondary: ['chest', 'shoulders'], equipment: 'barbell' },
+    { id: 'dumbbell-fly', name: 'Chest Fly (Dumbbell)', aliases: ['Dumbbell Fly', 'Flat Dumbbell Fly'],
+      primary: ['chest'], secondary: ['shoulders'], equipment: 'dumbbell' },
+    { id: 'cable-crossover', name: 'Cable Crossover', aliases: ['Cable Fly', 'Cable Chest Fly'],
+      primary: ['chest'], secondary: ['shoulders'], equipment: 'cable' },
+    { id: 'push-up', name: 'Push Up', aliases: ['Press Up'],
+      primary: ['chest'], secondary: ['triceps', 'shoulders'], equipment: 'bodyweight' },
+    { id: 'chest-dip', name: 'Chest Dip', aliases: ['Dip', 'Parallel Bar Dip'],
+      primary: ['chest', 'triceps'], secondary: ['shoulders'], equipment: 'bodyweight' },
+    { id: 'barbell-overhead-press', name: 'Overhead Press (Barbell)', aliases: ['Overhead Press', 'OHP', 'Military Press', 'Standing Barbell Press', 'Barbell Shoulder Press'],
+      primary: ['shoulders'], secondary: ['triceps'], equipment: 'barbell' },
+    { id: 'dumbbell-shoulder-press', name: 'Shoulder Press (Dumbbell)', aliases: ['Seated Dumbbell Press', 'Overhead Press (Dumbbell)'],
+      primary: ['shoulders'], secondary: ['triceps'], equipment: 'dumbbell' },
+    { id: 'dumbbell-lateral-raise', name: 'Lateral Raise (Dumbbell)', aliases: ['Lateral Raise', 'Side Lateral Raise'],
+      primary: ['shoulders'], secondary: [], equipment: 'dumbbell' },
+    { id: 'cable-face-pull', name: 'Face Pull (Cable)', aliases: ['Face Pull'],
+      primary: ['shoulders'], secondary: ['traps', 'back'], equipment: 'cable' },
+    { id: 'dumbbell-reverse-fly', name: 'Reverse Fly (Dumbbell)', aliases: ['Rear Delt Fly', 'Reverse Fly'],
+      primary: ['shoulders'], secondary: ['back'], equipment: 'dumbbell' },
+    { id: 'barbell-squat', name: 'Squat (Barbell)', aliases: ['Squat', 'Back Squat', 'Barbell Back Squat', 'High Bar Squat'],
+      primary: ['quads', 'glutes'], secondary: ['hamstrings', 'abs'], equipment: 'barbell' },
+    { id: 'barbell-front-squat', name: 'Front Squat (Barbell)', aliases: ['Front Squat'],
+      primary: ['quads'], secondary: ['glutes', 'abs'], equipment: 'barbell' },
+    { id: 'goblet-squat', name: 'Goblet Squat (Kettlebell)', aliases: ['Goblet Squat', 'Goblet Squat (Dumbbell)'],
+      primary: ['quads', 'glutes'], secondary: ['abs'], equipment: 'kettlebell' },
+    { id: 'leg-press', name: 'Leg Press', aliases: ['Leg Press (Machine)'],
+      primary: ['quads'], secondary: ['glutes', 'hamstrings'], equipment: 'machine' },
+    { id: 'bulgarian-split-squat', name: 'Bulgarian Split Squat', aliases: ['Bulgarian Split Squat (Dumbbell)', 'Split Squat'],
+      primary: ['quads', 'glutes'], secondary: ['hamstrings'], equipment: 'dumbbell' },
+    { id: 'dumbbell-lunge', name: 'Lunge (Dumbbell)', aliases: ['Lunge', 'Walking Lunge (Dumbbell)'],
+      primary: ['quads', 'glutes'], secondary: ['hamstrings'], equipment: 'dumbbell' },
+    { id: 'leg-extension', name: 'Leg Extension (Machine)', aliases: ['Leg Extension'],
+      primary: ['quads'], secondary: [], equipment: 'machine' },
+    { id: 'lying-leg-curl', name: 'Lying Leg Curl (Machine)', aliases: ['Lying Leg Curl', 'Leg Curl'],
+      primary: ['hamstrings'], secondary: ['calves'], equipment: 'machine' },
+    { id: 'seated-leg-curl', name: 'Seated Leg Curl (Machine)', aliases: ['Seated Leg Curl'],
+      primary: ['hamstrings'], secondary: [], equipment: 'machine' },
+    { id: 'standing-calf-raise', name: 'Standing Calf Raise (Machine)', aliases: ['Standing Calf Raise', 'Calf Raise'],
+      primary: ['calves'], secondary: [], equipment: 'machine' },
+    { id: 'seated-calf-raise', name: 'Seated Calf Raise (Machine)', aliases: ['Seated Calf Raise'],
+      primary: ['calves'], secondary: [], equipment: 'machine' },
+    { id: 'barbell-hip-thrust', name: 'Hip Thrust (Barbell)', aliases: ['Hip Thrust'],
+      primary: ['glutes'], secondary: ['hamstrings'], equipment: 'barbell' },
+    { id: 'barbell-deadlift', name: 'Deadlift (Barbell)', aliases: ['Deadlift', 'Conventional Deadlift'],
+      primary: ['hamstrings', 'glutes', 'back'], secondary: ['quads', 'traps', 'forearms'], equipment: 'barbell' },
+    { id: 'barbell-romanian-deadlift', name: 'Romanian Deadlift (Barbell)', aliases: ['Romanian Deadlift', 'RDL'],
+      primary: ['hamstrings', 'glutes'], secondary: ['back'], equipment: 'barbell' },
+    { id: 'dumbbell-romanian-deadlift', name: 'Romanian Deadlift (Dumbbell)', aliases: ['Dumbbell RDL'],
+      primary: ['hamstrings', 'glutes'], secondary: ['back'], equipment: 'dumbbell' },
+    { id: 'sumo-deadlift', name: 'Sumo Deadlift (Barbell)', aliases: ['Sumo Deadlift'],
+      primary: ['glutes', 'hamstrings', 'quads'], secondary: ['back', 'traps'], equipment: 'barbell' },
+    { id: 'trap-bar-deadlift', name: 'Deadlift (Trap bar)', aliases: ['Trap Bar Deadlift', 'Hex Bar Deadlift'],
+      primary: ['quads', 'glutes', 'hamstrings'], secondary: ['back', 'traps'], equipment: 'trap-bar' },
+    { id: 'pull-up', name: 'Pull Up', aliases: [],
+      primary: ['back'], secondary: ['biceps'], equipment: 'bodyweight' },
+    { id: 'chin-up', name: 'Chin Up', aliases: [],
+      primary: ['back', 'biceps'], secondary: [], equipment: 'bodyweight' },
+    { id: 'lat-pulldown', name: 'Lat Pulldown (Cable)', aliases: ['Lat Pulldown', 'Lat Pull Down', 'Lat Pulldown (Machine)'],
+      primary: ['back'], secondary: ['biceps'], equipment: 'cable' },
+    { id: 'barbell-row', name: 'Bent Over Row (Barbell)', aliases: ['Barbell Row', 'Bent Over Row'],
+      primary: ['back'], secondary: ['biceps', 'shoulders'], equipment: 'barbell' },
+    { id: 'dumbbell-row', name: 'Bent Over One Arm Row (Dumbbell)', aliases: ['Dumbbell Row', 'One Arm Dumbbell Row', 'Single Arm Dumbbell Row'],
+      primary: ['back'], secondary: ['biceps'], equipment: 'dumbbell' },
+    { id: 'seated-cable-row', name: 'Seated Row (Cable)', aliases: ['Seated Cable Row', 'Cable Row'],
+      primary: ['back'], secondary: ['biceps'], equipment: 'cable' },
+    { id: 't-bar-row', name: 'T Bar Row', aliases: [],
+      primary: ['back'], secondary: ['biceps'], equipment: 'barbell' },
+    { id: 'barbell-shrug', name: 'Shrug (Barbell)', aliases: ['Shrug'],
+      primary: ['traps'], secondary: ['forearms'], equipment: 'barbell' },
+    { id: 'dumbbell-shrug', name: 'Shrug (Dumbbell)', aliases: [],
+      primary: ['traps'], secondary: ['forearms'], equipment: 'dumbbell' },
+    { id: 'barbell-curl', name: 'Bicep Curl (Barbell)', aliases: ['Barbell Curl'],
+      primary: ['biceps'], secondary: ['forearms'], equipment: 'barbell' },
+    { id: 'dumbbell-curl', name: 'Bicep Curl (Dumbbell)', aliases: ['Dumbbell Curl', 'Bicep Curl'],
+      primary: ['biceps'], secondary: ['forearms'], equipment: 'dumbbell' },
+    { id: 'hammer-curl', name: 'Hammer Curl (Dumbbell)', aliases: ['Hammer Curl'],
+      primary: ['biceps', 'forearms'], secondary: [], equipment: 'dumbbell' },
+    { id: 'preacher-curl', name: 'Preacher Curl (Barbell)', aliases: ['Preacher Curl', 'EZ Bar Preacher Curl'],
+      primary: ['biceps'], secondary: [], equipment: 'barbell' },
+    { id: 'triceps-pushdown', name: 'Triceps Pushdown (Cable - Straight Bar)', aliases: ['Triceps Pushdown', 'Cable Pushdown'],
+      primary: ['triceps'], secondary: [], equipment: 'cable' },
+    { id: 'triceps-extension', name: 'Triceps Extension (Dumbbell)', aliases: ['Overhead Triceps Extension', 'Triceps Extension'],
+      primary: ['triceps'], secondary: [], equipment: 'dumbbell' },
+    { id: 'skullcrusher', name: 'Skullcrusher (Barbell)', aliases: ['Skull Crusher', 'Skullcrusher', 'Lying Triceps Extension'],
+      primary: ['triceps'], secondary: [], equipment: 'barbell' },
+    { id: 'crunch', name: 'Crunch', aliases: ['Ab Crunch'],
+      primary: ['abs'], secondary: [], equipment: 'bodyweight' },
+    { id: 'plank', name: 'Plank', aliases: ['Front Plank'],
+      primary: ['abs'], secondary: [], equipment: 'bodyweight' },
+    { id: 'hanging-leg-raise', name: 'Hanging Leg Raise', aliases: [],
+      primary: ['abs'], secondary: ['forearms'], equipment: 'bodyweight' },
+    { id: 'cable-crunch', name: 'Cable Crunch', aliases: [],
+      primary: ['abs'], secondary: [], equipment: 'cable' },
+    { id: 'russian-twist', name: 'Russian Twist', aliases: [],
+      primary: ['abs'], secondary: [], equipment: 'bodyweight' },
+    { id: 'running', name: 'Running', aliases: ['Run', 'Running (Treadmill)', 'Treadmill Running', 'Jogging'],
+      primary: ['cardio'], secondary: [], equipment: 'none' },
+    { id: 'cycling', name: 'Cycling', aliases: ['Bike', 'Stationary Bike', 'Cycling (Indoor)'],
+      primary: ['cardio'], secondary: [], equipment: 'machine' },
+    { id: 'rowing-machine', name: 'Rowing (Machine)', aliases: ['Rowing Machine', 'Rower'],
+      primary: ['cardio'], secondary: ['back'], equipment: 'machine' },
+    { id: 'walking', name: 'Walking', aliases: ['Walk'],
+      primary: ['cardio'], secondary: [], equipment: 'none' },
+    { id: 'elliptical', name: 'Elliptical Trainer', aliases: ['Elliptical'],
+      primary: ['cardio'], secondary: [], equipment: 'machine' }
+];
+
+/**
+ * Muscle-group and equipment taxonomy shared by every format
+ * Exercises are classified from the catalog first, then from keywords in the name,
+ * then from the multi-section app's numeric body-part code.
+ */
+class MuscleTaxonomy {
+    /**
+     * @param {Object} options - Taxonomy options
+     * @param {ExerciseCatalog} options.catalog - Catalog used to resolve names (default: built-in catalog)
+     */
+    constructor(options = {}) {
+        this.catalog = options.catalog || new ExerciseCatalog();
+        this.cache = new Map();
+    }
+
+    /**
+     * Classify an exercise by the muscles it trains and the equipment it uses
+     * @param {Object|string} exercise - Parsed exercise entry or exercise name
+     * @returns {Object} { exerciseId, primary, secondary, equipment, source: 'catalog'|'keywords'|'bodypart'|'unknown' }
+     */
+    classify(exercise) {
+        const entry = typeof exercise === 'string' ? { exercisename: exercise } : exercise;
+        const name = entry.exercisename || '';
+        const bodyPart = entry.bodypart === undefined || entry.bodypart === '' ? null : String(entry.bodypart);
+        const cacheKey = `${name}\u0001${bodyPart}`;
+        
+        if (!this.cache.has(cacheKey)) {
+            this.cache.set(cacheKey, this._classify(name, bodyPart));
+        }
+        
+        const result = this.cache.get(cacheKey);
+        return { ...result, primary: result.primary.slice(), secondary: result.secondary.slice() };
+    }
+
+    /**
+     * Classify an exercise name (uncached)
+     * @param {string} name - Exercise name
+     * @param {string|null} bodyPart - Multi-section body-part code
+     * @returns {Object} Classification
+     */
+    _classify(name, bodyPart) {
+        const match = this.catalog.resolve(name);
+        const catalogEntry = match.matched ? this.catalog.getExercise(match.id) : null;
+        const equipment = (catalogEntry && catalogEntry.equipment) || MuscleTaxonomy.detectEquipment(name);
+        const result = { exerciseId: match.id, primary: [], secondary: [], equipment, source: 'unknown' };
+        
+        if (catalogEntry && catalogEntry.primary) {
+            return { ...result, primary: catalogEntry.primary, secondary: catalogEntry.secondary || [], source: 'catalog' };
+        }
+        
+        const words = ExerciseCatalog.normalize(name).split(' ');
+        const rule = MuscleTaxonomy.KEYWORD_RULES.find(candidate => candidate.words.every(word => words.includes(word)));
+        if (rule) {
+            return { ...result, primary: rule.primary, secondary: rule.secondary || [], source: 'keywords' };
+        }
+        
+        const codeGroups = bodyPart === null ? null : MuscleTaxonomy.BODY_PART_CODES[bodyPart];
+        if (codeGroups) {
+            return { ...result, primary: codeGroups, source: 'bodypart' };
+        }
+        
+        return result;
+    }
+
+    /**
+     * Get the display label of a muscle group
+     * @param {string} group - Muscle group ID, e.g. 'hamstrings'
+     * @returns {string} Label, e.g. "Hamstrings"
+     */
+    static getLabel(group) {
+        return MuscleTaxonomy.MUSCLE_GROUPS[group] || 'Unknown';
+    }
+
+    /**
+     * Get the muscle groups for a multi-section body-part code
+     * @param {number|string} code - Body-part code from the multi-section export
+     * @returns {Array} Muscle group IDs (empty for unknown codes)
+     */
+    static fromBodyPartCode(code) {
+        return (MuscleTaxonomy.BODY_PART_CODES[String(code)] || []).slice();
+    }
+
+    /**
+     * Detect the equipment type from an exercise name, e.g. the "(Dumbbell)" suffix Strong uses
+     * @param {string} name - Exercise name
+     * @returns {string} Equipment ID, or 'other'
+     */
+    static detectEquipment(name) {
+        const words = ExerciseCatalog.normalize(name).split(' ');
+        const found = MuscleTaxonomy.EQUIPMENT_KEYWORDS.find(([keywords]) => keywords.every(word => words.includes(word)));
+        return found ? found[1] : 'other';
+    }
+}
+
+// Muscle group IDs and their display labels
+MuscleTaxonomy.MUSCLE_GROUPS = {
+    chest: 'Chest',
+    back: 'Back',
+    traps: 'Traps',
+    shoulders: 'Shoulders',
+    biceps: 'Biceps',
+    triceps: 'Triceps',
+    forearms: 'Forearms',
+    abs: 'Abs',
+    quads: 'Quads',
+    hamstrings: 'Hamstrings',
+    glutes: 'Glutes',
+    calves: 'Calves',
+    cardio: 'Cardio'
+};
+
+// Equipment IDs and their display labels
+MuscleTaxonomy.EQUIPMENT = {
+    barbell: 'Barbell',
+    dumbbell: 'Dumbbell',
+    kettlebell: 'Kettlebell',
+    cable: 'Cable',
+    machine: 'Machine',
+    'smith-machine': 'Smith Machine',
+    'trap-bar': 'Trap Bar',
+    band: 'Band',
+    bodyweight: 'Bodyweight',
+    none: 'None',
+    other: 'Other'
+};
+
+// Words in an exercise name that identify its equipment, checked in order
+MuscleTaxonomy.EQUIPMENT_KEYWORDS = [
+    [['smith'], 'smith-machine'],
+    [['trap', 'bar'], 'trap-bar'],
+    [['hex', 'bar'], 'trap-bar'],
+    [['barbell'], 'barbell'],
+    [['ez', 'bar'], 'barbell'],
+    [['dumbbell'], 'dumbbell'],
+    [['kettlebell'], 'kettlebell'],
+    [['cable'], 'cable'],
+    [['machine'], 'machine'],
+    [['band'], 'band'],
+    [['bodyweight'], 'bodyweight'],
+    [['assisted'], 'machine'],
+    [['weighted'], 'bodyweight']
+];
+
+// Rules for names that aren't in the catalog; the first rule whose words all appear in the name wins
+MuscleTaxonomy.KEYWORD_RULES = [
+    { words: ['nordic'], primary: ['hamstrings'] },
+    { words: ['leg', 'curl'], primary: ['hamstrings'] },
+    { words: ['leg', 'extension'], primary: ['quads'] },
+    { words: ['leg', 'press'], primary: ['quads'], secondary: ['glutes', 'hamstrings'] },
+    { words: ['leg', 'raise'], primary: ['abs'] },
+    { words: ['calf'], primary: ['calves'] },
+    { words: ['hip', 'thrust'], primary: ['glutes'], secondary: ['hamstrings'] },
+    { words: ['glute'], primary: ['glutes'] },
+    { words: ['romanian'], primary: ['hamstrings', 'glutes'], secondary: ['back'] },
+    { words: ['deadlift'], primary: ['hamstrings', 'glutes', 'back'], secondary: ['quads', 'traps'] },
+    { words: ['squat'], primary: ['quads', 'glutes'], secondary: ['hamstrings'] },
+    { words: ['lunge'], primary: ['quads', 'glutes'], secondary: ['hamstrings'] },
+    { words: ['step', 'up'], primary: ['quads', 'glutes'] },
+    { words: ['triceps'], primary: ['triceps'] },
+    { words: ['pushdown'], primary: ['triceps'] },
+    { words: ['skullcrusher'], primary: ['triceps'] },
+    { words: ['biceps'], primary: ['biceps'], secondary: ['forearms'] },
+    { words: ['curl'], primary: ['biceps'], secondary: ['forearms'] },
+    { words: ['wrist'], primary: ['forearms'] },
+    { words: ['shrug'], primary: ['traps'] },
+    { words: ['lateral', 'raise'], primary: ['shoulders'] },
+    { words: ['front', 'raise'], primary: ['shoulders'] },
+    { words: ['face', 'pull'], primary: ['shoulders'], secondary: ['traps'] },
+    { words: ['rear', 'delt'], primary: ['shoulders'], secondary: ['back'] },
+    { words: ['shoulder'], primary: ['shoulders'], secondary: ['triceps'] },
+    { words: ['overhead', 'press'], primary: ['shoulders'], secondary: ['triceps'] },
+    { words: ['arnold'], primary: ['shoulders'], secondary: ['triceps'] },
+    { words: ['bench'], primary: ['chest'], secondary: ['triceps', 'shoulders'] },
+    { words: ['chest'], primary: ['chest'], secondary: ['triceps'] },
+    { words: ['pec'], primary: ['chest'] },
+    { words: ['fly'], primary: ['chest'], secondary: ['shoulders'] },
+    { words: ['push', 'up'], primary: ['chest'], secondary: ['triceps', 'shoulders'] },
+    { words: ['dip'], primary: ['chest', 'triceps'], secondary: ['shoulders'] },
+    { words: ['pulldown'], primary: ['back'], secondary: ['biceps'] },
+    { words: ['pull', 'up'], primary: ['back'], secondary: ['biceps'] },
+    { words: ['chin', 'up'], primary: ['back', 'biceps'] },
+    { words: ['row'], primary: ['back'], secondary: ['biceps'] },
+    { words: ['back'], primary: ['back'] },
+    { words: ['crunch'], primary: ['abs'] },
+    { words: ['plank'], primary: ['abs'] },
+    { words: ['sit', 'up'], primary: ['abs'] },
+    { words: ['ab'], primary: ['abs'] },
+    { words: ['running'], primary: ['cardio'] },
+    { words: ['run'], primary: ['cardio'] },
+    { words: ['cycling'], primary: ['cardio'] },
+    { words: ['bike'], primary: ['cardio'] },
+    { words: ['walking'], primary: ['cardio'] },
+    { words: ['swimming'], primary: ['cardio'] },
+    { words: ['elliptical'], primary: ['cardio'] },
+    { words: ['stair'], primary: ['cardio'] }
+];
+
+// Body-part codes used by the multi-section export
+MuscleTaxonomy.BODY_PART_CODES = {
+    '0': ['back'],
+    '1': ['back'],
+    '2': ['biceps'],
+    '3': ['chest'],
+    '6': ['shoulders'],
+    '7': ['triceps'],
+    '8': ['quads', 'hamstrings', 'glutes'],
+    '9': ['calves'],
+    '10': ['cardio']
+};
+
+/**
+ * Canonical, versioned workout data model shared by every source format
+ *
+ * Document shape (weights in kg, distances in meters, dates as ISO strings):
+ * - { schemaVersion, source: { format, parsedAt, units }, units, workouts, exercises, notes }
+ * - Workout: { id, sourceId, name, startedAt, endedAt, durationSeconds, notes }
+ * - ExerciseInstance: { id, workoutId, sourceId, name, order, performedAt, notes, sets }
+ * - Set: { id, index, type, weight, reps, distance, seconds, rpe, notes }
+ * - Note: { id, workoutId, exerciseName, text, date }
+ *
+ * IDs are derived from the data itself, so parsing the same file twice gives the same IDs.
+ * startedAt is null for sessions without a usable start time; those workouts sort last.
+ */
+class WorkoutSchema {
+    /**
+     * Build a canonical document from parsed data (or an old JSON dump of it)
+     * @param {Object} data - Result of MultiFormatWorkoutParser.parse()
+     * @returns {Object} Canonical workout document
+     */
+    static fromParsedData(data) {
+        const format = data.format || (data.settings && data.settings.format) || 'multi-section';
+        
+        const linked = SessionLinker.link(data);
+        const workoutByEntry = new Map();
+        const occurrences = new Map();
+        const workouts = linked.workouts
+            .map(({ session, entries }) => {
+                const workout = WorkoutSchema._createWorkout(session, occurrences);
+                entries.forEach(entry => workoutByEntry.set(entry, workout));
+                return workout;
+            })
+            .sort((a, b) => {
+                if (a.startedAt === null || b.startedAt === null) {
+                    return (a.startedAt === null) - (b.startedAt === null);
+                }
+                return a.startedAt.localeCompare(b.startedAt);
+            });
+        
+        const orderInWorkout = new Map();
+        const exercises = (data.exercises || []).map(entry => {
+            const workout = workoutByEntry.get(entry) || null;
+            const workoutKey = workout ? workout.id : null;
+            const order = (orderInWorkout.get(workoutKey) || 0) + 1;
+            orderInWorkout.set(workoutKey, order);
+            
+            return WorkoutSchema._createExercise(entry, workout, order);
+        });
+        
+        const notes = (data.notes || []).map(entry => WorkoutSchema._createNote(entry));
+        
+        return {
+            schemaVersion: WorkoutSchema.VERSION,
+            source: {
+                format,
+                parsedAt: (data.settings && data.settings.parsedAt) || null,
+                units: data.sourceUnits || { weight: 'kg', distance: 'm' }
+            },
+            units: { weight: 'kg', distance: 'm' },
+            workouts,
+            exercises,
+            notes
+        };
+    }
+
+    /**
+     * Check that a document matches the current schema
+     * @param {Object} doc - Canonical workout document
+     * @returns {Object} { valid, errors: [{ path, message }] }
+     */
+    static validate(doc) {
+        const errors = [];
+        const fail = (path, message) => errors.push({ path, message });
+        const ids = new Set();
+        
+        const checkId = (value, path) => {
+            if (typeof value !== 'string' || value === '') {
+                fail(path, 'must be a non-empty string');
+            } else if (ids.has(value)) {
+                fail(path, `duplicate id "${value}"`);
+            } else {
+                ids.add(value);
+            }
+        };
+        const checkType = (value, type, path, nullable = false) => {
+            if (nullable && value === null) return;
+            if (type === 'date') {
+                if (typeof value !== 'string' || isNaN(new Date(value).getTime())) fail(path, 'must be an ISO date string');
+            } else if (type === 'number') {
+                if (typeof value !== 'number' || !isFinite(value)) fail(path, 'must be a finite number');
+            } else if (typeof value !== type) {
+                fail(path, `must be a ${type}`);
+            }
+        };
+        const checkArray = (value, path) => {
+            if (Array.isArray(value)) return true;
+            fail(path, 'must be an array');
+            return false;
+        };
+        
+        if (!doc || typeof doc !== 'object') {
+            return { valid: false, errors: [{ path: '', message: 'must be an object' }] };
+        }
+        
+        if (doc.schemaVersion !== WorkoutSchema.VERSION) {
+            fail('schemaVersion', `must be ${WorkoutSchema.VERSION}`);
+        }
+        if (!doc.source || typeof doc.source !== 'object') {
+            fail('source', 'must be an object');
+        } else {
+            checkType(doc.source.format, 'string', 'source.format');
+        }
+        if (!doc.units || doc.units.weight !== 'kg' || doc.units.distance !== 'm') {
+            fail('units', 'must be { weight: "kg", distance: "m" }');
+        }
+        
+        const workoutIds = new Set();
+        if (checkArray(doc.workouts, 'workouts')) {
+            doc.workouts.forEach((workout, i) => {
+                const path = `workouts[${i}]`;
+                checkId(workout.id, `${path}.id`);
+                workoutIds.add(workout.id);
+                checkType(workout.name, 'string', `${path}.name`);
+                checkType(workout.startedAt, 'date', `${path}.startedAt`, true);
+                checkType(workout.endedAt, 'date', `${path}.endedAt`, true);
+                checkType(workout.durationSeconds, 'number', `${path}.durationSeconds`, true);
+                checkType(workout.notes, 'string', `${path}.notes`);
+            });
+        }
+        
+        if (checkArray(doc.exercises, 'exercises')) {
+            doc.exercises.forEach((exercise, i) => {
+                const path = `exercises[${i}]`;
+                checkId(exercise.id, `${path}.id`);
+                if (exercise.workoutId !== null && !workoutIds.has(exercise.workoutId)) {
+                    fail(`${path}.workoutId`, `unknown workout "${exercise.workoutId}"`);
+                }
+                checkType(exercise.name, 'string', `${path}.name`);
+                checkType(exercise.order, 'number', `${path}.order`);
+                checkType(exercise.performedAt, 'date', `${path}.performedAt`, true);
+                checkType(exercise.notes, 'string', `${path}.notes`);
+                
+                if (!checkArray(exercise.sets, `${path}.sets`)) return;
+                exercise.sets.forEach((set, j) => {
+                    const setPath = `${path}.sets[${j}]`;
+                    checkId(set.id, `${setPath}.id`);
+                    checkType(set.index, 'number', `${setPath}.index`);
+                    if (!WorkoutSchema.SET_TYPES.includes(set.type)) {
+                        fail(`${setPath}.type`, `must be one of ${WorkoutSchema.SET_TYPES.join(', ')}`);
+                    }
+                    ['weight', 'reps', 'distance', 'seconds'].forEach(field => {
+                        checkType(set[field], 'number', `${setPath}.${field}`);
+                    });
+                    checkType(set.rpe, 'number', `${setPath}.rpe`, true);
+                    checkType(set.notes, 'string', `${setPath}.notes`);
+                });
+            });
+        }
+        
+        if (checkArray(doc.notes, 'notes')) {
+            doc.notes.forEach((note, i) => {
+                const path = `notes[${i}]`;
+                checkId(note.id, `${path}.id`);
+                if (note.workoutId !== null && !workoutIds.has(note.workoutId)) {
+                    fail(`${path}.workoutId`, `unknown workout "${note.workoutId}"`);
+                }
+                checkType(note.exerciseName, 'string', `${path}.exerciseName`, true);
+                checkType(note.text, 'string', `${path}.text`);
+                checkType(note.date, 'date', `${path}.date`, true);
+            });
+        }
+        
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Bring a stored document up to the current schema version
+     * Accepts canonical documents of any earlier version and the unversioned parsed data
+     * that example.js wrote to workout-data.json before the schema existed.
+     * @param {Object|string} input - Document or its JSON text
+     * @returns {Object} Valid canonical document at WorkoutSchema.VERSION
+     */
+    static migrate(input) {
+        let doc = typeof input === 'string' ? JSON.parse(input) : input;
+        
+        if (!doc || typeof doc !== 'object') {
+            throw new Error('Workout document must be an object');
+        }
+        
+        let version = doc.schemaVersion === undefined ? 0 : doc.schemaVersion;
+        if (typeof version !== 'number' || version > WorkoutSchema.VERSION) {
+            throw new Error(`Unsupported schema version ${version} (latest is ${WorkoutSchema.VERSION})`);
+        }
+        
+        while (version < WorkoutSchema.VERSION) {
+            doc = WorkoutSchema.MIGRATIONS[version](doc);
+            version = doc.schemaVersion;
+        }
+        
+        const { valid, errors } = WorkoutSchema.validate(doc);
+        if (!valid) {
+            const details = errors.slice(0, 5).map(error => `${error.path} ${error.message}`).join('; ');
+            throw new Error(`Invalid workout document: ${details}`);
+        }
+        
+        return doc;
+    }
+
+    /**
+     * Derive a short stable ID from the values that identify a record
+     * @param {string} prefix - Record kind, e.g. 'w' for workouts
+     * @param {Array} parts - Identifying values
+     * @returns {string} ID such as "w_1a2b3c4d"
+     */
+    static createId(prefix, parts) {
+        // 32-bit FNV-1a hash
+        let hash = 0x811c9dc5;
+        const text = parts.map(part => String(part === undefined || part === null ? '' : part)).join('\u0001');
+        
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        
+        return `${prefix}_${hash.toString(16).padStart(8, '0')}`;
+    }
+
+    /**
+     * Convert a workout session to a canonical workout
+     * Repeats of the same start and name get the occurrence number in their ID, so the first keeps its usual ID.
+     * @param {Object} session - Parsed workout session
+     * @param {Map} occurrences - Workouts seen so far per start and name, updated in place
+     * @returns {Object} Workout
+     */
+    static _createWorkout(session, occurrences) {
+        const startedAt = WorkoutSchema._toISO(session.starttime ? session.starttime * 1000 : session.TIMESTAMP);
+        const endedAt = session.endtime ? WorkoutSchema._toISO(session.endtime * 1000) : null;
+        const name = session.workout_name || '';
+        const duration = parseFloat(session.total_time);
+        const baseId = WorkoutSchema.createId('w', [startedAt, name]);
+        const occurrence = occurrences.get(baseId) || 0;
+        occurrences.set(baseId, occurrence + 1);
+        
+        return {
+            id: occurrence ? WorkoutSchema.createId('w', [startedAt, name, occurrence]) : baseId,
+            sourceId: session._id === undefined ? null : session._id,
+            name,
+            startedAt,
+            endedAt,
+            durationSeconds: isNaN(duration) ? null : duration,
+            notes: session.description || session.notes || ''
+        };
+    }
+
+    /**
+     * Convert a parsed exercise entry to a canonical exercise instance
+     * @param {Object} entry - Parsed exercise entry
+     * @param {Object|null} workout - Workout it belongs to
+     * @param {number} order - Position within the workout (1-based; file order for unlinked entries)
+     * @returns {Object} ExerciseInstance
+     */
+    static _createExercise(entry, workout, order) {
+        const name = entry.exercisename || '';
+        const performedAt = entry.setdonetime
+            ? WorkoutSchema._toISO(entry.setdonetime * 1000)
+            : WorkoutSchema._toISO(entry.TIMESTAMP);
+        const sourceId = entry.row_id !== undefined ? entry.row_id : null;
+        const id = workout
+            ? `${workout.id}.e${order}`
+            : WorkoutSchema.createId('e', [name, performedAt, sourceId]);
+        
+        return {
+            id,
+            workoutId: workout ? workout.id : null,
+            sourceId,
+            name,
+            order,
+            performedAt,
+            notes: entry.notes || '',
+            sets: (entry.sets || []).map((set, index) => WorkoutSchema._createSet(set, id, index + 1))
+        };
+    }
+
+    /**
+     * Convert a parsed set to a canonical set
+     * @param {Object} set - Parsed set
+     * @param {string} exerciseId - ID of the exercise instance
+     * @param {number} index - Position within the exercise (1-based)
+     * @returns {Object} Set
+     */
+    static _createSet(set, exerciseId, index) {
+        const rpe = parseFloat(set.rpe);
+        
+        return {
+            id: `${exerciseId}.s${index}`,
+            index,
+            type: WorkoutSchema.SET_TYPES.includes(set.setType) ? set.setType : 'normal',
+            weight: set.weight || 0,
+            reps: set.reps || 0,
+            distance: set.distance || 0,
+            seconds: set.seconds || 0,
+            rpe: isNaN(rpe) ? null : rpe,
+            notes: set.notes || ''
+        };
+    }
+
+    /**
+     * Convert a parsed note to a canonical note
+     * @param {Object} entry - Parsed note row
+     * @returns {Object} Note
+     */
+    static _createNote(entry) {
+        const date = WorkoutSchema._toISO(entry.logTime ? entry.logTime * 1000 : (entry.mydate || entry.TIMESTAMP));
+        const text = entry.mynote === undefined ? String(entry.text || '') : String(entry.mynote);
+        
+        return {
+            id: WorkoutSchema.createId('n', [entry._id, date, text]),
+            workoutId: null,
+            exerciseName: entry.title ? String(entry.title) : null,
+            text,
+            date
+        };
+    }
+
+    /**
+     * Convert a date, ISO string or epoch milliseconds to an ISO string
+     * @param {Date|string|number} value - Date value
+     * @returns {string|null} ISO string, or null if the value isn't a date
+     */
+    static _toISO(value) {
+        if (value === undefined || value === null || value === '') return null;
+        
+        const date = value instanceof Date ? value : new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+}
+
+// Current version of the canonical document
+WorkoutSchema.VERSION = 1;
+
+// Set types a canonical set may have
+WorkoutSchema.SET_TYPES = ['normal', 'warmup', 'dropset', 'failure'];
+
+// Upgrades keyed by the version they start from; version 0 is parsed data saved before the schema existed
+WorkoutSchema.MIGRATIONS = {
+    0: data => WorkoutSchema.fromParsedData(data)
+};
+
 class WorkoutParser {
     constructor() {
-        this.data = {
-            settings: {},
+        this.data = {
+            settings: {},
+            routines: [],
+            workoutDays: [],
+            exercises: [],
+            workoutSessions: [],
+            exerciseLogs: [],
+            notes: []
+        };
+        
+        this.currentSection = null;
+        this.currentHeaders = [];
+        this.currentRecord = null;
+        this.sectionHeaders = new Map();
+        this.diagnostics = new ParseDiagnostics();
+        this.catalog = new ExerciseCatalog();
+    }
+
+    /**
+     * Parse the entire CSV content
+     * @param {string} csvContent - The raw CSV content
+     * @returns {Object} Parsed workout data
+     */
+    parse(csvContent) {
+        const reader = this.createSectionReader();
+        const records = new CSVTokenizer({ delimiter: reader.delimiter }).tokenize(csvContent);
+        
+        records.forEach(record => reader.push(record));
+        
+        return reader.finish();
+    }
+
+    /**
+     * Create an incremental reader for multi-section records
+     * Used by parse() and by streaming parses that tokenize the file chunk by chunk.
+     * @returns {Object} Reader: { delimiter, push(record), finish() => parsed data }
+     */
+    createSectionReader() {
+        this.diagnostics.reset();
+        this.currentSection = null;
+        this.currentHeaders = [];
+        
+        return {
+            delimiter: ',',
+            push: record => this.parseSectionRecord(record),
+            finish: () => {
+                this.applySourceUnits();
+                this.data.diagnostics = this.diagnostics.getReport();
+                return this.data;
+            }
+        };
+    }
+
+    /**
+     * Parse one tokenized record of a multi-section file
+     * @param {Object} record - Tokenizer record: { fields, line, raw }
+     */
+    parseSectionRecord(record) {
+        const line = record.raw.trim();
+        const context = { line: record.line, section: this.currentSection, raw: record.raw };
+        
+        // Check for section headers
+        if (line.startsWith('### ')) {
+            this.currentSection = this.getSectionFromHeader(line);
+            this.currentHeaders = [];
+            
+            if (this.currentSection === 'unknown') {
+                const sectionName = line.replace(/^#+/, '').replace(/#+$/, '').trim();
+                this.diagnostics.warning(`Unknown section "${sectionName}"`, { ...context, section: 'unknown' });
+            }
+            return;
+        }
+        
+        // Skip separator lines
+        if (line.startsWith('######')) {
+            return;
+        }
+        
+        if (!this.currentSection) {
+            this.diagnostics.error('Row is outside of any ### section', context);
+            return;
+        }
+        
+        // Parse CSV data based on current section
+        const fields = record.fields;
+        const headers = this.currentHeaders;
+        
+        // Check if this is a header line (first non-comment line in section)
+        if (this.isHeaderLine(fields, this.currentSection)) {
+            this.currentHeaders = fields;
+            this.sectionHeaders.set(this.currentSection, fields);
+            return;
+        }
+        
+        this.diagnostics.rowRead(this.currentSection);
+        
+        if (headers.length === 0) {
+            this.diagnostics.error('Row has no header line in this section', context);
+            return;
+        }
+        
+        if (fields.length !== headers.length) {
+            this.diagnostics.warning(`Row has ${fields.length} fields but the header has ${headers.length}`, context);
+        }
+        
+        // Parse data line
+        this.currentRecord = record;
+        const rowData = this.createRowObject(headers, fields);
+        
+        if (this.addToSection(this.currentSection, rowData)) {
+            this.diagnostics.rowKept(this.currentSection);
+        } else {
+            this.diagnostics.error('Row does not match any known record type in this section', context);
+        }
+        this.currentRecord = null;
+    }
+
+    /**
+     * Convert logged weights to kilograms using the units from the settings section
+     * The recorded values are kept as originalWeight on each set.
+     */
+    applySourceUnits() {
+        const sourceUnits = UnitConverter.detectFromSettings(this.data.settings);
+        this.data.sourceUnits = sourceUnits;
+        
+        const convertSets = entry => {
+            if (!entry.sets) return;
+            
+            entry.sets.forEach(set => {
+                if (set.originalWeight !== undefined) return; // Already converted
+                
+                set.originalWeight = set.weight;
+                set.weight = UnitConverter.toKilograms(set.weight, sourceUnits.weight);
+                set.volume = set.weight * set.reps;
+            });
+            
+            if (entry.totalVolume !== undefined) {
+                entry.totalVolume = entry.sets.reduce((sum, set) => sum + set.volume, 0);
+            }
+        };
+        
+        this.data.exercises.forEach(convertSets);
+        this.data.exerciseLogs.forEach(convertSets);
+        
+        this.data.workoutSessions.forEach(session => {
+            if (session.original_total_weight !== undefined || typeof session.total_weight !== 'number') return;
+            
+            session.original_total_weight = session.total_weight;
+            session.total_weight = UnitConverter.toKilograms(session.total_weight, sourceUnits.weight);
+        });
+    }
+
+    /**
+     * Determine section type from header line
+     * @param {string} headerLine - Section header line
+     * @returns {string} Section type
+     */
+    getSectionFromHeader(headerLine) {
+        const header = headerLine.toLowerCase();
+        
+        if (header.includes('setting')) return 'settings';
+        if (header.includes('routine')) return 'routines';
+        if (header.includes('workout session')) return 'workoutSessions';
+        if (header.includes('notes')) return 'notes';
+        
+        return 'unknown';
+    }
+
+    /**
+     * Parse a single CSV line handling quoted fields and separators
+     * @param {string} line - CSV line to parse
+     * @param {string} separator - Field separator (default: comma)
+     * @returns {Array} Array of field values
+     */
+    parseCSVLine(line, separator = ',') {
+        return new CSVTokenizer({ delimiter: separator }).parseLine(line);
+    }
+
+    /**
+     * Check if the current line is a header line
+     * @param {Array} fields - Parsed fields
+     * @param {string} section - Current section
+     * @returns {boolean} True if this is a header line
+     */
+    isHeaderLine(fields, section) {
+        // Data rows always carry numbers (IDs, timestamps), so a name like "Side Plank" doesn't read as a header
+        if (fields.some(field => this.isNumeric(field))) return false;
+        
+        // Check if fields contain typical header names
+        const headerIndicators = [
+            'row_id', 'USERID', 'TIMESTAMP', '_id', 'name', 
+            'exercise_id', 'exercisename', 'setcount', 'logs',
+            'total_time', 'workout_time', 'mynote', 'title', 'mass', 'length'
+        ];
+        
+        return fields.some(field => 
+            headerIndicators.includes(field) || 
+            field.toLowerCase().includes('time') ||
+            field.toLowerCase().includes('id')
+        );
+    }
+
+    /**
+     * Create an object from headers and field values
+     * @param {Array} headers - Column headers
+     * @param {Array} fields - Field values
+     * @returns {Object} Row object
+     */
+    createRowObject(headers, fields) {
+        const obj = {};
+        
+        for (let i = 0; i < headers.length && i < fields.length; i++) {
+            const header = headers[i];
+            let value = fields[i];
+            
+            // Convert numeric strings to numbers
+            if (this.isNumeric(value)) {
+                value = parseFloat(value);
+            }
+            
+            // Parse timestamps
+            if (header.toLowerCase().includes('time') && typeof value === 'string' && value.includes('-')) {
+                value = new Date(value);
+            }
+            
+            obj[header] = value;
+        }
+        
+        return obj;
+    }
+
+    /**
+     * Check if a string represents a number
+     * @param {string} str - String to check
+     * @returns {boolean} True if numeric
+     */
+    isNumeric(str) {
+        if (typeof str === 'number') return true;
+        if (typeof str !== 'string') return false;
+        return !isNaN(str) && !isNaN(parseFloat(str)) && str.trim() !== '';
+    }
+
+    /**
+     * Add parsed row to appropriate section
+     * @param {string} section - Section name
+     * @param {Object} rowData - Parsed row data
+     * @returns {boolean} True if the row was kept
+     */
+    addToSection(section, rowData) {
+        switch (section) {
+            case 'settings':
+                // Settings is typically a single row, so store as object
+                this.data.settings = { ...this.data.settings, ...rowData };
+                return true;
+                
+            case 'routines':
+                // Check if this is a routine definition or a workout day
+                if (rowData.difficulty !== undefined || rowData.focus !== undefined) {
+                    this.data.routines.push(rowData);
+                } else if (rowData.day !== undefined || rowData.dayIndex !== undefined) {
+                    this.data.workoutDays.push(rowData);
+                } else if (rowData.exercisename !== undefined) {
+                    this.data.exercises.push(this.parseExerciseData(rowData));
+                } else {
+                    return false;
+                }
+                return true;
+                
+            case 'workoutSessions':
+                this.data.workoutSessions.push(this.parseWorkoutSession(rowData));
+                return true;
+                
+            case 'notes':
+                this.data.notes.push(rowData);
+                return true;
+                
+            default:
+                // If we can determine it's exercise log data
+                if (rowData.exercisename || rowData.logs) {
+                    this.data.exerciseLogs.push(this.parseExerciseLog(rowData));
+                    return true;
+                }
+                return false;
+        }
+    }
+
+    /**
+     * Parse exercise data with detailed information
+     * @param {Object} rowData - Raw exercise data
+     * @returns {Object} Parsed exercise data
+     */
+    parseExerciseData(rowData) {
+        const exercise = { ...rowData };
+        
+        // Parse logs if present (format: "weight×reps,weight×reps,...")
+        if (exercise.logs && typeof exercise.logs === 'string') {
+            exercise.sets = this.parseSetLogs(exercise.logs);
+            exercise.totalSets = exercise.sets.length;
+            exercise.totalVolume = exercise.sets.reduce((sum, set) => 
+                sum + (set.weight * set.reps), 0);
+        }
+        
+        return exercise;
+    }
+
+    /**
+     * Parse set logs from string format
+     * Each set may end in an RPE suffix, e.g. "100x5@8".
+     * @param {string} logsString - Logs in format "weight×reps,weight×reps"
+     * @returns {Array} Array of set objects
+     */
+    parseSetLogs(logsString) {
+        if (!logsString || logsString === '0') return [];
+        
+        const context = () => ({
+            line: this.currentRecord ? this.currentRecord.line : null,
+            section: this.currentSection,
+            raw: logsString
+        });
+        
+        return logsString.split(',').map((setStr, index) => {
+            if (!/^\s*\d+(\.\d+)?\s*x\s*\d+(\.\d+)?\s*(@\s*\d+(\.\d+)?\s*)?$/.test(setStr)) {
+                this.diagnostics.warning(`Set log "${setStr.trim()}" is not in weightxreps or weightxreps@rpe format`, context());
+            }
+            
+            const [load, rpeSuffix] = setStr.trim().split('@');
+            const [weight, reps] = load.split('x').map(v => parseFloat(v) || 0);
+            if (rpeSuffix !== undefined && RPEScale.parse(rpeSuffix) === null) {
+                this.diagnostics.warning(`RPE "${rpeSuffix.trim()}" in set log "${setStr.trim()}" is not between 1 and 10`, context());
+            }
+            
+            return {
+                setNumber: index + 1,
+                weight,
+                reps,
+                ...RPEScale.fields(rpeSuffix),
+                volume: weight * reps
+            };
+        }).filter(set => set.weight > 0 || set.reps > 0);
+    }
+
+    /**
+     * Parse workout session data
+     * @param {Object} rowData - Raw workout session data
+     * @returns {Object} Parsed workout session
+     */
+    parseWorkoutSession(rowData) {
+        const session = { ...rowData };
+        
+        // Calculate derived metrics
+        if (session.total_time && session.workout_time) {
+            session.efficiency = (session.workout_time / session.total_time * 100).toFixed(1) + '%';
+        }
+        
+        if (session.total_weight && session.total_exercise) {
+            session.avgWeightPerExercise = (session.total_weight / session.total_exercise).toFixed(1);
+        }
+        
+        return session;
+    }
+
+    /**
+     * Parse exercise log entry
+     * @param {Object} rowData - Raw exercise log data
+     * @returns {Object} Parsed exercise log
+     */
+    parseExerciseLog(rowData) {
+        const log = { ...rowData };
+        
+        // Parse the logs field if it exists
+        if (log.logs && typeof log.logs === 'string') {
+            log.sets = this.parseSetLogs(log.logs);
+        }
+        
+        return log;
+    }
+
+    /**
+     * Get summary statistics from parsed data
+     * @param {Object} options - Summary options
+     * @param {string} options.unitSystem - 'metric' (default) or 'imperial' for totalVolume
+     * @returns {Object} Summary statistics
+     */
+    getSummary(options = {}) {
+        const units = new UnitConverter(options.unitSystem);
+        const totalWorkouts = this.data.workoutSessions.length;
+        const totalExercises = this.data.exercises.length;
+        const totalNotes = this.data.notes.length;
+        
+        let totalVolume = 0;
+        let totalSets = 0;
+        
+        this.data.exercises.forEach(exercise => {
+            if (exercise.sets) {
+                totalSets += exercise.sets.length;
+                totalVolume += exercise.totalVolume || 0;
+            }
+        });
+        
+        const workoutTimes = this.data.workoutSessions
+            .map(session => session.total_time)
+            .filter(time => time > 0);
+        
+        const avgWorkoutTime = workoutTimes.length > 0 
+            ? Math.round(workoutTimes.reduce((a, b) => a + b, 0) / workoutTimes.length)
+            : 0;
+        
+        const dateRange = this._getDateRange();
+        const exerciseTypes = this._getUniqueExercises();
+        const workoutFrequency = this._getWorkoutFrequency();
+        
+        return {
+            totalWorkouts,
+            totalExercises,
+            totalSets,
+            totalVolume: units.weight(totalVolume),
+            totalNotes,
+            avgWorkoutTime,
+            dateRange,
+            exerciseTypes,
+            workoutFrequency,
+            units: units.describe(),
+            sourceUnits: this.data.sourceUnits || null
+        };
+    }
+
+    /**
+     * Get date range of workouts
+     * @returns {Object} Date range information
+     */
+    _getDateRange() {
+        const dates = this.data.workoutSessions
+            .map(session => new Date(session.starttime * 1000))
+            .filter(date => !isNaN(date.getTime()))
+            .sort((a, b) => a - b);
+        
+        if (dates.length === 0) return null;
+        
+        return {
+            start: dates[0],
+            end: dates[dates.length - 1],
+            span: Math.ceil((dates[dates.length - 1] - dates[0]) / (1000 * 60 * 60 * 24))
+        };
+    }
+
+    /**
+     * Get unique exercise names, counting names that resolve to the same catalog exercise once
+     * @returns {Array} Array of unique exercise names (the first name recorded for each exercise)
+     */
+    _getUniqueExercises() {
+        const exercises = new Map();
+        
+        this.data.exercises.forEach(exercise => {
+            if (!exercise.exercisename) return;
+            
+            const id = this.catalog.resolve(exercise.exercisename).id;
+            if (!exercises.has(id)) {
+                exercises.set(id, exercise.exercisename);
+            }
+        });
+        
+        return Array.from(exercises.values()).sort();
+    }
+
+    /**
+     * Calculate workout frequency
+     * @returns {Object} Workout frequency data
+     */
+    _getWorkoutFrequency() {
+        const dateRange = this._getDateRange();
+        if (!dateRange || dateRange.span === 0) return null;
+        
+        const workoutsPerWeek = (this.data.workoutSessions.length / dateRange.span * 7).toFixed(1);
+        
+        return {
+            totalDays: dateRange.span,
+            workoutsPerWeek: parseFloat(workoutsPerWeek),
+            totalWorkouts: this.data.workoutSessions.length
+        };
+    }
+
+    /**
+     * Export data as JSON
+     * @returns {string} JSON string of parsed data
+     */
+    toJSON() {
+        return JSON.stringify(this.data, null, 2);
+    }
+
+    /**
+     * Get exercises by muscle group
+     * @returns {Object} Exercises grouped by primary muscle group ID (see MuscleTaxonomy), or 'unknown'
+     */
+    getExercisesByBodyPart() {
+        const taxonomy = new MuscleTaxonomy({ catalog: this.catalog });
+        const bodyParts = {};
+        
+        this.data.exercises.forEach(exercise => {
+            const bodyPart = taxonomy.classify(exercise).primary[0] || 'unknown';
+            if (!bodyParts[bodyPart]) {
+                bodyParts[bodyPart] = [];
+            }
+            bodyParts[bodyPart].push(exercise);
+        });
+        
+        return bodyParts;
+    }
+}
+
+// Usage example and utility functions
+class WorkoutAnalyzer {
+    constructor(parsedData) {
+        this.data = parsedData;
+    }
+
+    /**
+     * Get progress for a specific exercise
+     * @param {string} exerciseName - Name of the exercise
+     * @returns {Array} Progress data over time
+     */
+    getExerciseProgress(exerciseName) {
+        return this.data.exercises
+            .filter(ex => ex.exercisename === exerciseName)
+            .sort((a, b) => new Date(a.TIMESTAMP) - new Date(b.TIMESTAMP))
+            .map(ex => ({
+                date: ex.TIMESTAMP,
+                sets: ex.sets || [],
+                maxWeight: ex.sets ? Math.max(...ex.sets.map(s => s.weight)) : 0,
+                totalVolume: ex.totalVolume || 0
+            }));
+    }
+
+    /**
+     * Get personal records
+     * @returns {Object} Personal records for each exercise
+     */
+    getPersonalRecords() {
+        const records = {};
+        
+        this.data.exercises.forEach(exercise => {
+            const name = exercise.exercisename;
+            if (!name || !exercise.sets) return;
+            
+            exercise.sets.forEach(set => {
+                if (!records[name] || set.weight > records[name].weight) {
+                    records[name] = {
+                        weight: set.weight,
+                        reps: set.reps,
+                        date: exercise.TIMESTAMP,
+                        volume: set.volume
+                    };
+                }
+            });
+        });
+        
+        return records;
+    }
+
+    /**
+     * Get workout consistency (days between workouts)
+     * @returns {Object} Consistency metrics
+     */
+    getWorkoutConsistency() {
+        const workoutDates = this.data.workoutSessions
+            .map(session => new Date(session.starttime * 1000))
+            .filter(date => !isNaN(date.getTime()))
+            .sort((a, b) => a - b);
+        
+        if (workoutDates.length < 2) return null;
+        
+        const gaps = [];
+        for (let i = 1; i < workoutDates.length; i++) {
+            const gap = Math.ceil((workoutDates[i] - workoutDates[i-1]) / (1000 * 60 * 60 * 24));
+            gaps.push(gap);
+        }
+        
+        return {
+            averageGap: Math.round(gaps.reduce((a, b) => a + b, 0) / gaps.length),
+            minGap: Math.min(...gaps),
+            maxGap: Math.max(...gaps),
+            totalGaps: gaps.length
+        };
+    }
+}
+
+/**
+ * Enhanced Workout Parser supporting multiple CSV formats
+ * - Format 1: Multi-section format with settings, routines, sessions, notes
+ * - Format 2: Strong app format with workout entries in a single table
+ * - Format 3: Hevy app format with one set per row in a single table
+ */
+
+// Formats that export one set per row and share the Strong-style data shape
+const SINGLE_TABLE_FORMATS = ['strong', 'hevy'];
+
+/**
+ * Registry of CSV format adapters
+ * Each adapter declares how confident it is that a file is in its format,
+ * how to parse the file and how to normalize the result into the common data shape.
+ */
+class FormatRegistry {
+    constructor() {
+        this.adapters = new Map();
+    }
+
+    /**
+     * Register a format adapter, replacing any adapter with the same name
+     * @param {Object} adapter - Format adapter
+     * @param {string} adapter.name - Format name reported as detectedFormat
+     * @param {string} adapter.label - Human readable name
+     * @param {Function} adapter.detect - (lines, csvContent) => confidence between 0 and 1
+     * @param {Function} adapter.parse - (csvContent, parser) => raw parsed data
+     * @param {Function} adapter.normalize - (raw, parser) => data in the common structure
+     * @param {Function} adapter.createReader - Optional (parser) => { delimiter, push(record), finish() => raw }
+     *                                          for streaming; without it streamed input is buffered and passed to parse()
+     * @param {Function} adapter.serialize - Optional (data, options) => CSV content in this format, for writing parsed data back out
+     * @returns {FormatRegistry} This registry, for chaining
+     */
+    register(adapter) {
+        if (!adapter || !adapter.name) {
+            throw new Error('Format adapter must have a name');
+        }
+        
+        ['detect', 'parse', 'normalize'].forEach(method => {
+            if (typeof adapter[method] !== 'function') {
+                throw new Error(`Format adapter "${adapter.name}" is missing a ${method}() function`);
+            }
+        });
+        
+        this.adapters.set(adapter.name, adapter);
+        return this;
+    }
+
+    /**
+     * Remove a format adapter
+     * @param {string} name - Format name
+     * @returns {boolean} True if an adapter was removed
+     */
+    unregister(name) {
+        return this.adapters.delete(name);
+    }
+
+    /**
+     * Get a format adapter by name
+     * @param {string} name - Format name
+     * @returns {Object|undefined} Format adapter
+     */
+    get(name) {
+        return this.adapters.get(name);
+    }
+
+    /**
+     * Get the names of all registered formats
+     * @returns {Array} Format names
+     */
+    getFormats() {
+        return Array.from(this.adapters.keys());
+    }
+
+    /**
+     * Score every adapter against the start of the file
+     * @param {string} csvContent - The raw CSV content
+     * @returns {Array} Candidates sorted by confidence: [{ format, label, confidence }]
+     */
+    detect(csvContent) {
+        const lines = csvContent
+            .replace(/^\uFEFF/, '')
+            .split('\n', FormatRegistry.DETECTION_LINES * 2)
+            .map(line => line.trim())
+            .filter(line => line)
+            .slice(0, FormatRegistry.DETECTION_LINES);
+        
+        const candidates = [];
+        
+        this.adapters.forEach(adapter => {
+            const score = parseFloat(adapter.detect(lines, csvContent)) || 0;
+            candidates.push({
+                format: adapter.name,
+                label: adapter.label || adapter.name,
+                confidence: Math.round(Math.min(Math.max(score, 0), 1) * 100) / 100
+            });
+        });
+        
+        return candidates.sort((a, b) => b.confidence - a.confidence);
+    }
+
+    /**
+     * Create a registry with the built-in formats registered
+     * @returns {FormatRegistry} New registry
+     */
+    static withDefaults() {
+        const registry = new FormatRegistry();
+        FormatRegistry.BUILT_IN_ADAPTERS.forEach(adapter => registry.register(adapter));
+        return registry;
+    }
+
+    /**
+     * Score a header line by the share of expected column names it contains
+     * @param {string} headerLine - First line of the file
+     * @param {Array} expectedColumns - Column names the format always exports
+     * @returns {number} Confidence between 0 and 1
+     */
+    static scoreHeader(headerLine, expectedColumns) {
+        if (!headerLine) return 0;
+        
+        const columns = new CSVTokenizer({ delimiter: CSVTokenizer.sniffDelimiter(headerLine) }).parseLine(headerLine);
+        const found = expectedColumns.filter(column => columns.includes(column));
+        
+        return found.length / expectedColumns.length;
+    }
+}
+
+// Adapters need at least this confidence to be picked automatically
+FormatRegistry.MIN_CONFIDENCE = 0.5;
+
+// Number of non-empty lines handed to each adapter's detect()
+FormatRegistry.DETECTION_LINES = 5;
+
+FormatRegistry.BUILT_IN_ADAPTERS = [
+    {
+        name: 'strong',
+        label: 'Strong App',
+        detect: lines => FormatRegistry.scoreHeader(lines[0], [
+            'Workout #', 'Date', 'Workout Name', 'Exercise Name', 'Set Order', 'Reps'
+        ]),
+        parse: (csvContent, parser) => parser.parseStrongRows(csvContent),
+        createReader: parser => parser.createTableReader('strong', (entry, context) => parser.validateStrongEntry(entry, context)),
+        normalize: (rawEntries, parser) => parser.transformStrongData(rawEntries),
+        serialize: (data, options) => new WorkoutSerializer(options).toStrong(data)
+    },
+    {
+        name: 'hevy',
+        label: 'Hevy',
+        detect: lines => FormatRegistry.scoreHeader(lines[0], [
+            'title', 'start_time', 'end_time', 'exercise_title', 'set_index', 'set_type', 'reps'
+        ]),
+        parse: (csvContent, parser) => parser.parseHevyRows(csvContent),
+        createReader: parser => parser.createTableReader('hevy', (entry, context) => parser.validateHevyEntry(entry, context)),
+        normalize: (rawEntries, parser) => parser.transformHevyData(rawEntries)
+    },
+    {
+        name: 'multi-section',
+        label: 'Multi-Section',
+        detect: lines => {
+            // Section banners look like "### SETTING ####..." followed by "######..." separators
+            const sectionLines = lines.filter(line => /^### \w/.test(line)).length;
+            const separatorLines = lines.filter(line => line.startsWith('######')).length;
+            
+            if (sectionLines > 0) return 0.9;
+            if (separatorLines > 0) return 0.6;
+            return 0;
+        },
+        parse: (csvContent, parser) => WorkoutParser.prototype.parse.call(parser, csvContent),
+        createReader: parser => parser.createSectionReader(),
+        normalize: data => data,
+        serialize: (data, options) => new WorkoutSerializer(options).toMultiSection(data)
+    }
+];
+
+class MultiFormatWorkoutParser extends WorkoutParser {
+    /**
+     * @param {Object} options - Parser options
+     * @param {FormatRegistry} options.registry - Format adapters to use (default: the shared registry)
+     * @param {ExerciseCatalog} options.catalog - Exercise catalog used to count unique exercises
+     */
+    constructor(options = {}) {
+        super();
+        this.detectedFormat = null;
+        this.formatCandidates = [];
+        this.registry = options.registry || MultiFormatWorkoutParser.formatRegistry;
+        this.catalog = options.catalog || this.catalog;
+    }
+
+    /**
+     * Register a format adapter with the shared registry used by every parser
+     * @param {Object} adapter - Format adapter (see FormatRegistry.register)
+     */
+    static registerFormat(adapter) {
+        MultiFormatWorkoutParser.formatRegistry.register(adapter);
+    }
+
+    /**
+     * Parse CSV content and auto-detect format
+     * @param {string} csvContent - The raw CSV content
+     * @param {Object} options - Parse options
+     * @param {string} options.format - Skip detection and parse with this format adapter
+     * @returns {Object} Parsed workout data
+     */
+    parse(csvContent, options = {}) {
+        const adapter = this.resolveAdapter(csvContent, options);
+        
+        this.diagnostics.reset();
+        const data = adapter.normalize(adapter.parse(csvContent, this), this);
+        data.diagnostics = this.diagnostics.getReport();
+        
+        return data;
+    }
+
+    /**
+     * Create a stream that parses a file fed to it chunk by chunk
+     * @param {Object} options - Parse options
+     * @param {string} options.format - Skip detection and parse with this format adapter
+     * @param {number} options.totalSize - Size of the whole input, used for progress percentages
+     * @param {Function} options.onProgress - Called after each chunk with { processed, total, percent, rows }
+     * @returns {WorkoutParseStream} Stream to write() chunks to and end() for the parsed data
+     */
+    createParseStream(options = {}) {
+        return new WorkoutParseStream(this, options);
+    }
+
+    /**
+     * Parse a Node.js readable stream or any (async) iterable of chunks
+     * Buffer and Uint8Array chunks are decoded as UTF-8 and counted in bytes; string chunks in characters.
+     * @param {AsyncIterable|Iterable} source - Chunks of CSV content
+     * @param {Object} options - Same options as createParseStream()
+     * @returns {Promise<Object>} Parsed workout data, identical to parse() on the whole content
+     */
+    async parseStream(source, options = {}) {
+        const stream = this.createParseStream(options);
+        const decoder = new TextDecoder('utf-8');
+        
+        for await (const chunk of source) {
+            if (typeof chunk === 'string') {
+                stream.write(chunk);
+            } else {
+                stream.write(decoder.decode(chunk, { stream: true }), chunk.byteLength);
+            }
+        }
+        
+        const rest = decoder.decode();
+        if (rest) stream.write(rest, 0);
+        
+        return stream.end();
+    }
+
+    /**
+     * Pick the format adapter for a file from its first lines
+     * Sets formatCandidates and detectedFormat as a side effect.
+     * @param {string} csvContent - The raw CSV content, or at least its first lines
+     * @param {Object} options - Parse options
+     * @param {string} options.format - Skip detection and use this format adapter
+     * @returns {Object} Format adapter
+     */
+    resolveAdapter(csvContent, options = {}) {
+        this.formatCandidates = this.getFormatCandidates(csvContent);
+        
+        if (options.format) {
+            this.detectedFormat = options.format;
+        } else {
+            this.detectedFormat = this.detectFormat(csvContent);
+        }
+        
+        if (!this.detectedFormat) {
+            const candidates = this.formatCandidates
+                .map(candidate => `${candidate.format} (${candidate.confidence})`)
+                .join(', ');
+            throw new Error(`Unable to detect CSV format. Candidates: ${candidates}`);
+        }
+        
+        const adapter = this.registry.get(this.detectedFormat);
+        if (!adapter) {
+            throw new Error(`Unknown CSV format: ${this.detectedFormat}`);
+        }
+        
+        return adapter;
+    }
+
+    /**
+     * Write parsed data as CSV in one of the registered formats
+     * The result parses back to the same workouts, exercises and sets.
+     * @param {Object} data - Parsed workout data, from any format
+     * @param {string} format - Format to write, e.g. 'strong' or 'multi-section'
+     * @param {Object} options - Serializer options (see WorkoutSerializer)
+     * @returns {string} CSV content
+     */
+    serialize(data, format, options = {}) {
+        const adapter = this.registry.get(format);
+        if (!adapter) {
+            throw new Error(`Unknown CSV format: ${format}`);
+        }
+        if (typeof adapter.serialize !== 'function') {
+            const writable = this.registry.getFormats().filter(name => typeof this.registry.get(name).serialize === 'function');
+            throw new Error(`Format "${format}" can be read but not written. Writable formats: ${writable.join(', ')}`);
+        }
+        
+        return adapter.serialize(data, options);
+    }
+
+    /**
+     * Detect the CSV format based on headers and structure
+     * @param {string} csvContent - The raw CSV content
+     * @returns {string|null} Best matching format name, or null if no adapter is confident enough
+     */
+    detectFormat(csvContent) {
+        const best = this.getFormatCandidates(csvContent)[0];
+        
+        if (!best || best.confidence < FormatRegistry.MIN_CONFIDENCE) return null;
+        return best.format;
+    }
+
+    /**
+     * Rank every registered format by detection confidence
+     * @param {string} csvContent - The raw CSV content
+     * @returns {Array} Candidates sorted by confidence: [{ format, label, confidence }]
+     */
+    getFormatCandidates(csvContent) {
+        return this.registry.detect(csvContent);
+    }
+
+    /**
+     * Parse Strong app CSV format
+     * @param {string} csvContent - The raw CSV content
+     * @returns {Object} Parsed workout data in standardized format
+     */
+    parseStrongFormat(csvContent) {
+        return this.transformStrongData(this.parseStrongRows(csvContent));
+    }
+
+    /**
+     * Read Strong app CSV rows into raw entry objects
+     * @param {string} csvContent - The raw CSV content
+     * @returns {Array} Raw CSV entries keyed by Strong column name
+     */
+    parseStrongRows(csvContent) {
+        // Strong exports are usually semicolon separated, but some app versions use commas
+        return this.parseTableRows(csvContent, 'strong', (entry, context) => this.validateStrongEntry(entry, context));
+    }
+
+    /**
+     * Check that a Strong row can be placed in a workout
+     * @param {Object} entry - Raw CSV entry
+     * @param {Object} context - Diagnostics context of the row
+     * @returns {string|null} Reason to drop the row, or null to keep it
+     */
+    validateStrongEntry(entry, context) {
+        if (isNaN(new Date(entry['Date']).getTime())) {
+            return `Invalid workout date "${entry['Date']}"`;
+        }
+        this.checkEffort(entry['RPE'], entry['RIR'], context);
+        return null;
+    }
+
+    /**
+     * Read a single-table CSV (one set per row) into raw entry objects, recording diagnostics
+     * @param {string} csvContent - The raw CSV content
+     * @param {string} section - Section name used in diagnostics
+     * @param {Function} validateEntry - (entry, context) => reason the row must be dropped, or null to keep it
+     * @returns {Array} Raw CSV entries keyed by column name
+     */
+    parseTableRows(csvContent, section, validateEntry) {
+        const reader = this.createTableReader(section, validateEntry);
+        const records = new CSVTokenizer({ delimiter: reader.delimiter }).tokenize(csvContent);
+        
+        records.forEach(record => reader.push(record));
+        
+        return reader.finish();
+    }
+
+    /**
+     * Create an incremental reader for single-table records
+     * The first record is the header row; every following record becomes a raw entry.
+     * @param {string} section - Section name used in diagnostics
+     * @param {Function} validateEntry - (entry, context) => reason the row must be dropped, or null to keep it
+     * @returns {Object} Reader: { delimiter, push(record), finish() => raw entries }
+     */
+    createTableReader(section, validateEntry) {
+        const rawEntries = [];
+        let headers = null;
+        
+        this.diagnostics.reset();
+        
+        return {
+            delimiter: 'auto',
+            push: record => {
+                if (!headers) {
+                    // First line is headers
+                    headers = record.fields;
+                    return;
+                }
+                
+                const fields = record.fields;
+                const context = { line: record.line, section, raw: record.raw };
+                
+                this.diagnostics.rowRead(section);
+                
+                if (fields.length < headers.length) {
+                    this.diagnostics.error(`Row has ${fields.length} fields but the header has ${headers.length}`, context);
+                    return;
+                }
+                
+                const entry = this.createRowObject(headers, fields);
+                const problem = validateEntry ? validateEntry(entry, context) : null;
+                
+                if (problem) {
+                    this.diagnostics.error(problem, context);
+                    return;
+                }
+                
+                rawEntries.push(entry);
+                this.diagnostics.rowKept(section);
+            },
+            finish: () => rawEntries
+        };
+    }
+
+    /**
+     * Transform Strong format data into standardized structure
+     * @param {Array} rawEntries - Raw CSV entries
+     * @returns {Object} Standardized workout data
+     */
+    transformStrongData(rawEntries) {
+        const workouts = new Map();
+        const exercises = [];
+        const workoutSessions = [];
+        
+        // Imperial exports use "Weight (lbs)" / "Distance (miles)" instead of kg / meters
+        const headers = rawEntries.length > 0 ? Object.keys(rawEntries[0]) : [];
+        const sourceUnits = UnitConverter.detectFromHeaders(headers);
+        const weightColumn = headers.find(header => /^Weight \(/.test(header)) || 'Weight (kg)';
+        const distanceColumn = headers.find(header => /^Distance \(/.test(header)) || 'Distance (meters)';
+        
+        // Group entries by workout
+        rawEntries.forEach(entry => {
+            const workoutId = entry['Workout #'];
+            const date = entry['Date'];
+            const workoutName = entry['Workout Name'];
+            const duration = parseInt(entry['Duration (sec)']) || 0;
+            
+            if (!workouts.has(workoutId)) {
+                workouts.set(workoutId, {
+                    id: workoutId,
+                    date: new Date(date),
+                    name: workoutName,
+                    notes: '',
+                    duration: duration,
+                    exercises: new Map(),
+                    totalSets: 0,
+                    totalVolume: 0
+                });
+            }
+            
+            const workout = workouts.get(workoutId);
+            const exerciseName = entry['Exercise Name'];
+            
+            // Strong repeats the workout's notes on every row
+            if (!workout.notes && entry['Workout Notes']) {
+                workout.notes = entry['Workout Notes'];
+            }
+            
+            if (!workout.exercises.has(exerciseName)) {
+                workout.exercises.set(exerciseName, {
+                    name: exerciseName,
+                    sets: []
+                });
+            }
+            
+            const exercise = workout.exercises.get(exerciseName);
+            
+            // Parse set data, keeping the recorded values next to the canonical kg / meters
+            const originalWeight = parseFloat(entry[weightColumn]) || 0;
+            const originalDistance = parseFloat(entry[distanceColumn]) || 0;
+            const weight = UnitConverter.toKilograms(originalWeight, sourceUnits.weight);
+            const reps = parseInt(entry['Reps']) || 0;
+            const distance = UnitConverter.toMeters(originalDistance, sourceUnits.distance);
+            const seconds = parseFloat(entry['Seconds']) || 0;
+            const effort = RPEScale.fields(entry['RPE'], entry['RIR']);
+            const notes = entry['Notes'] || '';
+            
+            const setData = {
+                setNumber: parseInt(entry['Set Order']),
+                weight,
+                reps,
+                distance,
+                originalWeight,
+                originalDistance,
+                seconds,
+                rpe: effort.rpe,
+                rir: effort.rir,
+                notes,
+                volume: weight * reps
+            };
+            
+            exercise.sets.push(setData);
+            workout.totalSets++;
+            workout.totalVolume += setData.volume;
+        });
+        
+        // Convert to standardized format
+        workouts.forEach(workout => {
+            // Create workout session
+            const session = {
+                _id: workout.id,
+                starttime: Math.floor(workout.date.getTime() / 1000),
+                total_time: workout.duration,
+                workout_time: workout.duration,
+                total_exercise: workout.exercises.size,
+                total_weight: workout.totalVolume,
+                TIMESTAMP: workout.date.toISOString(),
+                workout_name: workout.name,
+                notes: workout.notes
+            };
+            workoutSessions.push(session);
+            
+            // Create exercise entries
+            workout.exercises.forEach(exercise => {
+                const exerciseEntry = {
+                    exercisename: exercise.name,
+                    sets: exercise.sets.sort((a, b) => a.setNumber - b.setNumber),
+                    totalSets: exercise.sets.length,
+                    totalVolume: exercise.sets.reduce((sum, set) => sum + set.volume, 0),
+                    maxWeight: Math.max(...exercise.sets.map(s => s.weight)),
+                    TIMESTAMP: workout.date.toISOString(),
+                    workout_id: workout.id,
+                    workout_name: workout.name
+                };
+                exercises.push(exerciseEntry);
+            });
+        });
+        
+        return {
+            settings: { format: 'strong', parsedAt: new Date().toISOString() },
+            routines: [],
+            workoutDays: [],
+            exercises: exercises,
+            workoutSessions: workoutSessions.sort((a, b) => a.starttime - b.starttime),
+            exerciseLogs: exercises, // Same as exercises for Strong format
+            notes: [],
+            format: 'strong',
+            sourceUnits: sourceUnits,
+            totalWorkouts: workoutSessions.length,
+            dateRange: this.getStrongDateRange(workoutSessions)
+        };
+    }
+
+    /**
+     * Parse Hevy app CSV format
+     * @param {string} csvContent - The raw CSV content
+     * @returns {Object} Parsed workout data in standardized format
+     */
+    parseHevyFormat(csvContent) {
+        return this.transformHevyData(this.parseHevyRows(csvContent));
+    }
+
+    /**
+     * Read Hevy app CSV rows into raw entry objects
+     * @param {string} csvContent - The raw CSV content
+     * @returns {Array} Raw CSV entries keyed by Hevy column name
+     */
+    parseHevyRows(csvContent) {
+        return this.parseTableRows(csvContent, 'hevy', (entry, context) => this.validateHevyEntry(entry, context));
+    }
+
+    /**
+     * Check that a Hevy row can be placed in a workout
+     * @param {Object} entry - Raw CSV entry
+     * @param {Object} context - Diagnostics context of the row
+     * @returns {string|null} Reason to drop the row, or null to keep it
+     */
+    validateHevyEntry(entry, context) {
+        if (!this.parseHevyDate(entry['start_time'])) {
+            return `Invalid workout start time "${entry['start_time']}"`;
+        }
+        this.checkEffort(entry['rpe'], entry['rir'], context);
+        return null;
+    }
+
+    /**
+     * Warn about RPE or RIR values that can't be used; the set is kept without them
+     * @param {string|number} rpe - Raw RPE value
+     * @param {string|number} rir - Raw RIR value
+     * @param {Object} context - Diagnostics context of the row
+     */
+    checkEffort(rpe, rir, context) {
+        const isBlank = value => value === undefined || value === null || String(value).trim() === '';
+        
+        if (!isBlank(rpe) && RPEScale.parse(rpe) === null) {
+            this.diagnostics.warning(`RPE "${rpe}" is not between 1 and 10`, context);
+        }
+        if (!isBlank(rir) && RPEScale.fromRIR(rir) === null) {
+            this.diagnostics.warning(`RIR "${rir}" is not between 0 and 9`, context);
+        }
+    }
+
+    /**
+     * Transform Hevy format data into the same structure as Strong data
+     * Hevy has no workout number, so workouts are keyed by title and start time
+     * @param {Array} rawEntries - Raw CSV entries
+     * @returns {Object} Standardized workout data
+     */
+    transformHevyData(rawEntries) {
+        const workouts = new Map();
+        const exercises = [];
+        const workoutSessions = [];
+        
+        // Imperial exports use weight_lbs / distance_miles instead of weight_kg / distance_km
+        const headers = rawEntries.length > 0 ? Object.keys(rawEntries[0]) : [];
+        const sourceUnits = UnitConverter.detectFromHeaders(headers);
+        const weightColumn = headers.find(header => /^weight_/.test(header)) || 'weight_kg';
+        const distanceColumn = headers.find(header => /^distance_/.test(header)) || 'distance_km';
+        
+        rawEntries.forEach(entry => {
+            const startDate = this.parseHevyDate(entry['start_time']);
+            const endDate = this.parseHevyDate(entry['end_time']);
+            if (!startDate) return;
+            
+            const workoutKey = `${entry['title']}|${startDate.getTime()}`;
+            
+            if (!workouts.has(workoutKey)) {
+                const duration = endDate ? Math.max(0, Math.round((endDate - startDate) / 1000)) : 0;
+                
+                workouts.set(workoutKey, {
+                    id: workouts.size + 1,
+                    date: startDate,
+                    endDate: endDate,
+                    name: entry['title'],
+                    description: entry['description'] || '',
+                    duration: duration,
+                    exercises: new Map(),
+                    totalSets: 0,
+                    totalVolume: 0
+                });
+            }
+            
+            const workout = workouts.get(workoutKey);
+            const exerciseName = entry['exercise_title'];
+            
+            if (!workout.exercises.has(exerciseName)) {
+                workout.exercises.set(exerciseName, {
+                    name: exerciseName,
+                    notes: entry['exercise_notes'] || '',
+                    sets: []
+                });
+            }
+            
+            const exercise = workout.exercises.get(exerciseName);
+            
+            // Notes are repeated on every row, but may be missing from the first one
+            if (!workout.description && entry['description']) workout.description = entry['description'];
+            if (!exercise.notes && entry['exercise_notes']) exercise.notes = entry['exercise_notes'];
+            
+            // Parse set data, keeping the recorded values next to the canonical kg / meters
+            const originalWeight = parseFloat(entry[weightColumn]) || 0;
+            const originalDistance = parseFloat(entry[distanceColumn]) || 0;
+            const weight = UnitConverter.toKilograms(originalWeight, sourceUnits.weight);
+            const reps = parseInt(entry['reps']) || 0;
+            const distance = UnitConverter.toMeters(originalDistance, sourceUnits.distance);
+            const seconds = parseFloat(entry['duration_seconds']) || 0;
+            const effort = RPEScale.fields(entry['rpe'], entry['rir']);
+            
+            const setData = {
+                setNumber: (parseInt(entry['set_index']) || 0) + 1, // Hevy set_index is zero-based
+                setType: entry['set_type'] || 'normal',
+                weight,
+                reps,
+                distance,
+                originalWeight,
+                originalDistance,
+                seconds,
+                rpe: effort.rpe,
+                rir: effort.rir,
+                notes: '',
+                volume: weight * reps
+            };
+            
+            exercise.sets.push(setData);
+            workout.totalSets++;
+            workout.totalVolume += setData.volume;
+        });
+        
+        // Convert to standardized format
+        workouts.forEach(workout => {
+            const session = {
+                _id: workout.id,
+                starttime: Math.floor(workout.date.getTime() / 1000),
+                endtime: workout.endDate ? Math.floor(workout.endDate.getTime() / 1000) : null,
+                total_time: workout.duration,
+                workout_time: workout.duration,
+                total_exercise: workout.exercises.size,
+                total_weight: workout.totalVolume,
+                TIMESTAMP: workout.date.toISOString(),
+                workout_name: workout.name,
+                description: workout.description
+            };
+            workoutSessions.push(session);
+            
+            workout.exercises.forEach(exercise => {
+                exercises.push({
+                    exercisename: exercise.name,
+                    sets: exercise.sets.sort((a, b) => a.setNumber - b.setNumber),
+                    totalSets: exercise.sets.length,
+                    totalVolume: exercise.sets.reduce((sum, set) => sum + set.volume, 0),
+                    maxWeight: Math.max(...exercise.sets.map(s => s.weight)),
+                    TIMESTAMP: workout.date.toISOString(),
+                    workout_id: workout.id,
+                    workout_name: workout.name,
+                    notes: exercise.notes
+                });
+            });
+        });
+        
+        return {
+            settings: { format: 'hevy', parsedAt: new Date().toISOString() },
             routines: [],
             workoutDays: [],
-            exercises: [],
-            workoutSessions: [],
-            exerciseLogs: [],
-            notes: []
+            exercises: exercises,
+            workoutSessions: workoutSessions.sort((a, b) => a.starttime - b.starttime),
+            exerciseLogs: exercises, // Same as exercises for Hevy format
+            notes: [],
+            format: 'hevy',
+            sourceUnits: sourceUnits,
+            totalWorkouts: workoutSessions.length,
+            dateRange: this.getStrongDateRange(workoutSessions)
+        };
+    }
+
+    /**
+     * Parse a Hevy timestamp such as "25 Jun 2024, 18:05"
+     * @param {string|Date} value - Raw start_time / end_time value
+     * @returns {Date|null} Parsed date, or null if invalid
+     */
+    parseHevyDate(value) {
+        if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+        if (!value) return null;
+        
+        const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+        const match = String(value).match(/^(\d{1,2}) (\w{3}) (\d{4}),? (\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+        
+        if (match) {
+            const month = months.indexOf(match[2].toLowerCase());
+            if (month !== -1) {
+                return new Date(
+                    parseInt(match[3]), month, parseInt(match[1]),
+                    parseInt(match[4]), parseInt(match[5]), parseInt(match[6] || 0)
+                );
+            }
+        }
+        
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Get date range for Strong format data
+     * @param {Array} sessions - Workout sessions
+     * @returns {Object} Date range information
+     */
+    getStrongDateRange(sessions) {
+        if (sessions.length === 0) return null;
+        
+        const dates = sessions.map(s => new Date(s.starttime * 1000)).sort((a, b) => a - b);
+        return {
+            start: dates[0],
+            end: dates[dates.length - 1],
+            span: Math.ceil((dates[dates.length - 1] - dates[0]) / (1000 * 60 * 60 * 24))
+        };
+    }
+
+    /**
+     * Enhanced summary that works with both formats
+     * @param {Object} options - Summary options
+     * @param {string} options.unitSystem - 'metric' (default) or 'imperial' for totalVolume
+     * @returns {Object} Summary statistics
+     */
+    getSummary(options = {}) {
+        const format = this.detectedFormat || this.data.format;
+        
+        if (SINGLE_TABLE_FORMATS.includes(format)) {
+            return this.getStrongSummary(options);
+        } else if (format === 'merged') {
+            return this.getMergedSummary(options);
+        } else {
+            return super.getSummary(options);
+        }
+    }
+
+    /**
+     * Get summary statistics for data merged from several formats
+     * Merged sessions all store total_time in seconds, so the average is converted like Strong's.
+     * @param {Object} options - Summary options (see getSummary)
+     * @returns {Object} Summary statistics
+     */
+    getMergedSummary(options = {}) {
+        return {
+            ...super.getSummary(options),
+            avgWorkoutTime: this._getAverageWorkoutMinutes(),
+            format: 'merged'
+        };
+    }
+
+    /**
+     * Get the average session length of sessions with a duration
+     * @returns {number} Whole minutes, or 0 without timed sessions
+     */
+    _getAverageWorkoutMinutes() {
+        const workoutTimes = this.data.workoutSessions
+            .map(session => session.total_time)
+            .filter(time => time > 0);
+        
+        return workoutTimes.length > 0 
+            ? Math.round(workoutTimes.reduce((a, b) => a + b, 0) / workoutTimes.length / 60) // Convert to minutes
+            : 0;
+    }
+
+    /**
+     * Get summary statistics for Strong format (also used for Hevy)
+     * @param {Object} options - Summary options (see getSummary)
+     * @returns {Object} Summary statistics
+     */
+    getStrongSummary(options = {}) {
+        const units = new UnitConverter(options.unitSystem);
+        const totalWorkouts = this.data.workoutSessions.length;
+        const totalExercises = this.data.exercises.length;
+        
+        let totalVolume = 0;
+        let totalSets = 0;
+        
+        this.data.exercises.forEach(exercise => {
+            totalSets += exercise.totalSets || 0;
+            totalVolume += exercise.totalVolume || 0;
+        });
+        
+        return {
+            totalWorkouts,
+            totalExercises,
+            totalSets,
+            totalVolume: units.weight(totalVolume),
+            avgWorkoutTime: this._getAverageWorkoutMinutes(),
+            exerciseTypes: this._getUniqueExercises(),
+            dateRange: this.data.dateRange,
+            workoutFrequency: this.getStrongWorkoutFrequency(),
+            format: this.detectedFormat || this.data.format || 'strong',
+            units: units.describe(),
+            sourceUnits: this.data.sourceUnits || null
+        };
+    }
+
+    /**
+     * Calculate workout frequency for Strong format
+     * @returns {Object} Workout frequency data
+     */
+    getStrongWorkoutFrequency() {
+        const dateRange = this.data.dateRange;
+        if (!dateRange || dateRange.span === 0) return null;
+        
+        const workoutsPerWeek = (this.data.workoutSessions.length / dateRange.span * 7).toFixed(1);
+        
+        return {
+            totalDays: dateRange.span,
+            workoutsPerWeek: parseFloat(workoutsPerWeek),
+            totalWorkouts: this.data.workoutSessions.length
+        };
+    }
+}
+
+/**
+ * Estimated one-rep max (e1RM) calculator
+ * Supports several common formulas so results can match the method a coach programs with
+ */
+class OneRepMaxCalculator {
+    /**
+     * @param {Object} options - Calculator options
+     * @param {string} options.formula - 'epley', 'brzycki', 'lombardi', 'rpe' or 'rpe-chart' (default: 'epley')
+     * @param {number} options.maxReps - Sets above this rep count are too unreliable to estimate from (default: 12)
+     */
+    constructor(options = {}) {
+        this.formula = options.formula || 'epley';
+        this.maxReps = options.maxReps || 12;
+
+        if (!OneRepMaxCalculator.FORMULAS.includes(this.formula)) {
+            throw new Error(`Unknown e1RM formula: ${this.formula}`);
+        }
+    }
+
+    /**
+     * Estimate the one-rep max for a single set
+     * @param {number} weight - Weight lifted
+     * @param {number} reps - Repetitions performed
+     * @param {number|string} rpe - Optional RPE, used by the 'rpe' and 'rpe-chart' formulas
+     * @returns {number|null} Estimated 1RM, or null if the set can't be estimated
+     */
+    estimate(weight, reps, rpe) {
+        weight = parseFloat(weight) || 0;
+        reps = parseInt(reps) || 0;
+
+        if (weight <= 0 || reps <= 0 || reps > this.maxReps) return null;
+
+        switch (this.formula) {
+            case 'brzycki':
+                return OneRepMaxCalculator.brzycki(weight, reps);
+            case 'lombardi':
+                return OneRepMaxCalculator.lombardi(weight, reps);
+            case 'rpe':
+                return OneRepMaxCalculator.rpeAdjusted(weight, reps, rpe);
+            case 'rpe-chart':
+                return OneRepMaxCalculator.rpeChart(weight, reps, rpe);
+            default:
+                return OneRepMaxCalculator.epley(weight, reps);
+        }
+    }
+
+    /**
+     * Estimate the one-rep max for a set object ({ weight, reps, rpe })
+     * @param {Object} set - Set data
+     * @returns {number|null} Estimated 1RM
+     */
+    estimateSet(set) {
+        return this.estimate(set.weight, set.reps, set.rpe);
+    }
+
+    /**
+     * Epley formula: weight × (1 + reps / 30)
+     */
+    static epley(weight, reps) {
+        if (reps === 1) return weight;
+        return weight * (1 + reps / 30);
+    }
+
+    /**
+     * Brzycki formula: weight × 36 / (37 - reps)
+     */
+    static brzycki(weight, reps) {
+        if (reps >= 37) return null;
+        return weight * 36 / (37 - reps);
+    }
+
+    /**
+     * Lombardi formula: weight × reps^0.10
+     */
+    static lombardi(weight, reps) {
+        return weight * Math.pow(reps, 0.10);
+    }
+
+    /**
+     * RPE-adjusted Epley: reps left in reserve (10 - RPE) are added to the reps performed.
+     * Falls back to plain Epley when the set has no valid RPE.
+     */
+    static rpeAdjusted(weight, reps, rpe) {
+        const value = parseFloat(rpe);
+        if (isNaN(value) || value < 1 || value > 10) {
+            return OneRepMaxCalculator.epley(weight, reps);
+        }
+
+        const effectiveReps = reps + (10 - value);
+        return OneRepMaxCalculator.epley(weight, effectiveReps);
+    }
+
+    /**
+     * RPE chart: weight ÷ the chart's percentage of 1RM for the reps at that RPE,
+     * e.g. 100kg × 5 @ RPE 8 is 81.1% of 1RM. Sets without an RPE are read as RPE 10.
+     * Returns null outside the chart (more than 12 reps or below RPE 6.5).
+     */
+    static rpeChart(weight, reps, rpe) {
+        const value = RPEScale.parse(rpe);
+        const percent = RPEScale.percentOfMax(reps, value === null ? 10 : value);
+        return percent === null ? null : weight * 100 / percent;
+    }
+}
+
+OneRepMaxCalculator.FORMULAS = ['epley', 'brzycki', 'lombardi', 'rpe', 'rpe-chart'];
+
+/**
+ * Training load monitoring: per-session load, rolling acute and chronic loads,
+ * acute:chronic workload ratio (ACWR), monotony and strain, with flags for risky days
+ */
+class TrainingLoadCalculator {
+    /**
+     * @param {Object} options - Calculator options
+     * @param {string} options.method - 'srpe' (session RPE × minutes, default) or 'volume' (weight × reps)
+     * @param {number} options.defaultRPE - Session RPE assumed when no set has an RPE (default: 6)
+     * @param {number} options.acuteDays - Acute window in days (default: 7)
+     * @param {number} options.chronicDays - Chronic window in days (default: 28)
+     * @param {Object} options.thresholds - Overrides for TrainingLoadCalculator.THRESHOLDS; null disables a flag
+     */
+    constructor(options = {}) {
+        this.method = options.method || 'srpe';
+        this.defaultRPE = options.defaultRPE || 6;
+        this.acuteDays = options.acuteDays || 7;
+        this.chronicDays = options.chronicDays || 28;
+        this.thresholds = { ...TrainingLoadCalculator.THRESHOLDS, ...options.thresholds };
+
+        if (!TrainingLoadCalculator.METHODS.includes(this.method)) {
+            throw new Error(`Unknown training load method: ${this.method}`);
+        }
+        if (this.chronicDays < this.acuteDays) {
+            throw new Error('The chronic window must be at least as long as the acute window');
+        }
+    }
+
+    /**
+     * Calculate the load of one session
+     * @param {Object} session - { durationMinutes, volume, rpe }
+     * @returns {number} Session load
+     */
+    sessionLoad(session) {
+        if (this.method === 'volume') return session.volume || 0;
+
+        const rpe = session.rpe > 0 ? session.rpe : this.defaultRPE;
+        return rpe * (session.durationMinutes || 0);
+    }
+
+    /**
+     * Calculate daily loads and the rolling metrics for every day from the first session on
+     * @param {Array} sessions - Sessions: [{ date, durationMinutes, volume, rpe }]
+     * @param {Object} options - Analysis options
+     * @param {Date|string} options.asOf - Last day to report (default: day of the last session)
+     * @returns {Object} { method, thresholds, sessions, days, flags, current }
+     */
+    analyze(sessions, options = {}) {
+        const dated = sessions
+            .map(session => ({ ...session, date: new Date(session.date) }))
+            .filter(session => !isNaN(session.date.getTime()))
+            .sort((a, b) => a.date - b.date)
+            .map(session => ({ ...session, load: UnitConverter.round(this.sessionLoad(session), 1) }));
+
+        const result = { method: this.method, thresholds: this.thresholds, sessions: dated, days: [], flags: [], current: null };
+        if (dated.length === 0) return result;
+
+        const loadsByDay = new Map();
+        dated.forEach(session => {
+            const day = LocalDate.dayKey(session.date);
+            loadsByDay.set(day, (loadsByDay.get(day) || 0) + session.load);
+        });
+
+        const first = dated[0].date;
+        const last = options.asOf ? LocalDate.parse(options.asOf) : dated[dated.length - 1].date;
+        const loads = [];
+
+        for (let day = new Date(first.getFullYear(), first.getMonth(), first.getDate()); day <= last; day.setDate(day.getDate() + 1)) {
+            const date = LocalDate.dayKey(day);
+            loads.push(loadsByDay.get(date) || 0);
+            result.days.push(this._dayMetrics(date, loads));
+        }
+
+        result.days.forEach(day => day.flags.forEach(flag => result.flags.push({ date: day.date, ...flag })));
+        result.current = result.days[result.days.length - 1] || null;
+
+        return result;
+    }
+
+    /**
+     * Calculate the rolling metrics for the latest day
+     * @param {string} date - Day as YYYY-MM-DD
+     * @param {Array} loads - Daily loads up to and including this day
+     * @returns {Object} { date, load, acute, chronic, acwr, monotony, strain, chronicComplete, flags }
+     */
+    _dayMetrics(date, loads) {
+        const sum = values => values.reduce((total, value) => total + value, 0);
+        const acuteLoads = loads.slice(-this.acuteDays);
+        
+        // Chronic load is scaled to the acute window so the two compare directly
+        const acute = sum(acuteLoads);
+        const chronic = sum(loads.slice(-this.chronicDays)) * this.acuteDays / this.chronicDays;
+        const acwr = chronic > 0 ? acute / chronic : null;
+        
+        // Monotony (Foster): mean daily load over the acute window divided by its standard deviation
+        const mean = acute / this.acuteDays;
+        const padded = acuteLoads.concat(new Array(this.acuteDays - acuteLoads.length).fill(0));
+        const deviation = Math.sqrt(sum(padded.map(load => Math.pow(load - mean, 2))) / this.acuteDays);
+        const monotony = deviation > 0 ? mean / deviation : null;
+        const strain = monotony !== null ? acute * monotony : null;
+        
+        const chronicComplete = loads.length >= this.chronicDays;
+        const flags = [];
+        const { acwrHigh, acwrLow, monotonyHigh, strainHigh } = this.thresholds;
+        
+        // ACWR is only meaningful once the chronic window holds a full history
+        if (chronicComplete && acwr !== null && acwrHigh !== null && acwr > acwrHigh) {
+            flags.push({ type: 'acwr-high', value: UnitConverter.round(acwr, 2), threshold: acwrHigh });
+        }
+        if (chronicComplete && acwr !== null && acwrLow !== null && acwr < acwrLow) {
+            flags.push({ type: 'acwr-low', value: UnitConverter.round(acwr, 2), threshold: acwrLow });
+        }
+        if (monotony !== null && monotonyHigh !== null && monotony > monotonyHigh) {
+            flags.push({ type: 'monotony-high', value: UnitConverter.round(monotony, 2), threshold: monotonyHigh });
+        }
+        if (strain !== null && strainHigh !== null && strain > strainHigh) {
+            flags.push({ type: 'strain-high', value: Math.round(strain), threshold: strainHigh });
+        }
+        
+        return {
+            date,
+            load: UnitConverter.round(loads[loads.length - 1], 1),
+            acute: UnitConverter.round(acute, 1),
+            chronic: UnitConverter.round(chronic, 1),
+            acwr: acwr !== null ? UnitConverter.round(acwr, 2) : null,
+            monotony: monotony !== null ? UnitConverter.round(monotony, 2) : null,
+            strain: strain !== null ? Math.round(strain) : null,
+            chronicComplete,
+            flags
+        };
+    }
+}
+
+TrainingLoadCalculator.METHODS = ['srpe', 'volume'];
+
+// Default flag thresholds; strain has no default because its scale depends on the load method
+TrainingLoadCalculator.THRESHOLDS = {
+    acwrHigh: 1.5,
+    acwrLow: 0.8,
+    monotonyHigh: 2.0,
+    strainHigh: null
+};
+
+/**
+ * Progressive overload planner
+ * Proposes the next session's weight × reps for a planned exercise from its recent sessions,
+ * using linear progression, double progression or RPE-based autoregulation.
+ */
+class ProgressionPlanner {
+    /**
+     * @param {Object} options - Planner options (weights are in the same units as the history)
+     * @param {string} options.scheme - 'linear' (default), 'double' or 'rpe'
+     * @param {number} options.increment - Weight added to upper-body lifts (default: 2.5)
+     * @param {number} options.lowerBodyIncrement - Weight added to lower-body lifts (default: twice the increment)
+     * @param {number} options.roundTo - Suggested weights are rounded to this step (default: the increment)
+     * @param {number} options.repSpan - Double progression works up from the target reps to target + repSpan (default: 4)
+     * @param {number} options.targetRPE - RPE the 'rpe' scheme aims the top set at (default: 8)
+     * @param {number} options.failuresBeforeDeload - Missed sessions in a row before a linear deload (default: 2)
+     * @param {number} options.deloadPercent - Weight taken off on a deload (default: 10)
+     */
+    constructor(options = {}) {
+        this.scheme = options.scheme || 'linear';
+        this.increment = options.increment || 2.5;
+        this.lowerBodyIncrement = options.lowerBodyIncrement || this.increment * 2;
+        this.roundTo = options.roundTo || this.increment;
+        this.repSpan = options.repSpan || 4;
+        this.targetRPE = options.targetRPE || 8;
+        this.failuresBeforeDeload = options.failuresBeforeDeload || 2;
+        this.deloadPercent = options.deloadPercent || 10;
+
+        if (!ProgressionPlanner.SCHEMES.includes(this.scheme)) {
+            throw new Error(`Unknown progression scheme: ${this.scheme}`);
+        }
+    }
+
+    /**
+     * Recommend the next session for a planned exercise
+     * @param {Object} plan - Planned exercise: { sets, reps, lowerBody }; missing sets or reps are taken from the last session
+     * @param {Array} history - Past sessions, oldest first; each an array of working sets ({ weight, reps, rpe })
+     * @returns {Object} { scheme, action, weight, sets, reps, targetRPE, reason }
+     */
+    recommend(plan, history) {
+        const sessions = history.map(sets => this._topSets(sets)).filter(sets => sets.length > 0);
+        // Without a plan, the last session's top sets are the target
+        const last = sessions[sessions.length - 1];
+        const targetSets = plan.sets || (last ? last.length : 3);
+        const targetReps = plan.reps || (last ? Math.max(...last.map(set => set.reps)) : 8);
+
+        if (sessions.length === 0) {
+            return {
+                scheme: this.scheme,
+                action: 'start',
+                weight: null,
+                sets: targetSets,
+                reps: targetReps,
+                targetRPE: this.scheme === 'rpe' ? this.targetRPE : null,
+                reason: 'No logged sets yet: pick a weight you can lift for every planned rep.'
+            };
+        }
+
+        const plannedReps = { sets: targetSets, reps: targetReps };
+        const increment = plan.lowerBody ? this.lowerBodyIncrement : this.increment;
+
+        switch (this.scheme) {
+            case 'double':
+                return this._doubleProgression(plannedReps, sessions, increment);
+            case 'rpe':
+                return this._rpeProgression(plannedReps, sessions, increment);
+            default:
+                return this._linearProgression(plannedReps, sessions, increment);
+        }
+    }
+
+    /**
+     * Linear progression: add weight after every session where all planned reps were hit
+     */
+    _linearProgression(plan, sessions, increment) {
+        const last = sessions[sessions.length - 1];
+        const weight = last[0].weight;
+
+        if (this._hitTarget(last, plan.sets, plan.reps)) {
+            return this._suggestion('increase', weight + increment, plan.sets, plan.reps,
+                `Hit ${plan.sets}×${plan.reps} at ${weight} last session, so add ${increment}.`);
+        }
+
+        // Count the sessions in a row at this weight that fell short
+        let failures = 0;
+        for (let i = sessions.length - 1; i >= 0 && sessions[i][0].weight === weight && !this._hitTarget(sessions[i], plan.sets, plan.reps); i--) {
+            failures++;
+        }
+
+        if (failures >= this.failuresBeforeDeload) {
+            return this._suggestion('deload', weight * (1 - this.deloadPercent / 100), plan.sets, plan.reps,
+                `Missed ${plan.sets}×${plan.reps} at ${weight} ${failures} sessions in a row, so drop ${this.deloadPercent}% and build back up.`);
+        }
+
+        return this._suggestion('repeat', weight, plan.sets, plan.reps,
+            `Fell short of ${plan.sets}×${plan.reps} at ${weight} (${this._describe(last)}), so repeat the weight.`);
+    }
+
+    /**
+     * Double progression: add reps within the range, then add weight once every set reaches the top
+     */
+    _doubleProgression(plan, sessions, increment) {
+        const last = sessions[sessions.length - 1];
+        const weight = last[0].weight;
+        const maxReps = plan.reps + this.repSpan;
+
+        if (this._hitTarget(last, plan.sets, maxReps)) {
+            return this._suggestion('increase', weight + increment, plan.sets, plan.reps,
+                `Reached the top of the ${plan.reps}–${maxReps} rep range on every set at ${weight}, so add ${increment} and start again at ${plan.reps} reps.`);
+        }
+
+        const fewestReps = Math.min(...last.map(set => set.reps));
+        const reps = Math.min(maxReps, Math.max(plan.reps, fewestReps + 1));
+        return this._suggestion('repeat', weight, plan.sets, reps,
+            `Last session was ${this._describe(last)}, so stay at ${weight} and aim for ${reps} reps on every set (range ${plan.reps}–${maxReps}).`);
+    }
+
+    /**
+     * RPE-based: move the weight about 4% for every RPE point the top set missed the target by
+     */
+    _rpeProgression(plan, sessions, increment) {
+        const last = sessions[sessions.length - 1];
+        const rated = last.map(set => RPEScale.parse(set.rpe)).filter(rpe => rpe !== null);
+
+        if (rated.length === 0) {
+            const suggestion = this._doubleProgression(plan, sessions, increment);
+            suggestion.reason = `No RPE logged last session, so using double progression instead. ${suggestion.reason}`;
+            return suggestion;
+        }
+
+        const weight = last[0].weight;
+        const rpe = Math.max(...rated);
+        const difference = this.targetRPE - rpe;
+        const suggestion = this._suggestion('repeat', weight, plan.sets, plan.reps,
+            `Top set was RPE ${rpe}, on target for RPE ${this.targetRPE}, so keep the weight.`);
+
+        if (Math.abs(difference) >= 0.5) {
+            const adjusted = this._round(weight * (1 + difference * ProgressionPlanner.PERCENT_PER_RPE / 100));
+            const newWeight = adjusted === weight ? weight + Math.sign(difference) * this.roundTo : adjusted;
+            suggestion.action = difference > 0 ? 'increase' : 'decrease';
+            suggestion.weight = this._round(newWeight);
+            suggestion.reason = `Top set was RPE ${rpe} against a target of RPE ${this.targetRPE}, so ${difference > 0 ? 'add' : 'take off'} about ${Math.abs(difference * ProgressionPlanner.PERCENT_PER_RPE)}%.`;
+        }
+
+        suggestion.targetRPE = this.targetRPE;
+        return suggestion;
+    }
+
+    /**
+     * Build a suggestion with the weight rounded to the loading step
+     */
+    _suggestion(action, weight, sets, reps, reason) {
+        return { scheme: this.scheme, action, weight: this._round(weight), sets, reps, targetRPE: null, reason };
+    }
+
+    /**
+     * Keep the sets at the session's heaviest weight; lighter ramp-up sets don't count
+     * @param {Array} sets - Working sets
+     * @returns {Array} Top sets
+     */
+    _topSets(sets) {
+        const lifted = sets.filter(set => set.weight > 0 && set.reps > 0);
+        if (lifted.length === 0) return [];
+
+        const top = Math.max(...lifted.map(set => set.weight));
+        return lifted.filter(set => set.weight === top);
+    }
+
+    /**
+     * Check whether a session reached the planned sets and reps
+     */
+    _hitTarget(sets, targetSets, targetReps) {
+        return sets.length >= targetSets && sets.slice(0, targetSets).every(set => set.reps >= targetReps);
+    }
+
+    /**
+     * Describe top sets for a reason, e.g. "100×5, 100×4"
+     */
+    _describe(sets) {
+        return sets.map(set => `${set.weight}×${set.reps}`).join(', ');
+    }
+
+    /**
+     * Round a weight to the loading step
+     */
+    _round(weight) {
+        return UnitConverter.round(Math.round(weight / this.roundTo) * this.roundTo, 2);
+    }
+}
+
+ProgressionPlanner.SCHEMES = ['linear', 'double', 'rpe'];
+
+// Approximate change in load per RPE point (one rep in reserve) near the top of the rep range
+ProgressionPlanner.PERCENT_PER_RPE = 4;
+
+/**
+ * Training consistency tracker
+ * Turns workout sessions into day and week streaks against a weekly session target, per-day
+ * calendar heatmap data, day-of-week and time-of-day distributions and the weeks that missed the target.
+ */
+class ConsistencyTracker {
+    /**
+     * @param {Object} options - Tracker options
+     * @param {number} options.weeklyTarget - Sessions per week that make a week count (default: 3)
+     * @param {string} options.heatmapMetric - What the heatmap level reflects: 'volume' (default), 'minutes' or 'sessions'
+     */
+    constructor(options = {}) {
+        this.weeklyTarget = options.weeklyTarget || ConsistencyTracker.DEFAULT_WEEKLY_TARGET;
+        this.heatmapMetric = options.heatmapMetric || 'volume';
+
+        if (!Number.isInteger(this.weeklyTarget) || this.weeklyTarget < 1 || this.weeklyTarget > 7) {
+            throw new Error(`Weekly target must be a whole number of sessions from 1 to 7, got ${this.weeklyTarget}`);
+        }
+        if (!ConsistencyTracker.HEATMAP_METRICS.includes(this.heatmapMetric)) {
+            throw new Error(`Unknown heatmap metric: ${this.heatmapMetric}`);
+        }
+    }
+
+    /**
+     * Analyze consistency from the first session up to a day
+     * A streak isn't broken by the day or week it is measured on until that period is over.
+     * @param {Array} sessions - Sessions: [{ date, durationMinutes, volume }]
+     * @param {Object} options - Analysis options
+     * @param {Date|string} options.asOf - Last day to report (default: day of the last session)
+     * @returns {Object} { weeklyTarget, totalSessions, activeDays, dayStreak, weekStreak, calendar, weeks, missedWeeks, dayOfWeek, timeOfDay, hourOfDay }
+     */
+    analyze(sessions, options = {}) {
+        const dated = sessions
+            .map(session => ({ ...session, date: new Date(session.date) }))
+            .filter(session => !isNaN(session.date.getTime()))
+            .sort((a, b) => a.date - b.date);
+
+        const result = {
+            weeklyTarget: this.weeklyTarget,
+            totalSessions: dated.length,
+            activeDays: 0,
+            dayStreak: this._streak([]),
+            weekStreak: this._streak([]),
+            calendar: [],
+            weeks: [],
+            missedWeeks: [],
+            dayOfWeek: this._dayOfWeek(dated),
+            timeOfDay: this._timeOfDay(dated),
+            hourOfDay: Array.from({ length: 24 }, (_, hour) => dated.filter(session => session.date.getHours() === hour).length)
+        };
+        if (dated.length === 0) return result;
+
+        const totalsByDay = new Map();
+        dated.forEach(session => {
+            const date = LocalDate.dayKey(session.date);
+            const totals = totalsByDay.get(date) || { date, sessions: 0, volume: 0, minutes: 0 };
+            totals.sessions++;
+            totals.volume += session.volume || 0;
+            totals.minutes += session.durationMinutes || 0;
+            totalsByDay.set(date, totals);
+        });
+
+        const first = dated[0].date;
+        const last = options.asOf ? LocalDate.parse(options.asOf) : dated[dated.length - 1].date;
+        const lastDay = LocalDate.dayKey(last);
+
+        for (let day = new Date(first.getFullYear(), first.getMonth(), first.getDate()); day <= last; day.setDate(day.getDate() + 1)) {
+            const date = LocalDate.dayKey(day);
+            const totals = totalsByDay.get(date) || { date, sessions: 0, volume: 0, minutes: 0 };
+            result.calendar.push({ ...totals, volume: UnitConverter.round(totals.volume, 1), weekday: (day.getDay() + 6) % 7, weekStart: LocalDate.weekStart(day) });
+        }
+        this._setLevels(result.calendar);
+        result.activeDays = result.calendar.filter(day => day.sessions > 0).length;
+        result.dayStreak = this._streak(result.calendar.map(day => ({
+            key: day.date,
+            met: day.sessions > 0,
+            pending: day.date === lastDay
+        })));
+
+        result.weeks = this._weeks(result.calendar, last);
+        result.weekStreak = this._streak(result.weeks.map(week => ({ key: week.weekStart, met: week.metTarget, pending: !week.complete })));
+        result.missedWeeks = result.weeks
+            .filter(week => week.complete && !week.metTarget)
+            .map(week => ({ weekStart: week.weekStart, sessions: week.sessions, shortBy: this.weeklyTarget - week.sessions }));
+
+        return result;
+    }
+
+    /**
+     * Group calendar days into Monday-based weeks and check each against the target
+     * @param {Array} calendar - Calendar days from analyze()
+     * @param {Date} last - Last reported day
+     * @returns {Array} Weeks: [{ weekStart, sessions, activeDays, minutes, metTarget, complete }]
+     */
+    _weeks(calendar, last) {
+        const weeks = new Map();
+        calendar.forEach(day => {
+            const week = weeks.get(day.weekStart) || { weekStart: day.weekStart, sessions: 0, activeDays: 0, minutes: 0 };
+            week.sessions += day.sessions;
+            week.activeDays += day.sessions > 0 ? 1 : 0;
+            week.minutes += day.minutes;
+            weeks.set(day.weekStart, week);
+        });
+
+        return Array.from(weeks.values()).map(week => {
+            const [year, month, day] = week.weekStart.split('-').map(Number);
+            const sunday = new Date(year, month - 1, day + 6);
+
+            return {
+                ...week,
+                metTarget: week.sessions >= this.weeklyTarget,
+                complete: LocalDate.dayKey(sunday) <= LocalDate.dayKey(last)
+            };
+        });
+    }
+
+    /**
+     * Find the current and longest runs of periods that met their goal
+     * A pending last period that hasn't met its goal yet leaves the current run open.
+     * @param {Array} periods - Periods in order: [{ key, met, pending }]
+     * @returns {Object} { current, currentStart, longest, longestStart, longestEnd } (starts and ends are period keys)
+     */
+    _streak(periods) {
+        const streak = { current: 0, currentStart: null, longest: 0, longestStart: null, longestEnd: null };
+
+        periods.forEach((period, index) => {
+            if (period.met) {
+                if (streak.current === 0) streak.currentStart = period.key;
+                streak.current++;
+                if (streak.current > streak.longest) {
+                    streak.longest = streak.current;
+                    streak.longestStart = streak.currentStart;
+                    streak.longestEnd = period.key;
+                }
+            } else if (!(period.pending && index === periods.length - 1)) {
+                streak.current = 0;
+                streak.currentStart = null;
+            }
+        });
+
+        return streak;
+    }
+
+    /**
+     * Give each calendar day a heatmap level from 0 (rest) to ConsistencyTracker.HEATMAP_LEVELS
+     * Days are scaled against the busiest day; when nothing was recorded for the metric, any session is level 1.
+     * @param {Array} calendar - Calendar days, updated in place
+     */
+    _setLevels(calendar) {
+        const max = Math.max(...calendar.map(day => day[this.heatmapMetric]));
+
+        calendar.forEach(day => {
+            if (day.sessions === 0) {
+                day.level = 0;
+            } else if (max > 0 && day[this.heatmapMetric] > 0) {
+                day.level = Math.max(1, Math.ceil(day[this.heatmapMetric] / max * ConsistencyTracker.HEATMAP_LEVELS));
+            } else {
+                day.level = 1;
+            }
+        });
+    }
+
+    /**
+     * Count sessions per weekday, Monday first
+     * @param {Array} sessions - Dated sessions
+     * @returns {Array} [{ day, sessions, share }]
+     */
+    _dayOfWeek(sessions) {
+        return ConsistencyTracker.DAY_NAMES.map((day, index) => {
+            const count = sessions.filter(session => (session.date.getDay() + 6) % 7 === index).length;
+            return { day, sessions: count, share: UnitConverter.percent(count, sessions.length) || 0 };
+        });
+    }
+
+    /**
+     * Count sessions per part of the day by start time
+     * @param {Array} sessions - Dated sessions
+     * @returns {Array} [{ period, label, sessions, share }]
+     */
+    _timeOfDay(sessions) {
+        return ConsistencyTracker.TIME_OF_DAY.map(({ period, label, from, to }) => {
+            const count = sessions.filter(session => {
+                const hour = session.date.getHours();
+                return from < to ? hour >= from && hour < to : hour >= from || hour < to;
+            }).length;
+            return { period, label, sessions: count, share: UnitConverter.percent(count, sessions.length) || 0 };
+        });
+    }
+}
+
+// Sessions per week used when neither the caller nor a routine sets a target
+ConsistencyTracker.DEFAULT_WEEKLY_TARGET = 3;
+
+ConsistencyTracker.HEATMAP_METRICS = ['volume', 'minutes', 'sessions'];
+
+// Number of non-rest heatmap levels, like a contribution graph
+ConsistencyTracker.HEATMAP_LEVELS = 4;
+
+ConsistencyTracker.DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Parts of the day by session start hour; night wraps past midnight
+ConsistencyTracker.TIME_OF_DAY = [
+    { period: 'morning', label: 'Morning (5–12)', from: 5, to: 12 },
+    { period: 'afternoon', label: 'Afternoon (12–17)', from: 12, to: 17 },
+    { period: 'evening', label: 'Evening (17–21)', from: 17, to: 21 },
+    { period: 'night', label: 'Night (21–5)', from: 21, to: 5 }
+];
+
+/**
+ * Combines parsed datasets from any number of exports, in any mix of formats
+ * Workouts from different sources that overlap in time and share most of their exercises are
+ * treated as one workout: the copy from the source with precedence is kept and the others are
+ * recorded in its provenance. Workouts are renumbered in date order in the merged data.
+ */
+class WorkoutMerger {
+    /**
+     * @param {Object} options - Merge options
+     * @param {string|Array} options.precedence - Which copy of a duplicate workout wins: 'order' (default; earlier
+     *   sources win), 'most-sets' (the copy with more logged sets), or a list of source names and formats, highest first
+     * @param {number} options.toleranceMinutes - Gap allowed between two workouts' times for them to overlap (default: 30)
+     * @param {number} options.minSimilarity - Share of exercises two overlapping workouts must have in common, 0–1 (default: 0.5)
+     * @param {boolean} options.fillMissing - Fill empty fields of the kept workout from its duplicates (default: true)
+     * @param {ExerciseCatalog} options.catalog - Catalog used to compare exercise names (default: built-in catalog)
+     */
+    constructor(options = {}) {
+        this.precedence = options.precedence || 'order';
+        this.toleranceMinutes = options.toleranceMinutes === undefined ? WorkoutMerger.DEFAULT_TOLERANCE_MINUTES : options.toleranceMinutes;
+        this.minSimilarity = options.minSimilarity === undefined ? WorkoutMerger.DEFAULT_MIN_SIMILARITY : options.minSimilarity;
+        this.fillMissing = options.fillMissing !== false;
+        this.catalog = options.catalog || new ExerciseCatalog();
+
+        if (!Array.isArray(this.precedence) && !WorkoutMerger.PRECEDENCE_RULES.includes(this.precedence)) {
+            throw new Error(`Unknown precedence: ${this.precedence}. Expected one of: ${WorkoutMerger.PRECEDENCE_RULES.join(', ')}, or a list of sources`);
+        }
+        if (typeof this.minSimilarity !== 'number' || this.minSimilarity < 0 || this.minSimilarity > 1) {
+            throw new Error(`Minimum similarity must be a number from 0 to 1, got ${this.minSimilarity}`);
+        }
+        if (typeof this.toleranceMinutes !== 'number' || this.toleranceMinutes < 0) {
+            throw new Error(`Tolerance must be a non-negative number of minutes, got ${this.toleranceMinutes}`);
+        }
+    }
+
+    /**
+     * Merge parsed datasets
+     * Routines, plan days and settings come from multi-section sources; rows with the same _id are
+     * kept once, from the source with precedence. Identical note rows and unlinked exercise rows are kept once.
+     * @param {Array} sources - Parsed data, or { name, data } to label a source (default name: 'source-N')
+     * @returns {Object} Parsed data with the usual tables, format (the shared format, or 'merged'),
+     *   formats, and merge: { sources, duplicates }. Each session has provenance: { source, format, sourceId, duplicates }
+     */
+    merge(sources) {
+        if (!Array.isArray(sources) || sources.length === 0) {
+            throw new Error('Nothing to merge: pass a list of parsed datasets');
+        }
+
+        const inputs = sources.map((source, index) => {
+            const data = source && source.data ? source.data : source;
+            if (!data || !Array.isArray(data.workoutSessions) || !Array.isArray(data.exercises)) {
+                throw new Error(`Source ${index + 1} is not parsed workout data`);
+            }
+            return {
+                index,
+                name: source.data && source.name ? String(source.name) : `source-${index + 1}`,
+                format: data.format || 'multi-section',
+                data
+            };
+        });
+        const ranked = inputs.slice().sort((a, b) => this._rank(a) - this._rank(b) || a.index - b.index);
+
+        const workouts = [];
+        const orphans = [];
+        inputs.forEach(input => {
+            const linked = this._linkWorkouts(input);
+            workouts.push(...linked.workouts);
+            orphans.push(...linked.orphans);
+        });
+
+        const { kept, duplicates } = this._dedupe(workouts);
+        const formats = Array.from(new Set(inputs.map(input => input.format)));
+        const workoutSessions = [];
+        const exercises = [];
+
+        kept.sort((a, b) => (a.start || 0) - (b.start || 0) || a.input.index - b.input.index).forEach((workout, i) => {
+            const id = i + 1;
+            const session = { ...workout.session, _id: id };
+            if (this.fillMissing) {
+                workout.duplicates.forEach(duplicate => {
+                    WorkoutMerger.FILLED_FIELDS.forEach(field => {
+                        if (this._isEmpty(session[field]) && !this._isEmpty(duplicate.session[field])) {
+                            session[field] = duplicate.session[field];
+                        }
+                    });
+                });
+            }
+            session.provenance = {
+                source: workout.input.name,
+                format: workout.input.format,
+                sourceId: workout.session._id,
+                duplicates: workout.duplicates.map(duplicate => ({
+                    source: duplicate.input.name,
+                    format: duplicate.input.format,
+                    sourceId: duplicate.session._id
+                }))
+            };
+
+            workoutSessions.push(session);
+            workout.exercises.forEach(entry => {
+                exercises.push(entry.workout_id !== undefined ? { ...entry, workout_id: id } : entry);
+            });
+        });
+
+        const seen = new Set(exercises.map(entry => this._rowKey(entry)));
+        orphans.forEach(entry => {
+            const key = this._rowKey(entry);
+            if (seen.has(key)) return;
+            seen.add(key);
+            exercises.push(entry);
+        });
+        exercises.sort((a, b) => (new Date(a.TIMESTAMP).getTime() || 0) - (new Date(b.TIMESTAMP).getTime() || 0));
+
+        const multiSection = ranked.filter(input => !SINGLE_TABLE_FORMATS.includes(input.format));
+        const settingsSource = multiSection.find(input => Object.keys(input.data.settings || {}).length > 0);
+        const sourceUnits = ranked.map(input => input.data.sourceUnits).find(Boolean) || null;
+
+        return {
+            settings: settingsSource ? { ...settingsSource.data.settings } : {},
+            routines: this._uniqueRows(multiSection.map(input => input.data.routines)),
+            workoutDays: this._uniqueRows(multiSection.map(input => input.data.workoutDays)),
+            exercises,
+            workoutSessions,
+            exerciseLogs: multiSection.length === 0
+                ? exercises
+                : this._uniqueRows(multiSection.map(input => input.data.exerciseLogs), row => this._rowKey(row)),
+            notes: this._uniqueRows(ranked.map(input => input.data.notes), row => this._rowKey(row)),
+            format: formats.length === 1 ? formats[0] : 'merged',
+            formats,
+            sourceUnits,
+            diagnostics: this._mergeDiagnostics(inputs),
+            merge: {
+                sources: inputs.map(input => ({
+                    name: input.name,
+                    format: input.format,
+                    workouts: input.data.workoutSessions.length,
+                    kept: kept.filter(workout => workout.input === input).length,
+                    duplicates: workouts.filter(workout => workout.input === input).length - kept.filter(workout => workout.input === input).length
+                })),
+                duplicates
+            }
+        };
+    }
+
+    /**
+     * Link a source's exercise entries to its workouts (see SessionLinker.link)
+     * @param {Object} input - { index, name, format, data }
+     * @returns {Object} { workouts: [{ input, session, start, end, exercises, exerciseIds, sets, duplicates }], orphans }
+     */
+    _linkWorkouts(input) {
+        const { workouts, orphans } = SessionLinker.link(input.data);
+
+        return {
+            workouts: workouts.map(({ session, start, end, entries }) => ({
+                input,
+                session,
+                start,
+                end,
+                exercises: entries,
+                exerciseIds: new Set(entries.filter(entry => entry.exercisename).map(entry => this.catalog.resolve(entry.exercisename).id)),
+                sets: entries.reduce((sum, entry) => sum + (entry.sets ? entry.sets.length : 0), 0),
+                duplicates: []
+            })),
+            orphans
+        };
+    }
+
+    /**
+     * Drop workouts that duplicate a workout from another source
+     * Workouts without a valid start time are always kept.
+     * @param {Array} workouts - Linked workouts from every source
+     * @returns {Object} { kept, duplicates: [{ kept, dropped, similarity }] } with { source, sourceId, date } on each side
+     */
+    _dedupe(workouts) {
+        const tolerance = this.toleranceMinutes * 60 * 1000;
+        const kept = [];
+        const duplicates = [];
+
+        workouts.slice().sort((a, b) => (a.start || 0) - (b.start || 0)).forEach(workout => {
+            const match = kept.find(candidate => candidate.input !== workout.input
+                && !candidate.duplicates.some(duplicate => duplicate.input === workout.input)
+                && workout.start <= candidate.end + tolerance
+                && candidate.start <= workout.end + tolerance
+                && this._similarity(candidate, workout) >= this.minSimilarity);
+
+            if (!match) {
+                kept.push(workout);
+                return;
+            }
+
+            const [winner, loser] = this._compare(match, workout) <= 0 ? [match, workout] : [workout, match];
+            winner.duplicates.push(loser, ...loser.duplicates);
+            loser.duplicates = [];
+            if (winner !== match) kept[kept.indexOf(match)] = winner;
+
+            duplicates.push({
+                kept: this._describe(winner),
+                dropped: this._describe(loser),
+                similarity: UnitConverter.round(this._similarity(winner, loser), 2)
+            });
+        });
+
+        return { kept, duplicates };
+    }
+
+    /**
+     * Share of exercises two workouts have in common
+     * A workout without linked exercises only has its time to go on, so it matches any overlapping workout.
+     * @param {Object} a - Linked workout
+     * @param {Object} b - Linked workout
+     * @returns {number} Exercises in both / exercises in either, from 0 to 1
+     */
+    _similarity(a, b) {
+        if (a.exerciseIds.size === 0 || b.exerciseIds.size === 0) return 1;
+
+        const shared = Array.from(a.exerciseIds).filter(id => b.exerciseIds.has(id)).length;
+        return shared / (a.exerciseIds.size + b.exerciseIds.size - shared);
+    }
+
+    /**
+     * Compare two copies of the same workout by precedence
+     * @param {Object} a - Linked workout
+     * @param {Object} b - Linked workout
+     * @returns {number} Negative if a wins, positive if b wins
+     */
+    _compare(a, b) {
+        if (this.precedence === 'most-sets' && a.sets !== b.sets) return b.sets - a.sets;
+        return this._rank(a.input) - this._rank(b.input) || a.input.index - b.input.index;
+    }
+
+    /**
+     * Rank a source by the precedence list
+     * @param {Object} input - { index, name, format }
+     * @returns {number} Position of the source's name or format in the list (lower wins), 0 for other rules
+     */
+    _rank(input) {
+        if (!Array.isArray(this.precedence)) return 0;
+
+        const byName = this.precedence.indexOf(input.name);
+        if (byName !== -1) return byName;
+
+        const byFormat = this.precedence.indexOf(input.format);
+        return byFormat === -1 ? this.precedence.length : byFormat;
+    }
+
+    /**
+     * Describe a workout for the duplicates report
+     * @param {Object} workout - Linked workout
+     * @returns {Object} { source, format, sourceId, date }
+     */
+    _describe(workout) {
+        return {
+            source: workout.input.name,
+            format: workout.input.format,
+            sourceId: workout.session._id,
+            date: new Date(workout.start).toISOString()
+        };
+    }
+
+    /**
+     * Check whether a session field has no value worth keeping
+     * @param {*} value - Field value
+     * @returns {boolean} True for undefined, null, empty strings and 0
+     */
+    _isEmpty(value) {
+        return value === undefined || value === null || value === '' || value === 0;
+    }
+
+    /**
+     * Key that identifies a row by its content, ignoring export bookkeeping
+     * @param {Object} row - Parsed row
+     * @returns {string} Key
+     */
+    _rowKey(row) {
+        return JSON.stringify(Object.keys(row)
+            .filter(key => !WorkoutMerger.BOOKKEEPING_FIELDS.includes(key))
+            .sort()
+            .map(key => [key, row[key]]));
+    }
+
+    /**
+     * Concatenate row tables, keeping the first row for each key
+     * @param {Array} tables - Row arrays, in precedence order
+     * @param {Function} keyOf - Row key (default: the row's _id, or its content when it has none)
+     * @returns {Array} Unique rows
+     */
+    _uniqueRows(tables, keyOf = row => (row._id !== undefined ? `id:${row._id}` : this._rowKey(row))) {
+        const seen = new Set();
+        const rows = [];
+
+        tables.forEach(table => (table || []).forEach(row => {
+            const key = keyOf(row);
+            if (seen.has(key)) return;
+            seen.add(key);
+            rows.push(row);
+        }));
+        return rows;
+    }
+
+    /**
+     * Combine the parse diagnostics of every source
+     * @param {Array} inputs - Sources
+     * @returns {Object} Report (see ParseDiagnostics.getReport) with each issue tagged with its source
+     */
+    _mergeDiagnostics(inputs) {
+        const report = { errors: [], warnings: [], sections: {}, rowsRead: 0, rowsKept: 0 };
+
+        inputs.forEach(input => {
+            const diagnostics = input.data.diagnostics;
+            if (!diagnostics) return;
+
+            ['errors', 'warnings'].forEach(level => {
+                (diagnostics[level] || []).forEach(issue => report[level].push({ ...issue, source: input.name }));
+            });
+            Object.keys(diagnostics.sections || {}).forEach(section => {
+                const counts = report.sections[section] || { read: 0, kept: 0 };
+                counts.read += diagnostics.sections[section].read;
+                counts.kept += diagnostics.sections[section].kept;
+                report.sections[section] = counts;
+            });
+            report.rowsRead += diagnostics.rowsRead || 0;
+            report.rowsKept += diagnostics.rowsKept || 0;
+        });
+
+        return report;
+    }
+}
+
+WorkoutMerger.PRECEDENCE_RULES = ['order', 'most-sets'];
+
+// Minutes two workouts' times may be apart and still overlap, e.g. when one app logs the end a little late
+WorkoutMerger.DEFAULT_TOLERANCE_MINUTES = 30;
+
+// Share of exercises two overlapping workouts need in common to be the same workout
+WorkoutMerger.DEFAULT_MIN_SIMILARITY = 0.5;
+
+// Session fields the kept workout takes from a duplicate when its own are empty
+WorkoutMerger.FILLED_FIELDS = ['workout_name', 'notes', 'description', 'total_time', 'endtime'];
+
+// Row fields that differ between exports of the same data and are ignored when comparing rows
+WorkoutMerger.BOOKKEEPING_FIELDS = ['row_id', 'rowid'];
+
+/**
+ * Compares two parsed exports of the same account, e.g. last night's and tonight's full-history export
+ * Workouts are matched by their ID and start time (Strong "Workout #", multi-section _id), or by
+ * start time alone when the parser generated the IDs (Hevy). Sets are matched by exercise and set
+ * number within a workout. Exercise rows that don't belong to any workout (multi-section plan rows)
+ * aren't compared.
+ */
+class WorkoutDiff {
+    /**
+     * @param {Object} options - Diff options
+     * @param {string} options.unitSystem - 'metric' (default) or 'imperial' for weights in the report and changelog
+     * @param {ExerciseCatalog} options.catalog - Catalog used to match exercise names (default: built-in catalog)
+     * @param {Array} options.recordTypes - Record types reported as new (default: EnhancedWorkoutAnalyzer.RECORD_TYPES)
+     */
+    constructor(options = {}) {
+        this.units = new UnitConverter(options.unitSystem);
+        this.catalog = options.catalog || new ExerciseCatalog();
+        this.recordTypes = options.recordTypes || EnhancedWorkoutAnalyzer.RECORD_TYPES;
+    }
+
+    /**
+     * Compare a previous export with the current one
+     * New records are the records the current data sets in added workouts, or with added or edited sets in changed ones.
+     * @param {Object} previous - Parsed data of the earlier export
+     * @param {Object} current - Parsed data of the later export
+     * @returns {Object} { summary, added, removed, changed, newRecords, changelog }; workouts are
+     *   { key, id, date, name, exercises, sets, volume }; changed workouts also have fields and setChanges: { added, removed, changed }
+     */
+    compare(previous, current) {
+        // Both sides need the same keys, so one side with generated IDs means matching by start time alone
+        const byStart = [previous, current].some(data => this._hasGeneratedIds(data));
+        const before = this._indexWorkouts(previous, byStart);
+        const after = this._indexWorkouts(current, byStart);
+        const added = [];
+        const removed = [];
+        const changed = [];
+        let unchanged = 0;
+
+        after.forEach((workout, key) => {
+            if (!before.has(key)) {
+                added.push(workout);
+                return;
+            }
+
+            const change = this._compareWorkouts(before.get(key), workout);
+            if (change) {
+                changed.push(change);
+            } else {
+                unchanged++;
+            }
+        });
+        before.forEach((workout, key) => {
+            if (!after.has(key)) removed.push(workout);
+        });
+
+        const byDate = (a, b) => a.start - b.start;
+        added.sort(byDate);
+        removed.sort(byDate);
+        changed.sort((a, b) => a.workout.start - b.workout.start);
+
+        const newRecords = this._newRecords(current, added, changed, before);
+        const countSets = list => list.reduce((sum, workout) => sum + workout.sets.length, 0);
+
+        return {
+            summary: {
+                previousWorkouts: before.size,
+                currentWorkouts: after.size,
+                added: added.length,
+                removed: removed.length,
+                changed: changed.length,
+                unchanged,
+                setsAdded: countSets(added) + changed.reduce((sum, change) => sum + change.sets.added.length, 0),
+                setsRemoved: countSets(removed) + changed.reduce((sum, change) => sum + change.sets.removed.length, 0),
+                setsChanged: changed.reduce((sum, change) => sum + change.sets.changed.length, 0),
+                newRecords: newRecords.length
+            },
+            added: added.map(workout => this._describeWorkout(workout)),
+            removed: removed.map(workout => this._describeWorkout(workout)),
+            changed: changed.map(change => ({
+                ...this._describeWorkout(change.workout),
+                fields: change.fields,
+                setChanges: {
+                    added: change.sets.added.map(set => this._describeSet(set)),
+                    removed: change.sets.removed.map(set => this._describeSet(set)),
+                    changed: change.sets.changed.map(pair => ({
+                        ...this._describeSet(pair.after),
+                        fields: pair.fields,
+                        before: this._describeSet(pair.before)
+                    }))
+                }
+            })),
+            newRecords,
+            changelog: this._changelog(added, removed, changed, newRecords)
+        };
+    }
+
+    /**
+     * Check whether a dataset's workout IDs were generated, so they can't be matched across exports
+     * WorkoutMerger renumbers workouts even when every source had the same format.
+     * @param {Object} data - Parsed data
+     * @returns {boolean} True for generated IDs
+     */
+    _hasGeneratedIds(data) {
+        return WorkoutDiff.GENERATED_ID_FORMATS.includes(data.format) || Boolean(data.merge);
+    }
+
+    /**
+     * Index a dataset's workouts by key, with their sets (linked by SessionLinker.link)
+     * @param {Object} data - Parsed data
+     * @param {boolean} byStart - Key workouts by start time alone instead of ID and start time
+     * @returns {Map} key -> { key, session, start, sets: [{ key, exerciseId, name, set }] }
+     */
+    _indexWorkouts(data, byStart) {
+        const workouts = new Map();
+
+        SessionLinker.link(data).workouts.forEach(({ session, start, entries }) => {
+            if (isNaN(start)) return;
+
+            const key = byStart ? `@${start / 1000}` : `${session._id}@${start / 1000}`;
+            const workout = { key, session, start, sets: [] };
+            workouts.set(workout.key, workout);
+
+            entries.forEach(entry => {
+                if (!entry.exercisename || !entry.sets) return;
+
+                const exerciseId = this.catalog.resolve(entry.exercisename).id;
+                entry.sets.forEach((set, index) => {
+                    const setNumber = set.setNumber || index + 1;
+                    workout.sets.push({ key: `${exerciseId}#${setNumber}`, exerciseId, name: entry.exercisename, setNumber, set });
+                });
+            });
+        });
+
+        return workouts;
+    }
+
+    /**
+     * Compare two versions of a workout
+     * @param {Object} before - Indexed workout from the previous export
+     * @param {Object} after - Indexed workout from the current export
+     * @returns {Object|null} { workout, fields, sets: { added, removed, changed } }, or null if nothing changed
+     */
+    _compareWorkouts(before, after) {
+        const fields = WorkoutDiff.WORKOUT_FIELDS
+            .filter(field => this._normalize(before.session[field]) !== this._normalize(after.session[field]))
+            .map(field => ({ field, before: before.session[field] === undefined ? null : before.session[field], after: after.session[field] === undefined ? null : after.session[field] }));
+
+        const beforeSets = new Map(before.sets.map(set => [set.key, set]));
+        const afterSets = new Map(after.sets.map(set => [set.key, set]));
+        const sets = {
+            added: after.sets.filter(set => !beforeSets.has(set.key)),
+            removed: before.sets.filter(set => !afterSets.has(set.key)),
+            changed: []
+        };
+
+        after.sets.forEach(set => {
+            const old = beforeSets.get(set.key);
+            if (!old) return;
+
+            const setFields = WorkoutDiff.SET_FIELDS
+                .filter(field => this._normalize(old.set[field], field) !== this._normalize(set.set[field], field));
+            if (setFields.length > 0) sets.changed.push({ before: old, after: set, fields: setFields });
+        });
+
+        if (fields.length === 0 && sets.added.length === 0 && sets.removed.length === 0 && sets.changed.length === 0) {
+            return null;
+        }
+        return { workout: after, fields, sets };
+    }
+
+    /**
+     * Normalize a value for comparison, so unit round-trips and missing values don't count as edits
+     * @param {*} value - Field value
+     * @param {string} field - Set field name, used to default a missing set type
+     * @returns {*} Comparable value
+     */
+    _normalize(value, field) {
+        if (value === undefined || value === null || value === '') return field === 'setType' ? 'normal' : null;
+        if (typeof value === 'number') return UnitConverter.round(value, 3);
+        return String(value).trim();
+    }
+
+    /**
+     * Find the records set in workouts that are new in the current export
+     * Records count in added workouts, and in changed workouts for exercises with an added or edited set.
+     * Records without a workout ID match a changed workout by day, or count when they are later than every previous workout.
+     * @param {Object} current - Parsed data of the later export
+     * @param {Array} added - Indexed workouts added since the previous export
+     * @param {Array} changed - Changed workouts from _compareWorkouts()
+     * @param {Map} before - Indexed workouts of the previous export
+     * @returns {Array} Record timeline events (see EnhancedWorkoutAnalyzer.getRecordTimeline)
+     */
+    _newRecords(current, added, changed, before) {
+        const addedIds = new Set(added.map(workout => String(workout.session._id)));
+        const editedExercises = new Map();
+        changed.forEach(change => {
+            const exerciseIds = change.sets.added.concat(change.sets.changed.map(pair => pair.after)).map(set => set.exerciseId);
+            [`id:${change.workout.session._id}`, `day:${LocalDate.dayKey(new Date(change.workout.start))}`].forEach(key => {
+                if (!editedExercises.has(key)) editedExercises.set(key, new Set());
+                exerciseIds.forEach(id => editedExercises.get(key).add(id));
+            });
+        });
+        const lastBefore = Array.from(before.values()).reduce((latest, workout) => Math.max(latest, workout.start), 0);
+        const analyzer = new EnhancedWorkoutAnalyzer(current, { unitSystem: this.units.system, catalog: this.catalog });
+        const isEdited = (key, event) => editedExercises.has(key) && editedExercises.get(key).has(event.exerciseId);
+
+        return analyzer.getRecordTimeline({ types: this.recordTypes }).filter(event => {
+            if (event.workoutId !== null && event.workoutId !== undefined) {
+                return addedIds.has(String(event.workoutId)) || isEdited(`id:${event.workoutId}`, event);
+            }
+            return new Date(event.date).getTime() > lastBefore || isEdited(`day:${LocalDate.dayKey(new Date(event.date))}`, event);
+        });
+    }
+
+    /**
+     * Describe a workout for the report
+     * @param {Object} workout - Indexed workout
+     * @returns {Object} { key, id, date, name, exercises, sets, volume } with volume in display units
+     */
+    _describeWorkout(workout) {
+        return {
+            key: workout.key,
+            id: workout.session._id,
+            date: new Date(workout.start).toISOString(),
+            name: workout.session.workout_name || null,
+            exercises: new Set(workout.sets.map(set => set.exerciseId)).size,
+            sets: workout.sets.length,
+            volume: UnitConverter.round(this.units.weight(workout.sets.reduce((sum, set) => sum + (set.set.volume || 0), 0)), 1)
+        };
+    }
+
+    /**
+     * Describe a set for the report
+     * @param {Object} indexed - Indexed set
+     * @returns {Object} { exerciseId, name, setNumber, weight, reps, distance, seconds, rpe, setType } in display units
+     */
+    _describeSet(indexed) {
+        const set = indexed.set;
+        return {
+            exerciseId: indexed.exerciseId,
+            name: indexed.name,
+            setNumber: indexed.setNumber,
+            weight: UnitConverter.round(this.units.weight(set.weight || 0), 2),
+            reps: set.reps || 0,
+            distance: set.distance ? UnitConverter.round(this.units.distance(set.distance), 2) : null,
+            seconds: set.seconds || null,
+            rpe: set.rpe === undefined ? null : set.rpe,
+            setType: set.setType || 'normal'
+        };
+    }
+
+    /**
+     * Format a record event for the changelog
+     * @param {Object} event - Record timeline event (display units)
+     * @returns {string} Description, e.g. "heaviest set 105 kg"
+     */
+    _formatRecord(event) {
+        switch (event.type) {
+            case 'reps': return `${event.value} reps`;
+            case 'distance': return `longest distance ${event.value} ${this.units.distanceUnit}`;
+            case 'e1rm': return `e1RM ${event.value} ${this.units.weightUnit}`;
+            case 'volume': return `session volume ${event.value} ${this.units.weightUnit}×reps`;
+            default: return `heaviest set ${event.value} ${this.units.weightUnit}`;
+        }
+    }
+
+    /**
+     * Build a changelog in date order
+     * @param {Array} added - Indexed workouts added
+     * @param {Array} removed - Indexed workouts removed
+     * @param {Array} changed - Workout changes
+     * @param {Array} newRecords - New record events
+     * @returns {Array} [{ change: 'added'|'removed'|'changed'|'record', date, workoutId, text }]
+     */
+    _changelog(added, removed, changed, newRecords) {
+        const title = workout => `${workout.session.workout_name || 'Workout'} on ${LocalDate.dayKey(new Date(workout.start))}`;
+        const count = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+        const entry = (change, workout, text) => ({
+            change,
+            date: new Date(workout.start).toISOString(),
+            workoutId: workout.session._id,
+            text
+        });
+        const entries = [];
+
+        added.forEach(workout => {
+            const described = this._describeWorkout(workout);
+            entries.push(entry('added', workout, `Added ${title(workout)}: ${count(described.exercises, 'exercise')}, ${count(described.sets, 'set')}`));
+        });
+        removed.forEach(workout => {
+            entries.push(entry('removed', workout, `Removed ${title(workout)} (${count(workout.sets.length, 'set')})`));
+        });
+        changed.forEach(change => {
+            const edits = change.fields.map(field => `${field.field} ${JSON.stringify(field.before)} → ${JSON.stringify(field.after)}`)
+                .concat(change.sets.changed.map(pair => `${pair.after.name} set ${pair.after.setNumber} ${this.units.formatSet(pair.before.set)} → ${this.units.formatSet(pair.after.set)}`))
+                .concat(change.sets.added.map(set => `added ${set.name} set ${set.setNumber} (${this.units.formatSet(set.set)})`))
+                .concat(change.sets.removed.map(set => `removed ${set.name} set ${set.setNumber}`));
+            entries.push(entry('changed', change.workout, `Edited ${title(change.workout)}: ${edits.join('; ')}`));
+        });
+        newRecords.forEach(event => {
+            entries.push({
+                change: 'record',
+                date: new Date(event.date).toISOString(),
+                workoutId: event.workoutId === undefined ? null : event.workoutId,
+                text: `New record: ${event.name} ${this._formatRecord(event)}${event.previous !== null ? `, up from ${event.previous}` : ''}`
+            });
+        });
+
+        // Records follow the workout they were set in
+        const order = { removed: 0, changed: 1, added: 2, record: 3 };
+        return entries.sort((a, b) => a.date.localeCompare(b.date) || order[a.change] - order[b.change]);
+    }
+}
+
+// Session fields whose edits are reported
+WorkoutDiff.WORKOUT_FIELDS = ['workout_name', 'total_time', 'notes', 'description'];
+
+// Set fields whose edits are reported
+WorkoutDiff.SET_FIELDS = ['weight', 'reps', 'distance', 'seconds', 'rpe', 'setType'];
+
+// Formats whose workout IDs are numbered by the parser or WorkoutMerger, so they shift when workouts are added
+WorkoutDiff.GENERATED_ID_FORMATS = ['hevy', 'merged'];
+
+/**
+ * Writes parsed data back out as CSV that the parsers read again
+ * Weights and distances are converted from kg / meters into the file's units, and fields the parsers
+ * derive (set lists, totals, efficiency) are left out so they are recomputed when the file is read.
+ */
+class WorkoutSerializer {
+    /**
+     * @param {Object} options - Serializer options
+     * @param {string} options.weightUnit - 'kg' or 'lb' (default: the units the data was recorded in)
+     * @param {string} options.distanceUnit - 'm', 'km', 'mi' or 'ft' for Strong files (default: the units the data was recorded in)
+     */
+    constructor(options = {}) {
+        this.weightUnit = options.weightUnit ? UnitConverter.normalizeUnit(options.weightUnit) : null;
+        this.distanceUnit = options.distanceUnit ? UnitConverter.normalizeUnit(options.distanceUnit) : null;
+
+        if (options.weightUnit && !WorkoutSerializer.WEIGHT_LABELS[this.weightUnit]) {
+            throw new Error(`Unknown weight unit: ${options.weightUnit}. Expected one of: ${Object.keys(WorkoutSerializer.WEIGHT_LABELS).join(', ')}`);
+        }
+        if (options.distanceUnit && !WorkoutSerializer.DISTANCE_LABELS[this.distanceUnit]) {
+            throw new Error(`Unknown distance unit: ${options.distanceUnit}. Expected one of: ${Object.keys(WorkoutSerializer.DISTANCE_LABELS).join(', ')}`);
+        }
+    }
+
+    /**
+     * Write a Strong export: one semicolon separated row per set
+     * Workouts without a valid start time and exercise entries that aren't part of a workout are left out,
+     * since every Strong row belongs to a dated workout.
+     * @param {Object} data - Parsed workout data
+     * @returns {string} Strong CSV content
+     */
+    toStrong(data) {
+        const units = this._units(data);
+        const header = [
+            'Workout #', 'Date', 'Workout Name', 'Duration (sec)', 'Exercise Name', 'Set Order',
+            `Weight (${WorkoutSerializer.WEIGHT_LABELS[units.weight]})`, 'Reps', 'RPE',
+            `Distance (${WorkoutSerializer.DISTANCE_LABELS[units.distance]})`, 'Seconds', 'Notes', 'Workout Notes'
+        ];
+        const rows = [];
+
+        const { workouts } = SessionLinker.link(data);
+        workouts.sort((a, b) => (a.start || 0) - (b.start || 0)).forEach(({ session, start, entries }, index) => {
+            if (isNaN(start)) return;
+
+            entries.forEach(entry => (entry.sets || []).forEach((set, setIndex) => rows.push([
+                session._id !== undefined && session._id !== '' ? session._id : index + 1,
+                new Date(start),
+                session.workout_name || '',
+                session.total_time || 0,
+                entry.exercisename || '',
+                set.setNumber || setIndex + 1,
+                this._round(UnitConverter.fromKilograms(set.weight || 0, units.weight)),
+                set.reps || 0,
+                set.rpe,
+                this._round(UnitConverter.fromMeters(set.distance || 0, units.distance)),
+                set.seconds || 0,
+                set.notes || '',
+                session.notes || session.description || ''
+            ])));
+        });
+
+        return this._writeTable(header, rows, ';', true).join('\n') + '\n';
+    }
+
+    /**
+     * Write a multi-section export with SETTING, ROUTINES, WORKOUT SESSIONS and NOTES sections
+     * Routines, plan days and exercises share the ROUTINES section, each table with its own header.
+     * Set logs are written as "weightxreps@rpe" in the settings' mass unit; distance and time of sets
+     * have no place in them.
+     * @param {Object} data - Parsed workout data
+     * @returns {string} Multi-section CSV content
+     */
+    toMultiSection(data) {
+        const units = this._units(data);
+        const settings = { ...(data.settings || {}) };
+        WorkoutSerializer.SETTINGS_BOOKKEEPING_FIELDS.forEach(field => delete settings[field]);
+        if (UnitConverter.detectFromSettings(settings).weight !== units.weight) {
+            settings.mass = units.weight;
+        }
+
+        const exerciseRow = entry => {
+            const row = { ...entry };
+            if (Array.isArray(entry.sets) && entry.sets.length > 0) {
+                row.logs = this._formatSetLogs(entry.sets, units.weight);
+            }
+            return row;
+        };
+        const sessionRow = session => {
+            const row = { ...session };
+            if (typeof session.total_weight === 'number') {
+                row.total_weight = this._round(UnitConverter.fromKilograms(session.total_weight, units.weight));
+            }
+            return row;
+        };
+        const table = (rows, derivedFields = []) => {
+            const columns = this._columns(rows, derivedFields);
+            return this._writeTable(columns, rows.map(row => columns.map(column => row[column])), ',', false);
+        };
+
+        const sections = [
+            ['SETTING', [table(Object.keys(settings).length > 0 ? [settings] : [])]],
+            ['ROUTINES', [
+                table(data.routines || []),
+                table(data.workoutDays || []),
+                table((data.exercises || []).map(exerciseRow), WorkoutSerializer.EXERCISE_DERIVED_FIELDS)
+            ]],
+            ['WORKOUT SESSIONS', [table((data.workoutSessions || []).map(sessionRow), WorkoutSerializer.SESSION_DERIVED_FIELDS)]],
+            ['NOTES', [table(data.notes || [])]]
+        ];
+
+        // Single-table formats list their exercises twice; only rows from other sections are written again
+        if (data.exerciseLogs && data.exerciseLogs !== data.exercises && data.exerciseLogs.length > 0) {
+            sections.push(['EXERCISE LOGS', [table(data.exerciseLogs.map(exerciseRow), WorkoutSerializer.EXERCISE_DERIVED_FIELDS)]]);
+        }
+
+        const lines = [];
+        sections.forEach(([name, tables]) => {
+            lines.push('', `### ${name} `.padEnd(WorkoutSerializer.BANNER_WIDTH, '#'), '');
+            tables.filter(rows => rows.length > 1).forEach(rows => lines.push(...rows, ''));
+            lines.push('#'.repeat(WorkoutSerializer.BANNER_WIDTH));
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Format a date as local "YYYY-MM-DD HH:MM:SS", the way exports write their timestamps
+     * @param {Date} date - Date to format
+     * @returns {string} Formatted date, or '' for an invalid date
+     */
+    static formatDateTime(date) {
+        if (!(date instanceof Date) || isNaN(date.getTime())) return '';
+
+        const time = [date.getHours(), date.getMinutes(), date.getSeconds()]
+            .map(part => String(part).padStart(2, '0'))
+            .join(':');
+        return `${LocalDate.dayKey(date)} ${time}`;
+    }
+
+    /**
+     * Pick the units to write
+     * @param {Object} data - Parsed workout data
+     * @returns {Object} { weight, distance }
+     */
+    _units(data) {
+        const source = data.sourceUnits || {};
+        return {
+            weight: this.weightUnit || (WorkoutSerializer.WEIGHT_LABELS[source.weight] ? source.weight : 'kg'),
+            distance: this.distanceUnit || (WorkoutSerializer.DISTANCE_LABELS[source.distance] ? source.distance : 'm')
+        };
+    }
+
+    /**
+     * Write sets as a multi-section log, e.g. "100x5@8,100x5"
+     * Gaps in the set numbers are filled with "0x0", which the parser skips, so sets keep their numbers.
+     * Sets without weight or reps (cardio) can't be logged and are left out.
+     * @param {Array} sets - Parsed sets (weights in kg)
+     * @param {string} weightUnit - Unit to write weights in
+     * @returns {string} Set log
+     */
+    _formatSetLogs(sets, weightUnit) {
+        const logs = [];
+
+        sets.filter(set => set.weight > 0 || set.reps > 0).forEach(set => {
+            while (set.setNumber && logs.length < set.setNumber - 1) logs.push('0x0');
+
+            const weight = this._round(UnitConverter.fromKilograms(set.weight || 0, weightUnit));
+            const rpe = RPEScale.isValid(set.rpe) ? `@${set.rpe}` : '';
+            logs.push(`${weight}x${set.reps || 0}${rpe}`);
+        });
+
+        return logs.join(',');
+    }
+
+    /**
+     * Collect the columns of a table in the order they first appear
+     * Nested values (set lists, provenance) and derived fields are left out.
+     * @param {Array} rows - Row objects
+     * @param {Array} derivedFields - Fields the parser recomputes
+     * @returns {Array} Column names
+     */
+    _columns(rows, derivedFields) {
+        const columns = new Set();
+
+        rows.forEach(row => Object.keys(row).forEach(key => {
+            const value = row[key];
+            const nested = value !== null && typeof value === 'object' && !(value instanceof Date);
+            if (!nested && !derivedFields.includes(key)) columns.add(key);
+        }));
+
+        return Array.from(columns);
+    }
+
+    /**
+     * Write a header and rows as CSV lines
+     * @param {Array} header - Column names
+     * @param {Array} rows - Rows of values
+     * @param {string} delimiter - Field delimiter
+     * @param {boolean} quoteAll - Quote every field, as Strong does, rather than only where needed
+     * @returns {Array} CSV lines
+     */
+    _writeTable(header, rows, delimiter, quoteAll) {
+        if (rows.length === 0 && !quoteAll) return [];
+
+        return [header, ...rows].map(values => values
+            .map(value => this._formatCell(value, delimiter, quoteAll))
+            .join(delimiter));
+    }
+
+    /**
+     * Format one CSV field
+     * @param {*} value - Field value
+     * @param {string} delimiter - Field delimiter
+     * @param {boolean} quoteAll - Quote the field even if it has no special characters
+     * @returns {string} CSV field
+     */
+    _formatCell(value, delimiter, quoteAll) {
+        let text;
+        if (value === null || value === undefined) {
+            text = '';
+        } else if (value instanceof Date) {
+            text = WorkoutSerializer.formatDateTime(value);
+        } else if (typeof value === 'number') {
+            text = isFinite(value) ? String(value) : '';
+        } else {
+            text = String(value);
+        }
+
+        const needsQuotes = quoteAll || text.includes(delimiter) || /[\s"]/.test(text);
+        return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Round away floating point noise left by unit conversion
+     * @param {number} value - Converted value
+     * @returns {number} Rounded value
+     */
+    _round(value) {
+        return UnitConverter.round(value, WorkoutSerializer.DECIMALS);
+    }
+}
+
+// Weight units and how they're written in column headers
+WorkoutSerializer.WEIGHT_LABELS = { kg: 'kg', lb: 'lbs' };
+
+// Distance units and how they're written in Strong column headers
+WorkoutSerializer.DISTANCE_LABELS = { m: 'meters', km: 'km', mi: 'miles', ft: 'feet' };
+
+// Decimals kept when converting weights and distances back to the file's units
+WorkoutSerializer.DECIMALS = 6;
+
+// Width of the "### SECTION ####" banners and "######" separators
+WorkoutSerializer.BANNER_WIDTH = 54;
+
+// Settings added by the parser rather than read from the file
+WorkoutSerializer.SETTINGS_BOOKKEEPING_FIELDS = ['format', 'parsedAt'];
+
+// Exercise fields the parser derives from the set log
+WorkoutSerializer.EXERCISE_DERIVED_FIELDS = ['sets', 'totalSets', 'totalVolume', 'maxWeight'];
+
+// Session fields the parser derives or keeps from unit conversion
+WorkoutSerializer.SESSION_DERIVED_FIELDS = ['efficiency', 'avgWeightPerExercise', 'original_total_weight'];
+
+/**
+ * Exports workout sessions as an iCalendar (RFC 5545) file
+ * Each session becomes an event with its exercises and top sets in the description. Upcoming days of a
+ * multi-section routine can be added as weekly recurring all-day events.
+ */
+class ICalendarExporter {
+    /**
+     * @param {Object} options - Export options
+     * @param {string} options.unitSystem - 'metric' (default) or 'imperial' for the sets in descriptions
+     * @param {number} options.planWeeks - Weeks of upcoming routine days to add (default: 0, none)
+     * @param {number|string} options.routine - Routine _id or name to plan (default: the current routine)
+     * @param {Date|string} options.asOf - When the calendar is made, YYYY-MM-DD for a local day; planned days start the day after (default: now)
+     * @param {string} options.calendarName - Name shown by calendar apps (default: 'Workouts')
+     */
+    constructor(options = {}) {
+        this.units = new UnitConverter(options.unitSystem);
+        this.planWeeks = options.planWeeks === undefined ? 0 : options.planWeeks;
+        this.routine = options.routine;
+        this.asOf = options.asOf ? LocalDate.parse(options.asOf) : new Date();
+        this.calendarName = options.calendarName || ICalendarExporter.DEFAULT_CALENDAR_NAME;
+
+        if (!Number.isInteger(this.planWeeks) || this.planWeeks < 0) {
+            throw new Error(`Plan weeks must be a non-negative whole number, got ${options.planWeeks}`);
+        }
+        if (isNaN(this.asOf.getTime())) {
+            throw new Error(`Invalid asOf date: ${options.asOf}`);
+        }
+    }
+
+    /**
+     * Build the calendar events
+     * @param {Object} data - Parsed workout data
+     * @returns {Array} Events: { uid, type ('workout' or 'plan'), summary, description, start, allDay,
+     *   durationSeconds, recurrence: { interval, count } or null }. Workout starts are ISO times; plan days are YYYY-MM-DD
+     */
+    getEvents(data) {
+        const doc = WorkoutSchema.fromParsedData(data);
+        const exercisesByWorkout = new Map();
+        doc.exercises.forEach(exercise => {
+            if (!exercise.workoutId) return;
+            if (!exercisesByWorkout.has(exercise.workoutId)) exercisesByWorkout.set(exercise.workoutId, []);
+            exercisesByWorkout.get(exercise.workoutId).push(exercise);
+        });
+
+        // Multi-section sessions have no name, but link to the routine day they completed
+        const dayNames = new Map((data.workoutDays || []).map(day => [day._id, day.name]));
+        const sessionDays = new Map((data.workoutSessions || [])
+            .filter(session => session.day_id && dayNames.get(session.day_id))
+            .map(session => [String(session._id), dayNames.get(session.day_id)]));
+
+        const workouts = doc.workouts
+            .filter(workout => workout.startedAt)
+            .map(workout => {
+                const exercises = exercisesByWorkout.get(workout.id) || [];
+                const lines = exercises.map(exercise => this._describeExercise(exercise));
+                if (workout.notes) lines.push('', workout.notes);
+
+                return {
+                    uid: `${workout.id}@${ICalendarExporter.UID_DOMAIN}`,
+                    type: 'workout',
+                    summary: workout.name || sessionDays.get(String(workout.sourceId)) || 'Workout',
+                    description: lines.join('\n'),
+                    start: workout.startedAt,
+                    allDay: false,
+                    durationSeconds: workout.durationSeconds || (workout.endedAt ? (new Date(workout.endedAt) - new Date(workout.startedAt)) / 1000 : null),
+                    recurrence: null
+                };
+            });
+
+        return workouts.concat(this._planEvents(data));
+    }
+
+    /**
+     * Write the calendar as an .ics file
+     * @param {Object} data - Parsed workout data
+     * @returns {string} iCalendar content, with CRLF line endings
+     */
+    toICS(data) {
+        const stamp = this._formatUTC(this.asOf);
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${ICalendarExporter.PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this._escapeText(this.calendarName)}`
+        ];
+
+        this.getEvents(data).forEach(event => {
+            lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`);
+            if (event.allDay) {
+                lines.push(`DTSTART;VALUE=DATE:${event.start.replace(/-/g, '')}`);
+            } else {
+                lines.push(`DTSTART:${this._formatUTC(new Date(event.start))}`);
+                if (event.durationSeconds > 0) lines.push(`DURATION:${this._formatDuration(event.durationSeconds)}`);
+            }
+            if (event.recurrence) {
+                lines.push(`RRULE:FREQ=WEEKLY;INTERVAL=${event.recurrence.interval};COUNT=${event.recurrence.count}`);
+            }
+            lines.push(`SUMMARY:${this._escapeText(event.summary)}`);
+            if (event.description) lines.push(`DESCRIPTION:${this._escapeText(event.description)}`);
+            lines.push('END:VEVENT');
+        });
+        lines.push('END:VCALENDAR');
+
+        return lines.map(line => this._foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Build recurring events for the upcoming days of a routine
+     * Training days are spread over the week by the routine's days per week (dayaweek), starting the day
+     * after asOf. A routine with more days than that repeats every few weeks, e.g. six days at three a week
+     * every two weeks. Rest days are left out.
+     * @param {Object} data - Parsed workout data
+     * @returns {Array} Plan events
+     */
+    _planEvents(data) {
+        if (this.planWeeks === 0) return [];
+
+        const routine = this._findRoutine(data);
+        if (!routine) return [];
+
+        const settings = data.settings || {};
+        const days = (data.workoutDays || [])
+            .filter(day => day.package === routine._id && !day.rest_day)
+            .sort((a, b) => (a.dayIndex || a.day || 0) - (b.dayIndex || b.day || 0));
+        if (days.length === 0) return [];
+
+        const perWeek = Number.isInteger(routine.dayaweek) && routine.dayaweek >= 1 && routine.dayaweek <= 7
+            ? routine.dayaweek
+            : Math.min(days.length, 7);
+        const cycleWeeks = Math.ceil(days.length / perWeek);
+        const firstDay = new Date(this.asOf.getFullYear(), this.asOf.getMonth(), this.asOf.getDate() + 1);
+
+        return days.map((day, index) => {
+            const offset = Math.floor(index / perWeek) * 7 + Math.floor((index % perWeek) * 7 / perWeek);
+            const count = Math.ceil((this.planWeeks * 7 - offset) / (cycleWeeks * 7));
+            const exercises = (data.exercises || [])
+                .filter(exercise => exercise.exercisename && exercise.belongplan === day._id)
+                .map(exercise => {
+                    const sets = exercise.setcount || settings.sets;
+                    const reps = exercise.targetrep || settings.targetrep;
+                    return sets && reps ? `${exercise.exercisename}: ${sets} × ${reps}` : exercise.exercisename;
+                });
+
+            return {
+                uid: `plan-${routine._id}-${day._id}@${ICalendarExporter.UID_DOMAIN}`,
+                type: 'plan',
+                summary: [routine.name, day.name].filter(Boolean).join(': ') || 'Workout',
+                description: exercises.join('\n'),
+                start: LocalDate.dayKey(new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + offset)),
+                allDay: true,
+                durationSeconds: null,
+                recurrence: { interval: cycleWeeks, count }
+            };
+        }).filter(event => event.recurrence.count > 0);
+    }
+
+    /**
+     * Pick the routine to plan: the requested one, else the settings' current routine, else the newest
+     * @param {Object} data - Parsed workout data
+     * @returns {Object|null} Routine row, or null without routines
+     */
+    _findRoutine(data) {
+        const routines = data.routines || [];
+
+        if (this.routine !== undefined) {
+            const routine = routines.find(candidate => candidate._id === this.routine || candidate.name === this.routine);
+            if (!routine) {
+                throw new Error(`Unknown routine: ${this.routine}`);
+            }
+            return routine;
+        }
+
+        const currentId = data.settings && data.settings.currentRoutine;
+        const current = routines.find(routine => routine._id === currentId);
+        if (current) return current;
+
+        return routines.slice().sort((a, b) => new Date(a.TIMESTAMP) - new Date(b.TIMESTAMP)).pop() || null;
+    }
+
+    /**
+     * Describe an exercise for an event, e.g. "Bench Press: 3 sets, top set 100 kg × 5"
+     * The top set is the heaviest, then the one with the most reps, distance or time.
+     * @param {Object} exercise - Canonical exercise instance
+     * @returns {string} Description line
+     */
+    _describeExercise(exercise) {
+        const sets = exercise.sets;
+        if (sets.length === 0) return exercise.name;
+
+        const top = sets.slice().sort((a, b) => b.weight - a.weight || b.reps - a.reps || b.distance - a.distance || b.seconds - a.seconds)[0];
+        return `${exercise.name}: ${sets.length} ${sets.length === 1 ? 'set' : 'sets'}, top set ${this.units.formatSet(top)}`;
+    }
+
+    /**
+     * Format a time as an iCalendar UTC date-time, e.g. "20240806T135953Z"
+     * @param {Date} date - Time to format
+     * @returns {string} UTC date-time
+     */
+    _formatUTC(date) {
+        return date.toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+    }
+
+    /**
+     * Format a duration as an iCalendar duration, e.g. "PT1H5M"
+     * @param {number} seconds - Duration in seconds
+     * @returns {string} Duration
+     */
+    _formatDuration(seconds) {
+        const total = Math.round(seconds);
+        const parts = [[Math.floor(total / 3600), 'H'], [Math.floor((total % 3600) / 60), 'M'], [total % 60, 'S']];
+
+        return 'PT' + parts.filter(([value]) => value > 0).map(([value, unit]) => `${value}${unit}`).join('');
+    }
+
+    /**
+     * Escape a TEXT value: backslashes, semicolons, commas and line breaks
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    _escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold a content line so no line is longer than 75 octets
+     * Continuation lines start with a space; multi-byte characters are never split.
+     * @param {string} line - Content line
+     * @returns {string} Folded line
+     */
+    _foldLine(line) {
+        const parts = [];
+        let current = '';
+        let octets = 0;
+
+        for (const char of line) {
+            const code = char.codePointAt(0);
+            const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+            // Continuation lines lose one octet to their leading space
+            const limit = parts.length === 0 ? ICalendarExporter.LINE_OCTETS : ICalendarExporter.LINE_OCTETS - 1;
+
+            if (octets + size > limit) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += char;
+            octets += size;
+        }
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+}
+
+// PRODID written at the top of every calendar
+ICalendarExporter.PRODUCT_ID = '-//GainSight//Workout CSV Parser//EN';
+
+// Domain part of event UIDs; workouts keep the same UID across exports so calendar apps update them
+ICalendarExporter.UID_DOMAIN = 'gainsight.workout-parser';
+
+// Calendar name used when none is given
+ICalendarExporter.DEFAULT_CALENDAR_NAME = 'Workouts';
+
+// Weeks of routine days planned by the web page and the CLI when asked to plan without a number
+ICalendarExporter.DEFAULT_PLAN_WEEKS = 4;
+
+// Longest content line allowed by RFC 5545, in octets
+ICalendarExporter.LINE_OCTETS = 75;
+
+/**
+ * Incremental parse of one file, fed chunk by chunk
+ * Holds back the first lines until the format is detected, then tokenizes each chunk as it
+ * arrives when the adapter has a createReader(); other adapters get the buffered text at the end.
+ */
+class WorkoutParseStream {
+    /**
+     * @param {MultiFormatWorkoutParser} parser - Parser that detects the format and collects diagnostics
+     * @param {Object} options - Parse options (see MultiFormatWorkoutParser.createParseStream)
+     */
+    constructor(parser, options = {}) {
+        this.parser = parser;
+        this.format = options.format || null;
+        this.total = options.totalSize || 0;
+        this.onProgress = options.onProgress || null;
+        
+        this.processed = 0;
+        this.rows = 0;
+        this.buffer = '';
+        this.adapter = null;
+        this.reader = null;
+        this.tokenizer = null;
+        this.ended = false;
+    }
+
+    /**
+     * Feed the next chunk of the file
+     * @param {string} chunk - Next piece of CSV text
+     * @param {number} size - Amount of input this chunk represents, e.g. bytes read (default: chunk length)
+     * @returns {WorkoutParseStream} This stream, for chaining
+     */
+    write(chunk, size = chunk.length) {
+        if (this.ended) {
+            throw new Error('Cannot write to a parse stream after end()');
+        }
+        
+        this.processed += size;
+        
+        if (!this.adapter) {
+            this.buffer += chunk;
+            if (this._hasDetectionSample()) this._start();
+        } else {
+            this._feed(chunk);
+        }
+        
+        this._reportProgress();
+        return this;
+    }
+
+    /**
+     * Finish the file and build the parsed data
+     * @returns {Object} Parsed workout data, identical to parse() on the whole content
+     */
+    end() {
+        if (this.ended) {
+            throw new Error('Parse stream has already ended');
+        }
+        
+        if (!this.adapter) this._start();
+        this.ended = true;
+        
+        let raw;
+        if (this.reader) {
+            this.tokenizer.flush().forEach(record => this.reader.push(record));
+            raw = this.reader.finish();
+        } else {
+            raw = this.adapter.parse(this.buffer, this.parser);
+            this.buffer = '';
+        }
+        
+        const data = this.adapter.normalize(raw, this.parser);
+        data.diagnostics = this.parser.diagnostics.getReport();
+        
+        return data;
+    }
+
+    /**
+     * Check whether enough of the file is buffered to detect its format
+     * @returns {boolean} True once there are DETECTION_LINES non-empty lines or the sample size is reached
+     */
+    _hasDetectionSample() {
+        if (this.buffer.length >= WorkoutParseStream.SAMPLE_SIZE) return true;
+        
+        const lines = this.buffer.split('\n');
+        lines.pop(); // The last line may still be incomplete
+        
+        return lines.filter(line => line.trim()).length >= FormatRegistry.DETECTION_LINES;
+    }
+
+    /**
+     * Detect the format from the buffered sample and start reading with its adapter
+     */
+    _start() {
+        this.adapter = this.parser.resolveAdapter(this.buffer, { format: this.format });
+        this.parser.diagnostics.reset();
+        
+        if (typeof this.adapter.createReader === 'function') {
+            this.reader = this.adapter.createReader(this.parser);
+            this.tokenizer = new CSVTokenizer({ delimiter: this.reader.delimiter });
+            
+            const sample = this.buffer;
+            this.buffer = '';
+            this._feed(sample);
+        }
+    }
+
+    /**
+     * Tokenize a chunk and hand complete records to the reader
+     * @param {string} chunk - CSV text
+     */
+    _feed(chunk) {
+        if (!this.reader) {
+            this.buffer += chunk;
+            return;
+        }
+        
+        const records = this.tokenizer.push(chunk);
+        records.forEach(record => this.reader.push(record));
+        this.rows += records.length;
+    }
+
+    /**
+     * Notify the progress listener
+     */
+    _reportProgress() {
+        if (!this.onProgress) return;
+        
+        const percent = this.total > 0
+            ? Math.min(100, Math.round((this.processed / this.total) * 1000) / 10)
+            : null;
+        
+        this.onProgress({ processed: this.processed, total: this.total || null, percent, rows: this.rows });
+    }
+}
+
+// Characters buffered before format detection runs even if fewer lines have arrived
+WorkoutParseStream.SAMPLE_SIZE = 65536;
+
+// Shared registry used by every MultiFormatWorkoutParser unless one is passed in
+MultiFormatWorkoutParser.formatRegistry = FormatRegistry.withDefaults();
+
+// Enhanced Analyzer that works with both formats
+class EnhancedWorkoutAnalyzer extends WorkoutAnalyzer {
+    /**
+     * @param {Object} parsedData - Data returned by MultiFormatWorkoutParser.parse()
+     * @param {Object} options - Analyzer options
+     * @param {string} options.unitSystem - 'metric' (default) or 'imperial'; weights in results use this system
+     * @param {ExerciseCatalog} options.catalog - Exercise catalog used to group names (default: built-in catalog)
+     * @param {Object} options.aliases - Custom alias map for the default catalog: { 'My Bench': 'barbell-bench-press' }
+     */
+    constructor(parsedData, options = {}) {
+        super(parsedData);
+        this.format = parsedData.format || 'multi-section';
+        this.units = new UnitConverter(options.unitSystem);
+        this.catalog = options.catalog || new ExerciseCatalog({ aliases: options.aliases });
+        this.taxonomy = new MuscleTaxonomy({ catalog: this.catalog });
+        this.exerciseGroups = null;
+        this.notesByExercise = null;
+    }
+
+    /**
+     * Get the canonical exercise ID of a parsed exercise entry
+     * @param {Object} exercise - Parsed exercise entry
+     * @returns {string} Exercise ID
+     */
+    _exerciseId(exercise) {
+        return this.catalog.resolve(exercise.exercisename).id;
+    }
+
+    /**
+     * Group the exercises in the data by canonical exercise ID
+     * @returns {Map} ID -> { id, name, canonicalName, originalNames, matched, entries }
+     */
+    _getExerciseGroups() {
+        if (this.exerciseGroups) return this.exerciseGroups;
+        
+        const groups = new Map();
+        const nameCounts = new Map();
+        
+        this.data.exercises.forEach(exercise => {
+            if (!exercise.exercisename) return;
+            
+            const match = this.catalog.resolve(exercise.exercisename);
+            if (!groups.has(match.id)) {
+                groups.set(match.id, {
+                    id: match.id,
+                    name: exercise.exercisename,
+                    canonicalName: match.name,
+                    originalNames: [],
+                    matched: match.matched,
+                    entries: []
+                });
+                nameCounts.set(match.id, new Map());
+            }
+            
+            const group = groups.get(match.id);
+            const counts = nameCounts.get(match.id);
+            
+            group.entries.push(exercise);
+            if (!counts.has(exercise.exercisename)) group.originalNames.push(exercise.exercisename);
+            counts.set(exercise.exercisename, (counts.get(exercise.exercisename) || 0) + 1);
+        });
+        
+        // Display the name the lifter used most often
+        groups.forEach(group => {
+            const counts = nameCounts.get(group.id);
+            group.name = group.originalNames.reduce((best, name) => counts.get(name) > counts.get(best) ? name : best);
+        });
+        
+        this.exerciseGroups = groups;
+        return groups;
+    }
+
+    /**
+     * Resolve an exercise ID or a recorded exercise name to the exercise ID used in results
+     * @param {string} exercise - Exercise ID or name
+     * @returns {string} Exercise ID
+     */
+    resolveExerciseId(exercise) {
+        if (this.catalog.getExercise(exercise) || this._getExerciseGroups().has(exercise)) {
+            return exercise;
+        }
+        return this.catalog.resolve(exercise).id;
+    }
+
+    /**
+     * Get every exercise in the data, grouped by canonical exercise ID
+     * @returns {Array} [{ id, name, canonicalName, originalNames, matched, entries }] sorted by name
+     */
+    getExercises() {
+        return Array.from(this._getExerciseGroups().values())
+            .map(group => ({ ...group, originalNames: group.originalNames.slice(), entries: group.entries.length }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Start a query over this analyzer's data
+     * e.g. analyzer.query().exercise('bench').lastDays(90).analyzer().getPersonalRecords()
+     * @returns {WorkoutQuery} Query that matches everything until filters are added
+     */
+    query() {
+        return new WorkoutQuery(this);
+    }
+
+    /**
+     * Get summary statistics in the analyzer's unit system
+     * @returns {Object} Summary (see MultiFormatWorkoutParser.getSummary)
+     */
+    getSummary() {
+        const parser = new MultiFormatWorkoutParser();
+        parser.data = this.data;
+        return parser.getSummary({ unitSystem: this.units.system });
+    }
+
+    /**
+     * Get the display name for an exercise ID
+     * @param {string} id - Exercise ID
+     * @returns {string} Most used recorded name, or the catalog name if the exercise isn't in the data
+     */
+    _exerciseName(id) {
+        const group = this._getExerciseGroups().get(id);
+        if (group) return group.name;
+        
+        const exercise = this.catalog.getExercise(id);
+        return exercise ? exercise.name : id;
+    }
+
+    /**
+     * Convert a canonical kilogram value (weight or volume) to the analyzer's unit system
+     * @param {number} kg - Value in kilograms
+     * @returns {number} Value in display units
+     */
+    _weight(kg) {
+        return UnitConverter.round(this.units.weight(kg || 0), 2);
+    }
+
+    /**
+     * Copy a set with its weight and volume in the analyzer's unit system
+     * @param {Object} set - Parsed set
+     * @returns {Object} Converted set
+     */
+    _convertSet(set) {
+        return { ...set, weight: this._weight(set.weight), volume: this._weight(set.volume) };
+    }
+
+    /**
+     * Get exercise progress with format-aware processing
+     * Entries recorded under any alias of the exercise are included, each with the notes linked to it:
+     * by workout for Strong and Hevy entries, by the day the sets were done for multi-section entries.
+     * @param {string} exercise - Exercise ID or name
+     * @returns {Array} Progress data over time
+     */
+    getExerciseProgress(exercise) {
+        const id = this.resolveExerciseId(exercise);
+        const entries = this.data.exercises
+            .filter(ex => ex.exercisename && this._exerciseId(ex) === id)
+            .sort((a, b) => new Date(a.TIMESTAMP) - new Date(b.TIMESTAMP));
+        const notes = this._getNotesByExercise().get(id) || [];
+        
+        // Merged data can mix both kinds of entry, so each one is checked on its own
+        return entries.map(ex => {
+            if (ex.workout_id !== undefined) {
+                return {
+                    date: ex.TIMESTAMP,
+                    name: ex.exercisename,
+                    workoutId: ex.workout_id,
+                    workoutName: ex.workout_name,
+                    sets: (ex.sets || []).map(set => this._convertSet(set)),
+                    maxWeight: this._weight(ex.maxWeight),
+                    totalVolume: this._weight(ex.totalVolume),
+                    totalSets: ex.totalSets || 0,
+                    notes: notes.filter(note => note.workoutId !== null && String(note.workoutId) === String(ex.workout_id))
+                };
+            }
+            
+            const day = LocalDate.dayKey(new Date(ex.setdonetime ? ex.setdonetime * 1000 : ex.TIMESTAMP));
+            return {
+                date: ex.TIMESTAMP,
+                name: ex.exercisename,
+                sets: (ex.sets || []).map(set => this._convertSet(set)),
+                maxWeight: this._weight(ex.sets ? Math.max(...ex.sets.map(s => s.weight)) : 0),
+                totalVolume: this._weight(ex.totalVolume || 0),
+                notes: notes.filter(note => note.date && LocalDate.dayKey(new Date(note.date)) === day)
+            };
+        });
+    }
+
+    /**
+     * Get every note in the data, linked to the exercise and workout session it belongs to
+     * Sources are multi-section note rows ('note'), Strong set notes ('set'), Hevy exercise notes
+     * ('exercise') and Strong workout notes or Hevy descriptions ('workout'). Note rows link to an
+     * exercise by eid, falling back to their title, and to the session that was running when they
+     * were logged, falling back to a session on the same day.
+     * @returns {Array} Notes in date order: [{ source, text, title, date, exerciseId, exerciseName, workoutId, workoutName, setNumber }]
+     */
+    getNotes() {
+        const notes = [];
+        const sessionsById = new Map(this.data.workoutSessions.map(session => [String(session._id), session]));
+        
+        this.data.workoutSessions.forEach(session => {
+            const text = session.notes || session.description;
+            if (text) notes.push(this._createNote('workout', text, { date: session.starttime * 1000, session }));
+        });
+        
+        this.data.exercises.forEach(exercise => {
+            if (!exercise.exercisename) return;
+            
+            const session = exercise.workout_id !== undefined ? sessionsById.get(String(exercise.workout_id)) : null;
+            const link = { date: exercise.TIMESTAMP, session, exerciseName: exercise.exercisename };
+            if (exercise.notes) notes.push(this._createNote('exercise', exercise.notes, link));
+            
+            (exercise.sets || []).forEach(set => {
+                if (set.notes) notes.push(this._createNote('set', set.notes, { ...link, setNumber: set.setNumber }));
+            });
+        });
+        
+        (this.data.notes || []).forEach(row => {
+            const text = row.mynote === undefined ? row.text : row.mynote;
+            if (text === undefined || text === null || text === '') return;
+            
+            const date = row.logTime ? new Date(row.logTime * 1000) : new Date(row.mydate || row.TIMESTAMP);
+            const exercise = row.eid ? this.data.exercises.find(entry => entry.exercise_id === row.eid && entry.exercisename) : null;
+            notes.push(this._createNote('note', text, {
+                date,
+                session: this._findNoteSession(date),
+                exerciseName: exercise ? exercise.exercisename : row.title,
+                title: row.title
+            }));
+        });
+        
+        return notes
+            .filter(note => note.text !== '')
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+
+    /**
+     * Group every linked note by exercise ID, built once per analyzer
+     * @returns {Map} Exercise ID -> notes in date order (see getNotes)
+     */
+    _getNotesByExercise() {
+        if (this.notesByExercise) return this.notesByExercise;
+        
+        this.notesByExercise = new Map();
+        this.getNotes().forEach(note => {
+            if (!note.exerciseId) return;
+            if (!this.notesByExercise.has(note.exerciseId)) this.notesByExercise.set(note.exerciseId, []);
+            this.notesByExercise.get(note.exerciseId).push(note);
+        });
+        
+        return this.notesByExercise;
+    }
+
+    /**
+     * Search notes by keyword, exercise, date and source
+     * Every word of the query has to appear in the note's text, title, exercise or workout name, ignoring case.
+     * @param {string} query - Keywords (empty matches every note)
+     * @param {Object} options - Filters
+     * @param {string} options.exercise - Only notes linked to this exercise (ID or name)
+     * @param {Date|string} options.from - First day to include
+     * @param {Date|string} options.to - Last day to include
+     * @param {Array} options.sources - Only these sources: 'note', 'set', 'exercise', 'workout'
+     * @returns {Array} Matching notes in date order (see getNotes)
+     */
+    searchNotes(query = '', options = {}) {
+        const words = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+        const exerciseId = options.exercise ? this.resolveExerciseId(options.exercise) : null;
+        const from = options.from ? LocalDate.dayKey(LocalDate.parse(options.from)) : null;
+        const to = options.to ? LocalDate.dayKey(LocalDate.parse(options.to)) : null;
+        
+        return this.getNotes().filter(note => {
+            if (exerciseId && note.exerciseId !== exerciseId) return false;
+            if (options.sources && !options.sources.includes(note.source)) return false;
+            
+            const day = note.date ? LocalDate.dayKey(new Date(note.date)) : null;
+            if ((from || to) && !day) return false;
+            if ((from && day < from) || (to && day > to)) return false;
+            
+            const haystack = [note.text, note.title, note.exerciseName, note.workoutName].join(' ').toLowerCase();
+            return words.every(word => haystack.includes(word));
+        });
+    }
+
+    /**
+     * Build a linked note
+     * @param {string} source - 'note', 'set', 'exercise' or 'workout'
+     * @param {*} text - Note text
+     * @param {Object} link - { date, session, exerciseName, title, setNumber }
+     * @returns {Object} Note (see getNotes)
+     */
+    _createNote(source, text, link) {
+        const date = new Date(link.date);
+        const exerciseId = link.exerciseName ? this.catalog.resolve(link.exerciseName).id : null;
+        
+        return {
+            source,
+            text: String(text).trim(),
+            title: link.title ? String(link.title) : null,
+            date: isNaN(date.getTime()) ? null : date.toISOString(),
+            exerciseId,
+            exerciseName: exerciseId ? (this._getExerciseGroups().has(exerciseId) ? this._exerciseName(exerciseId) : String(link.exerciseName)) : null,
+            workoutId: link.session ? link.session._id : null,
+            workoutName: link.session ? link.session.workout_name || null : null,
+            setNumber: link.setNumber === undefined ? null : link.setNumber
+        };
+    }
+
+    /**
+     * Find the workout session a note was logged in
+     * @param {Date} date - When the note was logged
+     * @returns {Object|null} Session running at that time, else the first session on the same day
+     */
+    _findNoteSession(date) {
+        if (isNaN(date.getTime())) return null;
+        
+        const time = date.getTime() / 1000;
+        const sessions = this.data.workoutSessions;
+        const running = sessions.find(session => {
+            const end = session.endtime || session.starttime + (session.total_time || 0);
+            return time >= session.starttime && time <= end;
+        });
+        if (running) return running;
+        
+        const day = LocalDate.dayKey(date);
+        return sessions.find(session => LocalDate.dayKey(new Date(session.starttime * 1000)) === day) || null;
+    }
+
+    /**
+     * Get personal records with format-aware processing
+     * @returns {Object} Personal records keyed by exercise ID
+     */
+    getPersonalRecords() {
+        const records = {};
+        
+        this.data.exercises.forEach(exercise => {
+            if (!exercise.exercisename || !exercise.sets) return;
+            const id = this._exerciseId(exercise);
+            
+            exercise.sets.forEach(set => {
+                const weight = set.weight || 0;
+                if (weight === 0) return; // Skip bodyweight exercises
+                
+                if (!records[id] || weight > records[id].weight) {
+                    records[id] = {
+                        exerciseId: id,
+                        name: this._exerciseName(id),
+                        originalName: exercise.exercisename,
+                        weight: weight,
+                        reps: set.reps || 0,
+                        date: exercise.TIMESTAMP,
+                        volume: set.volume || 0,
+                        workoutName: exercise.workout_name || 'Unknown'
+                    };
+                }
+            });
+        });
+
+        // Attach the strongest set by estimated 1RM, which may differ from the heaviest one
+        const e1rmRecords = this.getEstimatedOneRepMaxRecords();
+        Object.keys(records).forEach(id => {
+            records[id].weight = this._weight(records[id].weight);
+            records[id].volume = this._weight(records[id].volume);
+            records[id].estimated1RM = e1rmRecords[id] || null;
+        });
+
+        return records;
+    }
+
+    /**
+     * Get the best estimated one-rep max for each exercise
+     * @param {Object} options - OneRepMaxCalculator options (formula, maxReps)
+     * @returns {Object} Best e1RM set keyed by exercise ID
+     */
+    getEstimatedOneRepMaxRecords(options = {}) {
+        const calculator = new OneRepMaxCalculator(options);
+        const records = {};
+
+        this.data.exercises.forEach(exercise => {
+            if (!exercise.exercisename || !exercise.sets) return;
+            const id = this._exerciseId(exercise);
+
+            exercise.sets.forEach(set => {
+                const e1rm = calculator.estimateSet(set);
+                if (e1rm === null) return;
+
+                if (!records[id] || e1rm > records[id].e1rm) {
+                    records[id] = {
+                        e1rm,
+                        exerciseId: id,
+                        name: this._exerciseName(id),
+                        originalName: exercise.exercisename,
+                        value: UnitConverter.round(this.units.weight(e1rm), 1),
+                        weight: this._weight(set.weight),
+                        reps: set.reps,
+                        rpe: set.rpe || null,
+                        date: exercise.TIMESTAMP,
+                        workoutName: exercise.workout_name || 'Unknown',
+                        formula: calculator.formula
+                    };
+                }
+            });
+        });
+
+        Object.values(records).forEach(record => delete record.e1rm);
+
+        return records;
+    }
+
+    /**
+     * Get best-for-reps records: the heaviest weight lifted for at least N reps
+     * @param {Array} repTargets - Rep counts to track (default: 1RM, 3RM, 5RM, 10RM)
+     * @returns {Object} Records keyed by exercise ID, then by rep target
+     */
+    getRepRangeRecords(repTargets = [1, 3, 5, 10]) {
+        const records = {};
+
+        this.data.exercises.forEach(exercise => {
+            if (!exercise.exercisename || !exercise.sets) return;
+            const id = this._exerciseId(exercise);
+
+            exercise.sets.forEach(set => {
+                const weight = set.weight || 0;
+                const reps = set.reps || 0;
+                if (weight === 0 || reps === 0) return;
+
+                repTargets.forEach(target => {
+                    if (reps < target) return;
+
+                    if (!records[id]) records[id] = {};
+                    const current = records[id][`${target}RM`];
+
+                    if (!current || weight > current.weight) {
+                        records[id][`${target}RM`] = {
+                            weight,
+                            reps,
+                            originalName: exercise.exercisename,
+                            date: exercise.TIMESTAMP,
+                            workoutName: exercise.workout_name || 'Unknown'
+                        };
+                    }
+                });
+            });
+        });
+
+        Object.values(records).forEach(targets => {
+            Object.values(targets).forEach(record => {
+                record.weight = this._weight(record.weight);
+            });
+        });
+
+        return records;
+    }
+
+    /**
+     * Replay the history in date order and emit an event each time a record is beaten
+     * Records are kept per exercise ID and warm-up sets don't count. The first session of an
+     * exercise only sets the baseline unless includeFirst is set; equalling a record doesn't beat it.
+     * @param {Object} options - Timeline options
+     * @param {Array} options.types - Record types to track (default: EnhancedWorkoutAnalyzer.RECORD_TYPES)
+     * @param {boolean} options.includeFirst - Also report each exercise's first session as records (default: false)
+     * @param {string} options.exercise - Only replay this exercise (ID or name)
+     * @param {string} options.formula - OneRepMaxCalculator formula for e1RM records
+     * @returns {Array} Events in date order: [{ exerciseId, name, type, value, previous, improvement, weight, reps, date, workoutId, workoutName }]
+     *   weight, e1rm and volume are in display weight units and distance in display distance units
+     */
+    getRecordTimeline(options = {}) {
+        const types = options.types || EnhancedWorkoutAnalyzer.RECORD_TYPES;
+        types.forEach(type => {
+            if (!EnhancedWorkoutAnalyzer.RECORD_TYPES.includes(type)) {
+                throw new Error(`Unknown record type: ${type}`);
+            }
+        });
+        
+        const calculator = new OneRepMaxCalculator({ formula: options.formula });
+        const exerciseId = options.exercise ? this.resolveExerciseId(options.exercise) : null;
+        const bests = new Map();
+        const events = [];
+        
+        this.data.exercises
+            .filter(exercise => exercise.exercisename && exercise.sets && !isNaN(new Date(exercise.TIMESTAMP).getTime()))
+            .filter(exercise => !exerciseId || this._exerciseId(exercise) === exerciseId)
+            .sort((a, b) => new Date(a.TIMESTAMP) - new Date(b.TIMESTAMP))
+            .forEach(exercise => {
+                const id = this._exerciseId(exercise);
+                const sessionBests = this._sessionBests(exercise, calculator);
+                if (!bests.has(id)) bests.set(id, {});
+                const records = bests.get(id);
+                
+                types.forEach(type => {
+                    const best = sessionBests[type];
+                    const previous = records[type];
+                    if (!best || (previous && best.value <= previous.value)) return;
+                    
+                    records[type] = best;
+                    if (!previous && !options.includeFirst) return;
+                    
+                    const value = this._recordValue(type, best.value);
+                    const previousValue = previous ? this._recordValue(type, previous.value) : null;
+                    events.push({
+                        exerciseId: id,
+                        name: this._exerciseName(id),
+                        type,
+                        value,
+                        previous: previousValue,
+                        improvement: previous ? UnitConverter.round(value - previousValue, 2) : null,
+                        weight: best.weight !== undefined ? this._weight(best.weight) : null,
+                        reps: best.reps !== undefined ? best.reps : null,
+                        date: exercise.TIMESTAMP,
+                        workoutId: exercise.workout_id !== undefined ? exercise.workout_id : null,
+                        workoutName: exercise.workout_name || null
+                    });
+                });
+            });
+        
+        return events;
+    }
+
+    /**
+     * Get the records broken in each workout session
+     * Strong and Hevy records link to their session by workout ID; multi-section records by day.
+     * Multi-section sessions also carry the count the app itself reported (recordbreak).
+     * @param {Object} options - getRecordTimeline options
+     * @returns {Array} Sessions in date order: [{ workoutId, date, name, count, reported, records }]
+     */
+    getRecordsBySession(options = {}) {
+        const eventsBySession = new Map();
+        this.getRecordTimeline(options).forEach(event => {
+            const key = event.workoutId !== null ? `id:${event.workoutId}` : `day:${LocalDate.dayKey(new Date(event.date))}`;
+            if (!eventsBySession.has(key)) eventsBySession.set(key, []);
+            eventsBySession.get(key).push(event);
+        });
+        
+        return this.data.workoutSessions
+            .map(session => ({ session, date: new Date(session.starttime * 1000) }))
+            .filter(({ date }) => !isNaN(date.getTime()))
+            .sort((a, b) => a.date - b.date)
+            .map(({ session, date }) => {
+                const records = eventsBySession.get(`id:${session._id}`) || eventsBySession.get(`day:${LocalDate.dayKey(date)}`) || [];
+                const reported = parseInt(session.recordbreak, 10);
+                
+                return {
+                    workoutId: session._id,
+                    date: date.toISOString(),
+                    name: session.workout_name || null,
+                    count: records.length,
+                    reported: isNaN(reported) ? null : reported,
+                    records
+                };
+            });
+    }
+
+    /**
+     * Get the days since each exercise last set a record, stalest first
+     * An exercise's first session counts as its first record.
+     * @param {Object} options - getRecordTimeline options and asOf
+     * @param {Date|string} options.asOf - Day to count to (default: day of the latest exercise)
+     * @returns {Array} [{ exerciseId, name, days, records, lastRecord }] where records counts the records broken after the first session
+     */
+    getDaysSinceLastRecord(options = {}) {
+        const events = this.getRecordTimeline({ ...options, includeFirst: true });
+        if (events.length === 0) return [];
+        
+        const latest = this.data.exercises.reduce((max, exercise) => {
+            const time = new Date(exercise.TIMESTAMP).getTime();
+            return isNaN(time) ? max : Math.max(max, time);
+        }, -Infinity);
+        const asOf = options.asOf ? LocalDate.parse(options.asOf) : new Date(latest);
+        const lifts = new Map();
+        
+        events.forEach(event => {
+            const lift = lifts.get(event.exerciseId) || { exerciseId: event.exerciseId, name: event.name, records: 0, lastRecord: null };
+            if (event.previous !== null) lift.records++;
+            lift.lastRecord = event;
+            lifts.set(event.exerciseId, lift);
+        });
+        
+        return Array.from(lifts.values())
+            .map(lift => ({
+                exerciseId: lift.exerciseId,
+                name: lift.name,
+                days: this._daysBetween(new Date(lift.lastRecord.date), asOf),
+                records: lift.records,
+                lastRecord: lift.lastRecord
+            }))
+            .sort((a, b) => b.days - a.days || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get the best value of each record type in one exercise entry
+     * @param {Object} exercise - Parsed exercise entry
+     * @param {OneRepMaxCalculator} calculator - Calculator for e1RM records
+     * @returns {Object} Type -> { value, weight, reps } in canonical units; types without a value are missing
+     */
+    _sessionBests(exercise, calculator) {
+        const sets = exercise.sets.filter(set => set.setType !== 'warmup');
+        const bests = {};
+        const keep = (type, value, set) => {
+            if (value > 0 && (!bests[type] || value > bests[type].value)) {
+                bests[type] = set ? { value, weight: set.weight || 0, reps: set.reps || 0 } : { value };
+            }
+        };
+        
+        sets.forEach(set => {
+            keep('weight', set.weight || 0, set);
+            keep('reps', set.reps || 0, set);
+            keep('e1rm', calculator.estimateSet(set) || 0, set);
+        });
+        keep('volume', sets.reduce((sum, set) => sum + (set.volume || 0), 0));
+        keep('distance', sets.reduce((sum, set) => sum + (set.distance || 0), 0));
+        
+        return bests;
+    }
+
+    /**
+     * Convert a canonical record value to display units
+     * @param {string} type - Record type
+     * @param {number} value - Value in kg, meters or reps
+     * @returns {number} Display value
+     */
+    _recordValue(type, value) {
+        if (type === 'reps') return value;
+        if (type === 'distance') return UnitConverter.round(this.units.distance(value), 2);
+        return UnitConverter.round(this.units.weight(value), 1);
+    }
+
+    /**
+     * Count the calendar days from one date to another
+     * @param {Date} from - Earlier date
+     * @param {Date} to - Later date
+     * @returns {number} Whole days between the two local calendar days
+     */
+    _daysBetween(from, to) {
+        const fromDay = Date.UTC(from.getFullYear(), from.getMonth(), from.getDate());
+        const toDay = Date.UTC(to.getFullYear(), to.getMonth(), to.getDate());
+        return Math.round((toDay - fromDay) / 86400000);
+    }
+
+    /**
+     * Get estimated one-rep max history for an exercise (best set per session)
+     * @param {string} exercise - Exercise ID or name
+     * @param {Object} options - OneRepMaxCalculator options (formula, maxReps)
+     * @returns {Array} e1RM data points in chronological order
+     */
+    getEstimatedOneRepMaxHistory(exercise, options = {}) {
+        const calculator = new OneRepMaxCalculator(options);
+        const id = this.resolveExerciseId(exercise);
+
+        return this.data.exercises
+            .filter(ex => ex.exercisename && ex.sets && this._exerciseId(ex) === id)
+            .sort((a, b) => new Date(a.TIMESTAMP) - new Date(b.TIMESTAMP))
+            .map(ex => {
+                let best = null;
+
+                ex.sets.forEach(set => {
+                    const e1rm = calculator.estimateSet(set);
+                    if (e1rm !== null && (!best || e1rm > best.value)) {
+                        best = { value: e1rm, weight: set.weight, reps: set.reps, rpe: set.rpe || null };
+                    }
+                });
+
+                if (!best) return null;
+
+                return {
+                    date: ex.TIMESTAMP,
+                    name: ex.exercisename,
+                    workoutId: ex.workout_id,
+                    estimated1RM: UnitConverter.round(this.units.weight(best.value), 1),
+                    weight: this._weight(best.weight),
+                    reps: best.reps,
+                    rpe: best.rpe
+                };
+            })
+            .filter(point => point !== null);
+    }
+
+    /**
+     * Get average RPE and RIR per exercise and per session (working sets with an RPE only)
+     * @returns {Object} { exercises: { [id]: { exerciseId, name, averageRPE, averageRIR, ratedSets, totalSets } }, sessions: [{ id, date, name, averageRPE, averageRIR, ratedSets }] }
+     */
+    getRPESummary() {
+        const average = values => UnitConverter.round(values.reduce((sum, value) => sum + value, 0) / values.length, 1);
+        const exercises = {};
+        
+        this._getExerciseGroups().forEach((group, id) => {
+            const sets = [].concat(...group.entries.map(exercise => exercise.sets || []))
+                .filter(set => set.setType !== 'warmup');
+            const rpes = sets.map(set => RPEScale.parse(set.rpe)).filter(rpe => rpe !== null);
+            if (rpes.length === 0) return;
+            
+            const averageRPE = average(rpes);
+            exercises[id] = {
+                exerciseId: id,
+                name: group.name,
+                averageRPE,
+                averageRIR: UnitConverter.round(10 - averageRPE, 1),
+                ratedSets: rpes.length,
+                totalSets: sets.length
+            };
+        });
+        
+        const sessions = [];
+        const exercisesBySession = new Map();
+        this.data.exercises.forEach(exercise => {
+            if (exercise.workout_id === undefined || !exercise.sets) return;
+            if (!exercisesBySession.has(String(exercise.workout_id))) exercisesBySession.set(String(exercise.workout_id), []);
+            exercisesBySession.get(String(exercise.workout_id)).push(exercise);
+        });
+        
+        this._getSessionSummaries().forEach(session => {
+            if (session.rpe === null) return;
+            
+            const sessionExercises = exercisesBySession.get(String(session.id)) || [];
+            const ratedSets = [].concat(...sessionExercises.map(exercise => exercise.sets))
+                .filter(set => set.setType !== 'warmup' && RPEScale.parse(set.rpe) !== null).length;
+            
+            sessions.push({
+                id: session.id,
+                date: session.date,
+                name: session.name,
+                averageRPE: session.rpe,
+                averageRIR: UnitConverter.round(10 - session.rpe, 1),
+                ratedSets
+            });
+        });
+        
+        return { exercises, sessions };
+    }
+
+    /**
+     * Get how working sets with an RPE spread over the intensity zones (see RPEScale.ZONES)
+     * @param {Object} options - Options
+     * @param {string} options.exercise - Only count this exercise (ID or name)
+     * @returns {Object} { ratedSets, unratedSets, zones: [{ zone, label, min, max, sets, share }] }
+     */
+    getIntensityDistribution(options = {}) {
+        const exerciseId = options.exercise ? this.resolveExerciseId(options.exercise) : null;
+        const zones = RPEScale.ZONES.map(zone => ({ ...zone, sets: 0, share: 0 }));
+        let ratedSets = 0;
+        let unratedSets = 0;
+        
+        this.data.exercises.forEach(exercise => {
+            if (!exercise.sets || (exerciseId && (!exercise.exercisename || this._exerciseId(exercise) !== exerciseId))) return;
+            
+            exercise.sets.forEach(set => {
+                if (set.setType === 'warmup') return;
+                
+                const rpe = RPEScale.parse(set.rpe);
+                if (rpe === null) {
+                    unratedSets++;
+                    return;
+                }
+                
+                const rounded = Math.round(rpe * 2) / 2;
+                const zone = zones.find(candidate => rounded >= candidate.min && rounded <= candidate.max) || zones[0];
+                zone.sets++;
+                ratedSets++;
+            });
+        });
+        
+        zones.forEach(zone => {
+            zone.share = UnitConverter.percent(zone.sets, ratedSets) || 0;
+        });
+        
+        return { ratedSets, unratedSets, zones };
+    }
+
+    /**
+     * Flag sessions where the same weight × reps felt harder than the last time it was lifted
+     * Rising RPE at a constant load is an early sign of accumulated fatigue.
+     * @param {Object} options - Options
+     * @param {number} options.minIncrease - Smallest RPE rise that is flagged (default: 1)
+     * @returns {Array} Flags, newest first: [{ exerciseId, name, date, previousDate, weight, reps, rpe, previousRPE, increase }]
+     */
+    getRPEDrift(options = {}) {
+        const minIncrease = options.minIncrease || 1;
+        const flags = [];
+        
+        this._getExerciseGroups().forEach((group, id) => {
+            const lastRPEByLoad = new Map();
+            
+            group.entries
+                .filter(exercise => exercise.sets && !isNaN(new Date(exercise.TIMESTAMP).getTime()))
+                .sort((a, b) => new Date(a.TIMESTAMP) - new Date(b.TIMESTAMP))
+                .forEach(exercise => {
+                    // Highest RPE of each weight × reps in this session
+                    const sessionRPEs = new Map();
+                    exercise.sets.forEach(set => {
+                        const rpe = RPEScale.parse(set.rpe);
+                        if (rpe === null || set.setType === 'warmup' || !(set.weight > 0)) return;
+                        
+                        const load = `${set.weight}x${set.reps}`;
+                        sessionRPEs.set(load, Math.max(rpe, sessionRPEs.get(load) || 0));
+                    });
+                    
+                    sessionRPEs.forEach((rpe, load) => {
+                        const previous = lastRPEByLoad.get(load);
+                        if (previous && rpe - previous.rpe >= minIncrease) {
+                            const [weight, reps] = load.split('x').map(Number);
+                            flags.push({
+                                exerciseId: id,
+                                name: group.name,
+                                date: exercise.TIMESTAMP,
+                                previousDate: previous.date,
+                                weight: this._weight(weight),
+                                reps,
+                                rpe,
+                                previousRPE: previous.rpe,
+                                increase: UnitConverter.round(rpe - previous.rpe, 1)
+                            });
+                        }
+                        lastRPEByLoad.set(load, { rpe, date: exercise.TIMESTAMP });
+                    });
+                });
+        });
+        
+        return flags.sort((a, b) => new Date(b.date) - new Date(a.date));
+    }
+
+    /**
+     * Classify an exercise as progressing, plateaued or regressing from a line fitted to its recent sessions
+     * @param {string} exercise - Exercise ID or name
+     * @param {Object} options - Trend options
+     * @param {string} options.metric - 'e1rm' (best estimated 1RM per session, default) or 'topSet' (heaviest weight)
+     * @param {number} options.sessions - Number of recent sessions to fit (default: 6)
+     * @param {number} options.minSessions - Fewer sessions than this are 'insufficient-data' (default: 3)
+     * @param {number} options.threshold - Change in % of the average per week that counts as progress or regression (default: 0.5)
+     * @param {number} options.stallSessions - Sessions without a new best that make a lift plateaued (default: 3)
+     * @param {string} options.formula - OneRepMaxCalculator formula for the 'e1rm' metric
+     * @returns {Object} { exerciseId, name, metric, status, sessions, slopePerSession, slopePerWeek, percentPerWeek, best, latest, stalledSince, sessionsSinceBest, daysSinceBest }
+     */
+    getExerciseTrend(exercise, options = {}) {
+        const metric = options.metric || 'e1rm';
+        const windowSize = options.sessions || 6;
+        const minSessions = options.minSessions || 3;
+        const threshold = options.threshold !== undefined ? options.threshold : 0.5;
+        const stallSessions = options.stallSessions || 3;
+        const id = this.resolveExerciseId(exercise);
+        
+        if (!EnhancedWorkoutAnalyzer.TREND_METRICS.includes(metric)) {
+            throw new Error(`Unknown trend metric: ${metric}`);
+        }
+        
+        const points = (metric === 'e1rm'
+            ? this.getEstimatedOneRepMaxHistory(id, { formula: options.formula })
+                .map(point => ({ date: point.date, value: point.estimated1RM }))
+            : this.getExerciseProgress(id)
+                .map(point => ({ date: point.date, value: point.maxWeight })))
+            .filter(point => point.value > 0 && !isNaN(new Date(point.date).getTime()));
+        
+        const trend = {
+            exerciseId: id,
+            name: this._exerciseName(id),
+            metric,
+            status: 'insufficient-data',
+            sessions: points.length,
+            slopePerSession: null,
+            slopePerWeek: null,
+            percentPerWeek: null,
+            best: null,
+            latest: points.length > 0 ? points[points.length - 1] : null,
+            stalledSince: null,
+            sessionsSinceBest: null,
+            daysSinceBest: null
+        };
+        if (points.length === 0) return trend;
+        
+        // The stall begins at the last session that set a new best
+        let bestIndex = 0;
+        points.forEach((point, index) => {
+            if (point.value > points[bestIndex].value) bestIndex = index;
+        });
+        trend.best = points[bestIndex];
+        trend.sessionsSinceBest = points.length - 1 - bestIndex;
+        trend.daysSinceBest = Math.floor((new Date(trend.latest.date) - new Date(trend.best.date)) / 86400000);
+        
+        if (points.length < minSessions) return trend;
+        
+        const recent = points.slice(-windowSize);
+        const firstTime = new Date(recent[0].date).getTime();
+        const perSession = this._fitLine(recent.map((point, index) => [index, point.value]));
+        const perWeek = this._fitLine(recent.map(point => [(new Date(point.date).getTime() - firstTime) / (7 * 86400000), point.value]));
+        const average = recent.reduce((sum, point) => sum + point.value, 0) / recent.length;
+        const percentPerWeek = perWeek.slope * 100 / average;
+        
+        trend.slopePerSession = UnitConverter.round(perSession.slope, 2);
+        trend.slopePerWeek = UnitConverter.round(perWeek.slope, 2);
+        trend.percentPerWeek = UnitConverter.round(percentPerWeek, 2);
+        
+        // A rising fit still counts as a plateau once enough sessions pass without a new best
+        if (percentPerWeek < -threshold) {
+            trend.status = 'regressing';
+        } else if (percentPerWeek > threshold && trend.sessionsSinceBest < stallSessions) {
+            trend.status = 'progressing';
+        } else {
+            trend.status = 'plateaued';
+        }
+        
+        if (trend.status !== 'progressing') trend.stalledSince = trend.best.date;
+        
+        return trend;
+    }
+
+    /**
+     * Get the trend of every exercise with a strength history
+     * @param {Object} options - Trend options (see getExerciseTrend)
+     * @returns {Object} Trends keyed by exercise ID
+     */
+    getExerciseTrends(options = {}) {
+        const trends = {};
+        
+        this.getExercises().forEach(exercise => {
+            const trend = this.getExerciseTrend(exercise.id, options);
+            if (trend.sessions > 0) trends[exercise.id] = trend;
+        });
+        
+        return trends;
+    }
+
+    /**
+     * Get the exercises that have stopped progressing, most urgent first
+     * Regressing lifts come first (steepest decline first), then plateaus (longest stall first).
+     * Lifts not trained in the last activeWithinDays days of the data are left out.
+     * @param {Object} options - Trend options (see getExerciseTrend)
+     * @param {number} options.activeWithinDays - Only include lifts trained this recently (default: 56)
+     * @returns {Array} Trends with a rank, in ranked order
+     */
+    getNeedsAttention(options = {}) {
+        const activeWithinDays = options.activeWithinDays || 56;
+        const trends = Object.values(this.getExerciseTrends(options));
+        if (trends.length === 0) return [];
+        
+        const lastDate = Math.max(...trends.map(trend => new Date(trend.latest.date).getTime()));
+        
+        return trends
+            .filter(trend => trend.status === 'regressing' || trend.status === 'plateaued')
+            .filter(trend => lastDate - new Date(trend.latest.date).getTime() <= activeWithinDays * 86400000)
+            .sort((a, b) => {
+                if (a.status !== b.status) return a.status === 'regressing' ? -1 : 1;
+                if (a.status === 'regressing') return a.percentPerWeek - b.percentPerWeek;
+                return b.daysSinceBest - a.daysSinceBest;
+            })
+            .map((trend, index) => ({ rank: index + 1, ...trend }));
+    }
+
+    /**
+     * Fit a least-squares line to points
+     * @param {Array} points - [x, y] pairs
+     * @returns {Object} { slope, intercept }
+     */
+    _fitLine(points) {
+        const n = points.length;
+        const meanX = points.reduce((sum, [x]) => sum + x, 0) / n;
+        const meanY = points.reduce((sum, [, y]) => sum + y, 0) / n;
+        
+        let covariance = 0;
+        let variance = 0;
+        points.forEach(([x, y]) => {
+            covariance += (x - meanX) * (y - meanY);
+            variance += (x - meanX) * (x - meanX);
+        });
+        
+        const slope = variance > 0 ? covariance / variance : 0;
+        return { slope, intercept: meanY - slope * meanX };
+    }
+
+    /**
+     * Get the exercises planned in the data's routines
+     * Multi-section exports plan exercises per workout day with setcount/targetrep. Strong and Hevy
+     * exports have no routines, so the latest session of each named workout is used as the plan.
+     * @param {Object} options - Options
+     * @param {number|string} options.routine - Only include this routine (ID or name)
+     * @returns {Array} Planned exercises: [{ exerciseId, name, routine, day, sets, reps }]
+     */
+    getPlannedExercises(options = {}) {
+        const routineMatches = routine => options.routine === undefined
+            || (routine && (routine._id === options.routine || routine.name === options.routine));
+        
+        if (!SINGLE_TABLE_FORMATS.includes(this.format)) {
+            const settings = this.data.settings || {};
+            
+            return this.data.exercises
+                .filter(exercise => exercise.exercisename && (exercise.setcount !== undefined || exercise.targetrep !== undefined))
+                .map(exercise => {
+                    const day = (this.data.workoutDays || []).find(workoutDay => workoutDay._id === exercise.belongplan) || null;
+                    const routine = day ? (this.data.routines || []).find(candidate => candidate._id === day.package) || null : null;
+                    
+                    return {
+                        exerciseId: this._exerciseId(exercise),
+                        name: exercise.exercisename,
+                        routine: routine ? routine.name : null,
+                        day: day ? day.name : null,
+                        sets: exercise.setcount || settings.sets || null,
+                        reps: exercise.targetrep || settings.targetrep || null,
+                        _routine: routine
+                    };
+                })
+                .filter(planned => routineMatches(planned._routine))
+                .map(({ _routine, ...planned }) => planned);
+        }
+        
+        if (options.routine !== undefined) return [];
+        
+        // Latest session of each workout name, with its exercises in logged order
+        const latestByName = new Map();
+        this.data.workoutSessions.forEach(session => {
+            const name = session.workout_name || 'Workout';
+            const latest = latestByName.get(name);
+            if (!latest || session.starttime > latest.starttime) latestByName.set(name, session);
+        });
+        
+        const planned = [];
+        latestByName.forEach((session, name) => {
+            const seen = new Set();
+            this.data.exercises
+                .filter(exercise => exercise.exercisename && String(exercise.workout_id) === String(session._id))
+                .forEach(exercise => {
+                    const id = this._exerciseId(exercise);
+                    if (seen.has(id)) return;
+                    
+                    seen.add(id);
+                    planned.push({ exerciseId: id, name: exercise.exercisename, routine: null, day: name, sets: null, reps: null });
+                });
+        });
+        
+        return planned;
+    }
+
+    /**
+     * Recommend next-session weight × reps for every planned exercise
+     * @param {Object} options - ProgressionPlanner options (scheme, increment, ...) and routine
+     * @param {number} options.historySessions - Recent sessions considered per exercise (default: 6)
+     * @returns {Array} Recommendations: [{ exerciseId, name, routine, day, lastSession, scheme, action, weight, sets, reps, targetRPE, reason }]
+     */
+    getRecommendations(options = {}) {
+        const imperial = this.units.system === 'imperial';
+        const planner = new ProgressionPlanner({
+            increment: imperial ? 5 : 2.5,
+            ...options
+        });
+        const historySessions = options.historySessions || 6;
+        const lowerBody = ['quads', 'hamstrings', 'glutes', 'calves'];
+        const cardioIds = new Set(this.getCardioExercises().map(cardio => cardio.exerciseId));
+        
+        return this.getPlannedExercises(options)
+            .filter(planned => !cardioIds.has(planned.exerciseId))
+            .map(planned => {
+                const entries = this._getExerciseGroups().get(planned.exerciseId);
+                const history = (entries ? entries.entries : [])
+                    .filter(exercise => exercise.sets && !isNaN(new Date(exercise.TIMESTAMP).getTime()))
+                    .sort((a, b) => new Date(a.TIMESTAMP) - new Date(b.TIMESTAMP))
+                    .slice(-historySessions);
+                const last = history[history.length - 1];
+                const workingSets = exercise => exercise.sets
+                    .filter(set => set.setType !== 'warmup')
+                    .map(set => this._convertSet(set));
+                
+                const suggestion = planner.recommend({
+                    sets: planned.sets,
+                    reps: planned.reps,
+                    lowerBody: this.taxonomy.classify(planned.name).primary.some(group => lowerBody.includes(group))
+                }, history.map(workingSets));
+                
+                return {
+                    exerciseId: planned.exerciseId,
+                    name: planned.name,
+                    routine: planned.routine,
+                    day: planned.day,
+                    lastSession: last ? { date: last.TIMESTAMP, sets: workingSets(last) } : null,
+                    ...suggestion
+                };
+            });
+    }
+
+    /**
+     * Compare the routines' planned days, sets and reps with what was performed (multi-section format)
+     * Workout days link to sessions by day_id, falling back to a session on the day the workout day was
+     * completed. Performed sets are an exercise's logged sets; rep completion caps each set at the target
+     * reps so extra reps don't make up for missing sets. Day and routine set and rep completion only cover
+     * completed days; days that weren't trained show up in dayCompletion instead. An exercise without
+     * logged sets is 'skipped' on a completed day and 'pending' otherwise.
+     * @param {Object} options - Options
+     * @param {string|number} options.routine - Only report this routine (ID or name)
+     * @returns {Object|null} { routines, days, exercises, skipped, weeks }, or null for formats without routines
+     */
+    getRoutineAdherence(options = {}) {
+        if (SINGLE_TABLE_FORMATS.includes(this.format)) return null;
+        
+        const settings = this.data.settings || {};
+        const routines = (this.data.routines || []).filter(routine => options.routine === undefined
+            || routine._id === options.routine || routine.name === options.routine);
+        const routineIds = new Set(routines.map(routine => routine._id));
+        const workoutDays = (this.data.workoutDays || []).filter(day => routineIds.has(day.package));
+        const completions = new Map(workoutDays.map(day => {
+            const session = this._findDaySession(day);
+            const completedAt = new Date(day.day_completed_timestamp);
+            const date = !isNaN(completedAt.getTime()) ? completedAt : (session ? new Date(session.starttime * 1000) : null);
+            return [day._id, { session, completedAt: date ? date.toISOString() : null }];
+        }));
+        
+        const exercises = this.data.exercises
+            .filter(exercise => exercise.exercisename && workoutDays.some(day => day._id === exercise.belongplan))
+            .map(exercise => {
+                const day = workoutDays.find(workoutDay => workoutDay._id === exercise.belongplan);
+                const routine = routines.find(candidate => candidate._id === day.package);
+                const plannedSets = exercise.setcount || settings.sets || null;
+                const targetReps = exercise.targetrep || settings.targetrep || null;
+                const logged = (exercise.sets || []).filter(set => set.reps > 0);
+                const performedSets = logged.length || exercise.setdone || 0;
+                const performedReps = logged.reduce((sum, set) => sum + set.reps, 0);
+                const plannedReps = plannedSets && targetReps ? plannedSets * targetReps : null;
+                const countedReps = plannedReps
+                    ? logged.slice(0, plannedSets).reduce((sum, set) => sum + Math.min(set.reps, targetReps), 0)
+                    : 0;
+                const lastPerformed = new Date(exercise.setdonetime * 1000);
+                
+                return {
+                    exerciseId: this._exerciseId(exercise),
+                    name: exercise.exercisename,
+                    routineId: routine._id,
+                    routine: routine.name,
+                    day: day.name,
+                    dayId: day._id,
+                    plannedSets,
+                    performedSets,
+                    targetReps,
+                    plannedReps,
+                    performedReps,
+                    setCompletion: plannedSets ? UnitConverter.percent(Math.min(performedSets, plannedSets), plannedSets) : null,
+                    repCompletion: plannedReps ? UnitConverter.percent(countedReps, plannedReps) : null,
+                    status: performedSets === 0
+                        ? (completions.get(day._id).completedAt ? 'skipped' : 'pending')
+                        : (plannedSets && performedSets < plannedSets ? 'partial' : 'complete'),
+                    lastPerformed: exercise.setdonetime > 0 && !isNaN(lastPerformed.getTime()) ? lastPerformed.toISOString() : null,
+                    _countedReps: countedReps
+                };
+            });
+        
+        const days = workoutDays.map(day => {
+            const { session, completedAt } = completions.get(day._id);
+            const dayExercises = exercises.filter(exercise => exercise.dayId === day._id);
+            
+            return {
+                dayId: day._id,
+                routineId: day.package,
+                routine: routines.find(routine => routine._id === day.package).name,
+                name: day.name || null,
+                dayIndex: day.dayIndex,
+                week: day.week,
+                completed: completedAt !== null,
+                completedAt,
+                sessionId: session ? session._id : null,
+                exercises: dayExercises.length,
+                skippedExercises: dayExercises.filter(exercise => exercise.status === 'skipped').length,
+                ...this._completion(completedAt ? dayExercises : [])
+            };
+        });
+        
+        const report = {
+            routines: routines.map(routine => {
+                const routineDays = days.filter(day => day.routineId === routine._id);
+                const routineExercises = exercises.filter(exercise => exercise.routineId === routine._id && exercise.status !== 'pending');
+                
+                return {
+                    routineId: routine._id,
+                    name: routine.name,
+                    focus: routine.focus,
+                    daysPerWeek: routine.dayaweek || null,
+                    plannedDays: routineDays.length,
+                    completedDays: routineDays.filter(day => day.completed).length,
+                    dayCompletion: UnitConverter.percent(routineDays.filter(day => day.completed).length, routineDays.length),
+                    skippedExercises: routineExercises.filter(exercise => exercise.status === 'skipped').length,
+                    ...this._completion(routineExercises)
+                };
+            }),
+            days,
+            exercises: exercises.map(({ _countedReps, ...exercise }) => exercise),
+            skipped: [],
+            weeks: []
+        };
+        report.skipped = report.exercises.filter(exercise => exercise.status === 'skipped');
+        
+        // Sessions per week against the routine's days per week
+        const target = routines.length === 1 && routines[0].dayaweek ? routines[0].dayaweek : this.getWeeklyTarget();
+        if (target) {
+            report.weeks = this.getConsistency({ weeklyTarget: target }).weeks.map(week => ({
+                weekStart: week.weekStart,
+                plannedSessions: target,
+                completedSessions: week.sessions,
+                completion: UnitConverter.percent(Math.min(week.sessions, target), target),
+                complete: week.complete
+            }));
+        }
+        
+        return report;
+    }
+
+    /**
+     * Find the workout session that completed a routine's workout day
+     * @param {Object} day - Workout day row
+     * @returns {Object|null} Session linked by day_id, else the session on the day it was completed
+     */
+    _findDaySession(day) {
+        const sessions = this.data.workoutSessions || [];
+        const linked = sessions.filter(session => session.day_id && session.day_id === day._id);
+        if (linked.length > 0) return linked.reduce((latest, session) => session.starttime > latest.starttime ? session : latest);
+        
+        const completedAt = new Date(day.day_completed_timestamp);
+        if (isNaN(completedAt.getTime())) return null;
+        
+        const completedDay = LocalDate.dayKey(completedAt);
+        return sessions.find(session => LocalDate.dayKey(new Date(session.starttime * 1000)) === completedDay) || null;
+    }
+
+    /**
+     * Sum planned and performed sets and reps of some adherence exercises
+     * Sets count up to the planned number per exercise, so one extra set can't hide a missing one.
+     * @param {Array} exercises - Adherence exercises with _countedReps
+     * @returns {Object} { plannedSets, performedSets, setCompletion, plannedReps, performedReps, repCompletion }
+     */
+    _completion(exercises) {
+        const planned = exercises.filter(exercise => exercise.plannedSets);
+        const withReps = exercises.filter(exercise => exercise.plannedReps);
+        const plannedSets = planned.reduce((sum, exercise) => sum + exercise.plannedSets, 0);
+        const plannedReps = withReps.reduce((sum, exercise) => sum + exercise.plannedReps, 0);
+        
+        return {
+            plannedSets,
+            performedSets: exercises.reduce((sum, exercise) => sum + exercise.performedSets, 0),
+            setCompletion: UnitConverter.percent(planned.reduce((sum, exercise) => sum + Math.min(exercise.performedSets, exercise.plannedSets), 0), plannedSets),
+            plannedReps,
+            performedReps: exercises.reduce((sum, exercise) => sum + exercise.performedReps, 0),
+            repCompletion: UnitConverter.percent(withReps.reduce((sum, exercise) => sum + exercise._countedReps, 0), plannedReps)
         };
+    }
+
+    /**
+     * Get working sets and volume per muscle group for each week (weeks start on Monday)
+     * Primary muscles are credited with the whole set; secondary muscles with secondaryWeight of it.
+     * @param {Object} options - Options
+     * @param {number} options.secondaryWeight - Share of a set credited to secondary muscles (default: 0.5)
+     * @param {boolean} options.includeWarmups - Count sets marked as warm-up (default: false)
+     * @returns {Array} Weeks in order, including weeks without training: [{ weekStart, groups: { chest: { sets, volume } } }]
+     */
+    getMuscleGroupVolumeByWeek(options = {}) {
+        const secondaryWeight = options.secondaryWeight === undefined ? 0.5 : options.secondaryWeight;
+        const weeks = new Map();
+        
+        this.data.exercises.forEach(exercise => {
+            const date = new Date(exercise.TIMESTAMP);
+            if (!exercise.sets || isNaN(date.getTime())) return;
+            
+            const sets = exercise.sets.filter(set => options.includeWarmups || set.setType !== 'warmup');
+            if (sets.length === 0) return;
+            
+            const { primary, secondary } = this.taxonomy.classify(exercise);
+            const volume = sets.reduce((sum, set) => sum + (set.volume || 0), 0);
+            const weekStart = LocalDate.weekStart(date);
+            
+            if (!weeks.has(weekStart)) weeks.set(weekStart, {});
+            const groups = weeks.get(weekStart);
+            
+            const credit = (group, share) => {
+                if (!groups[group]) groups[group] = { sets: 0, volume: 0 };
+                groups[group].sets += sets.length * share;
+                groups[group].volume += volume * share;
+            };
+            primary.forEach(group => credit(group, 1));
+            secondary.forEach(group => credit(group, secondaryWeight));
+        });
+        
+        if (weeks.size === 0) return [];
+        
+        // Fill in weeks without training so averages and charts see the gaps
+        const keys = Array.from(weeks.keys()).sort();
+        const result = [];
+        const cursor = new Date(`${keys[0]}T00:00:00`);
+        const last = keys[keys.length - 1];
+        
+        for (let key = keys[0]; key <= last; key = LocalDate.weekStart(cursor)) {
+            const groups = weeks.get(key) || {};
+            Object.values(groups).forEach(totals => {
+                totals.sets = Math.round(totals.sets * 10) / 10;
+                totals.volume = this._weight(totals.volume);
+            });
+            result.push({ weekStart: key, groups });
+            cursor.setDate(cursor.getDate() + 7);
+        }
+        
+        return result;
+    }
+
+    /**
+     * Get average weekly sets and volume per muscle group, to check whether training is balanced
+     * @param {Object} options - Same options as getMuscleGroupVolumeByWeek()
+     * @returns {Object} { weeks, groups: { chest: { label, sets, volume, setsPerWeek, volumePerWeek, share } } }
+     */
+    getMuscleGroupBalance(options = {}) {
+        const weeks = this.getMuscleGroupVolumeByWeek(options);
+        const totals = {};
+        
+        weeks.forEach(week => {
+            Object.entries(week.groups).forEach(([group, values]) => {
+                if (!totals[group]) totals[group] = { sets: 0, volume: 0 };
+                totals[group].sets += values.sets;
+                totals[group].volume += values.volume;
+            });
+        });
+        
+        const allSets = Object.values(totals).reduce((sum, values) => sum + values.sets, 0);
+        const groups = {};
+        
+        Object.keys(MuscleTaxonomy.MUSCLE_GROUPS)
+            .filter(group => totals[group])
+            .forEach(group => {
+                const { sets, volume } = totals[group];
+                groups[group] = {
+                    label: MuscleTaxonomy.getLabel(group),
+                    sets: Math.round(sets * 10) / 10,
+                    volume: UnitConverter.round(volume, 2),
+                    setsPerWeek: Math.round(sets / weeks.length * 10) / 10,
+                    volumePerWeek: UnitConverter.round(volume / weeks.length, 2),
+                    share: Math.round(sets / allSets * 1000) / 10 // Percent of all credited sets
+                };
+            });
+        
+        return { weeks: weeks.length, groups };
+    }
+
+    /**
+     * Get training totals as a time series with one bucket per day, ISO week, month or training block
+     * Volume counts working sets; tonnage counts every set including warm-ups. Buckets without
+     * training are included with zeros.
+     * @param {Object} options - Series options
+     * @param {string} options.interval - 'day', 'week' (default), 'month' or 'block'
+     * @param {number} options.blockWeeks - Weeks per training block (default: 4)
+     * @param {string} options.exercise - Only count this exercise (ID or name)
+     * @param {string} options.muscleGroup - Only count exercises with this primary muscle group
+     * @param {Date|string} options.from - First date to cover (default: first training day)
+     * @param {Date|string} options.to - Last date to cover (default: last training day)
+     * @returns {Array} Buckets: [{ start, end, label, volume, tonnage, sets, reps, sessions, durationMinutes }]
+     */
+    getVolumeSeries(options = {}) {
+        const exerciseId = options.exercise ? this.resolveExerciseId(options.exercise) : null;
+        const filtered = Boolean(exerciseId || options.muscleGroup);
+        const exercises = this.data.exercises.filter(exercise => {
+            if (!exercise.sets || isNaN(new Date(exercise.TIMESTAMP).getTime())) return false;
+            if (exerciseId && (!exercise.exercisename || this._exerciseId(exercise) !== exerciseId)) return false;
+            if (options.muscleGroup && !this.taxonomy.classify(exercise).primary.includes(options.muscleGroup)) return false;
+            return true;
+        });
+        
+        // Sessions come from the session list, or from the matching exercises when filtering
+        const sessionsById = new Map(this.data.workoutSessions.map(session => [String(session._id), session]));
+        const sessions = new Map();
+        if (filtered) {
+            exercises.forEach(exercise => {
+                const session = exercise.workout_id !== undefined ? sessionsById.get(String(exercise.workout_id)) : null;
+                const date = new Date(exercise.TIMESTAMP);
+                const key = session ? `id:${session._id}` : `day:${LocalDate.dayKey(date)}`;
+                sessions.set(key, { date, duration: session ? session.total_time || 0 : 0 });
+            });
+        } else {
+            this.data.workoutSessions.forEach(session => {
+                const date = new Date(session.starttime * 1000);
+                if (!isNaN(date.getTime())) sessions.set(`id:${session._id}`, { date, duration: session.total_time || 0 });
+            });
+        }
+        
+        const dates = exercises.map(exercise => new Date(exercise.TIMESTAMP))
+            .concat(Array.from(sessions.values()).map(session => session.date));
+        const buckets = this._createBuckets(dates, options, { volume: 0, tonnage: 0, sets: 0, reps: 0, sessions: 0, durationMinutes: 0 });
         
-        this.currentSection = null;
-        this.sectionHeaders = new Map();
+        exercises.forEach(exercise => {
+            const bucket = this._findBucket(buckets, new Date(exercise.TIMESTAMP));
+            if (!bucket) return;
+            
+            exercise.sets.forEach(set => {
+                const volume = set.volume || 0;
+                bucket.tonnage += volume;
+                if (set.setType === 'warmup') return;
+                
+                bucket.volume += volume;
+                bucket.sets++;
+                bucket.reps += set.reps || 0;
+            });
+        });
+        
+        sessions.forEach(session => {
+            const bucket = this._findBucket(buckets, session.date);
+            if (!bucket) return;
+            
+            bucket.sessions++;
+            bucket.durationMinutes += session.duration / 60;
+        });
+        
+        return buckets.map(({ _startTime, _endTime, ...bucket }) => ({
+            ...bucket,
+            volume: this._weight(bucket.volume),
+            tonnage: this._weight(bucket.tonnage),
+            durationMinutes: Math.round(bucket.durationMinutes)
+        }));
     }
 
     /**
-     * Parse the entire CSV content
-     * @param {string} csvContent - The raw CSV content
-     * @returns {Object} Parsed workout data
+     * Create empty time buckets covering a set of dates
+     * @param {Array} dates - Dates the buckets must cover
+     * @param {Object} options - Series options: interval, blockWeeks, from, to (see getVolumeSeries)
+     * @param {Object} totals - Fields every bucket starts with, e.g. { volume: 0 }
+     * @returns {Array} Buckets: [{ start, end, label, ...totals, _startTime, _endTime }]
      */
-    parse(csvContent) {
-        const lines = csvContent.split('\n');
-        let currentSection = null;
-        let headers = [];
+    _createBuckets(dates, options, totals) {
+        const interval = options.interval || 'week';
+        if (!EnhancedWorkoutAnalyzer.SERIES_INTERVALS.includes(interval)) {
+            throw new Error(`Unknown interval "${interval}". Use one of: ${EnhancedWorkoutAnalyzer.SERIES_INTERVALS.join(', ')}`);
+        }
+        if (dates.length === 0 && !(options.from && options.to)) return [];
         
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            
-            // Skip empty lines
-            if (!line) continue;
-            
-            // Check for section headers
-            if (line.startsWith('### ')) {
-                currentSection = this.getSectionFromHeader(line);
-                continue;
-            }
-            
-            // Skip separator lines
-            if (line.startsWith('######')) {
-                continue;
-            }
+        const [first, last] = dates.reduce(([min, max], date) => [Math.min(min, date), Math.max(max, date)], [Infinity, -Infinity]);
+        const from = options.from ? LocalDate.parse(options.from) : new Date(first);
+        const to = options.to ? LocalDate.parse(options.to) : new Date(last);
+        const origin = this._bucketStart(from, interval === 'block' ? 'week' : interval);
+        const blockWeeks = options.blockWeeks || 4;
+        
+        const buckets = [];
+        for (let start = origin; start <= to; ) {
+            const next = this._nextBucketStart(start, interval, blockWeeks);
+            const end = new Date(next);
+            end.setDate(end.getDate() - 1);
             
-            // Parse CSV data based on current section
-            if (currentSection) {
-                const fields = this.parseCSVLine(line);
-                
-                // Check if this is a header line (first non-comment line in section)
-                if (this.isHeaderLine(fields, currentSection)) {
-                    headers = fields;
-                    this.sectionHeaders.set(currentSection, headers);
-                    continue;
-                }
-                
-                // Parse data line
-                if (headers.length > 0 && fields.length > 0) {
-                    const rowData = this.createRowObject(headers, fields);
-                    this.addToSection(currentSection, rowData);
-                }
-            }
+            buckets.push({
+                start: LocalDate.dayKey(start),
+                end: LocalDate.dayKey(end),
+                label: this._bucketLabel(start, interval, buckets.length),
+                ...totals,
+                _startTime: start.getTime(),
+                _endTime: next.getTime()
+            });
+            start = next;
         }
         
-        return this.data;
+        return buckets;
     }
 
     /**
-     * Determine section type from header line
-     * @param {string} headerLine - Section header line
-     * @returns {string} Section type
+     * Find the bucket a date falls into
+     * @param {Array} buckets - Buckets from _createBuckets()
+     * @param {Date} date - Date
+     * @returns {Object|undefined} Bucket
      */
-    getSectionFromHeader(headerLine) {
-        const header = headerLine.toLowerCase();
+    _findBucket(buckets, date) {
+        return buckets.find(bucket => date.getTime() >= bucket._startTime && date.getTime() < bucket._endTime);
+    }
+
+    /**
+     * Get the start of the bucket a date falls into
+     * @param {Date} date - Date
+     * @param {string} interval - 'day', 'week' or 'month'
+     * @returns {Date} Local midnight at the start of the bucket
+     */
+    _bucketStart(date, interval) {
+        if (interval === 'week') return LocalDate.startOfWeek(date);
         
-        if (header.includes('setting')) return 'settings';
-        if (header.includes('routine')) return 'routines';
-        if (header.includes('workout session')) return 'workoutSessions';
-        if (header.includes('notes')) return 'notes';
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        if (interval === 'month') start.setDate(1);
         
-        return 'unknown';
+        return start;
     }
 
     /**
-     * Parse a single CSV line handling quoted fields and commas
-     * @param {string} line - CSV line to parse
-     * @returns {Array} Array of field values
+     * Get the start of the bucket after the one starting at a date
+     * @param {Date} start - Bucket start
+     * @param {string} interval - 'day', 'week', 'month' or 'block'
+     * @param {number} blockWeeks - Weeks per training block
+     * @returns {Date} Start of the next bucket
      */
-    parseCSVLine(line) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
-        let i = 0;
-        
-        while (i < line.length) {
-            const char = line[i];
-            
-            if (char === '"') {
-                if (inQuotes && line[i + 1] === '"') {
-                    // Escaped quote
-                    current += '"';
-                    i += 2;
-                } else {
-                    // Toggle quote state
-                    inQuotes = !inQuotes;
-                    i++;
-                }
-            } else if (char === ',' && !inQuotes) {
-                // Field separator
-                result.push(current.trim());
-                current = '';
-                i++;
-            } else {
-                current += char;
-                i++;
-            }
-        }
+    _nextBucketStart(start, interval, blockWeeks) {
+        const next = new Date(start);
         
-        // Add the last field
-        result.push(current.trim());
+        if (interval === 'day') next.setDate(next.getDate() + 1);
+        if (interval === 'week') next.setDate(next.getDate() + 7);
+        if (interval === 'block') next.setDate(next.getDate() + 7 * blockWeeks);
+        if (interval === 'month') next.setMonth(next.getMonth() + 1);
         
-        return result;
+        return next;
     }
 
     /**
-     * Check if the current line is a header line
-     * @param {Array} fields - Parsed fields
-     * @param {string} section - Current section
-     * @returns {boolean} True if this is a header line
+     * Get a display label for a bucket
+     * @param {Date} start - Bucket start
+     * @param {string} interval - 'day', 'week', 'month' or 'block'
+     * @param {number} index - Position of the bucket in the series
+     * @returns {string} e.g. "2024-08-06", "2024-W32", "2024-08" or "Block 3"
      */
-    isHeaderLine(fields, section) {
-        // Check if fields contain typical header names
-        const headerIndicators = [
-            'row_id', 'USERID', 'TIMESTAMP', '_id', 'name', 
-            'exercise_id', 'exercisename', 'setcount', 'logs',
-            'total_time', 'workout_time', 'mynote', 'title'
-        ];
+    _bucketLabel(start, interval, index) {
+        if (interval === 'day') return LocalDate.dayKey(start);
+        if (interval === 'month') return LocalDate.dayKey(start).slice(0, 7);
+        if (interval === 'block') return `Block ${index + 1}`;
         
-        return fields.some(field => 
-            headerIndicators.includes(field) || 
-            field.toLowerCase().includes('time') ||
-            field.toLowerCase().includes('id')
-        );
+        // ISO week: the week belongs to the year its Thursday falls in
+        const thursday = new Date(start);
+        thursday.setDate(thursday.getDate() + 3);
+        const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+        const week = 1 + Math.round(((thursday - firstThursday) / 86400000 - 3 + ((firstThursday.getDay() + 6) % 7)) / 7);
+        
+        return `${thursday.getFullYear()}-W${String(week).padStart(2, '0')}`;
     }
 
     /**
-     * Create an object from headers and field values
-     * @param {Array} headers - Column headers
-     * @param {Array} fields - Field values
-     * @returns {Object} Row object
+     * Get training load with rolling acute and chronic loads, ACWR, monotony and strain
+     * Session volume is reported in the analyzer's display units.
+     * @param {Object} options - TrainingLoadCalculator options (method, defaultRPE, acuteDays, chronicDays, thresholds) and asOf
+     * @returns {Object} { method, thresholds, sessions, days, flags, current } (see TrainingLoadCalculator.analyze)
      */
-    createRowObject(headers, fields) {
-        const obj = {};
-        
-        for (let i = 0; i < headers.length && i < fields.length; i++) {
-            const header = headers[i];
-            let value = fields[i];
+    getTrainingLoad(options = {}) {
+        const calculator = new TrainingLoadCalculator(options);
+        return calculator.analyze(this._getSessionSummaries(), { asOf: options.asOf });
+    }
+
+    /**
+     * Summarize each workout session with its working-set volume and average RPE
+     * Strong and Hevy exercises link to their session by ID; multi-section exercises by day.
+     * @returns {Array} Sessions: [{ id, date, name, durationMinutes, volume, rpe, sets }]
+     */
+    _getSessionSummaries() {
+        const exercisesBySession = new Map();
+        this.data.exercises.forEach(exercise => {
+            if (!exercise.sets) return;
             
-            // Convert numeric strings to numbers
-            if (this.isNumeric(value)) {
-                value = parseFloat(value);
-            }
+            const date = new Date(exercise.TIMESTAMP);
+            const key = exercise.workout_id !== undefined ? `id:${exercise.workout_id}` : `day:${isNaN(date.getTime()) ? '' : LocalDate.dayKey(date)}`;
+            if (!exercisesBySession.has(key)) exercisesBySession.set(key, []);
+            exercisesBySession.get(key).push(exercise);
+        });
+        
+        return this.data.workoutSessions.map(session => {
+            const date = new Date(session.starttime * 1000);
+            if (isNaN(date.getTime())) return null;
             
-            // Parse timestamps
-            if (header.toLowerCase().includes('time') && typeof value === 'string' && value.includes('-')) {
-                value = new Date(value);
-            }
+            const exercises = exercisesBySession.get(`id:${session._id}`) || exercisesBySession.get(`day:${LocalDate.dayKey(date)}`) || [];
+            const workingSets = [].concat(...exercises.map(exercise => exercise.sets)).filter(set => set.setType !== 'warmup');
+            const rpes = workingSets.map(set => RPEScale.parse(set.rpe)).filter(rpe => rpe !== null);
+            const volume = exercises.length > 0
+                ? workingSets.reduce((total, set) => total + (set.volume || 0), 0)
+                : session.total_weight || 0;
             
-            obj[header] = value;
+            return {
+                id: session._id,
+                date,
+                name: session.workout_name || null,
+                durationMinutes: Math.round((session.total_time || 0) / 60),
+                volume: this._weight(volume),
+                rpe: rpes.length > 0 ? UnitConverter.round(rpes.reduce((a, b) => a + b, 0) / rpes.length, 1) : null,
+                sets: workingSets.length
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Get workout consistency with format-aware processing
+     * @returns {Object} Consistency metrics
+     */
+    getWorkoutConsistency() {
+        const workoutDates = this.data.workoutSessions
+            .map(session => {
+                if (this.format === 'strong') {
+                    return new Date(session.starttime * 1000);
+                } else {
+                    return new Date(session.starttime * 1000);
+                }
+            })
+            .filter(date => !isNaN(date.getTime()))
+            .sort((a, b) => a - b);
+        
+        if (workoutDates.length < 2) return null;
+        
+        const gaps = [];
+        for (let i = 1; i < workoutDates.length; i++) {
+            const gap = Math.ceil((workoutDates[i] - workoutDates[i-1]) / (1000 * 60 * 60 * 24));
+            gaps.push(gap);
         }
         
-        return obj;
+        return {
+            averageGap: Math.round(gaps.reduce((a, b) => a + b, 0) / gaps.length),
+            minGap: Math.min(...gaps),
+            maxGap: Math.max(...gaps),
+            totalGaps: gaps.length,
+            format: this.format
+        };
     }
 
     /**
-     * Check if a string represents a number
-     * @param {string} str - String to check
-     * @returns {boolean} True if numeric
+     * Get streaks, calendar heatmap data, weekday and time-of-day distributions and missed weeks
+     * @param {Object} options - ConsistencyTracker options (weeklyTarget, heatmapMetric) and asOf
+     * @param {number} options.weeklyTarget - Sessions per week (default: the routine's days per week, else 3)
+     * @returns {Object} See ConsistencyTracker.analyze; volume is in the analyzer's display units
      */
-    isNumeric(str) {
-        if (typeof str === 'number') return true;
-        if (typeof str !== 'string') return false;
-        return !isNaN(str) && !isNaN(parseFloat(str)) && str.trim() !== '';
+    getConsistency(options = {}) {
+        const tracker = new ConsistencyTracker({
+            ...options,
+            weeklyTarget: options.weeklyTarget || this.getWeeklyTarget() || undefined
+        });
+        return tracker.analyze(this._getSessionSummaries(), { asOf: options.asOf });
     }
 
     /**
-     * Add parsed row to appropriate section
-     * @param {string} section - Section name
-     * @param {Object} rowData - Parsed row data
+     * Get the planned sessions per week from the most recent routine that sets days per week
+     * Only multi-section exports carry routines.
+     * @returns {number|null} Days per week, or null when no routine sets it
      */
-    addToSection(section, rowData) {
-        switch (section) {
-            case 'settings':
-                // Settings is typically a single row, so store as object
-                this.data.settings = { ...this.data.settings, ...rowData };
-                break;
-                
-            case 'routines':
-                // Check if this is a routine definition or a workout day
-                if (rowData.difficulty !== undefined || rowData.focus !== undefined) {
-                    this.data.routines.push(rowData);
-                } else if (rowData.day !== undefined || rowData.dayIndex !== undefined) {
-                    this.data.workoutDays.push(rowData);
-                } else if (rowData.exercisename !== undefined) {
-                    this.data.exercises.push(this.parseExerciseData(rowData));
-                }
-                break;
+    getWeeklyTarget() {
+        const routines = (this.data.routines || [])
+            .filter(routine => Number.isInteger(routine.dayaweek) && routine.dayaweek >= 1 && routine.dayaweek <= 7)
+            .sort((a, b) => new Date(a.TIMESTAMP) - new Date(b.TIMESTAMP));
+
+        return routines.length > 0 ? routines[routines.length - 1].dayaweek : null;
+    }
+
+    /**
+     * Check whether an exercise entry is cardio
+     * Exercises the taxonomy knows are classified by muscle group; unknown names count as cardio
+     * when they were logged with a distance.
+     * @param {Object} exercise - Parsed exercise entry
+     * @returns {boolean} True for cardio
+     */
+    isCardio(exercise) {
+        const classification = this.taxonomy.classify(exercise);
+        if (classification.source !== 'unknown') return classification.primary.includes('cardio');
+        
+        return (exercise.sets || []).some(set => set.distance > 0);
+    }
+
+    /**
+     * Get cardio exercises (distance/time based)
+     * @returns {Array} Cardio exercise data
+     */
+    getCardioExercises() {
+        return this.data.exercises.filter(exercise => exercise.sets && this.isCardio(exercise)).map(exercise => ({
+            exerciseId: this._exerciseId(exercise),
+            name: exercise.exercisename,
+            sessions: exercise.sets.length,
+            totalDistance: exercise.sets.reduce((sum, set) => sum + (set.distance || 0), 0),
+            totalTime: exercise.sets.reduce((sum, set) => sum + (set.seconds || 0), 0),
+            lastPerformed: exercise.TIMESTAMP
+        }));
+    }
+
+    /**
+     * Get strength exercises (everything that isn't cardio)
+     * @returns {Array} Strength exercise data
+     */
+    getStrengthExercises() {
+        return this.data.exercises.filter(exercise => 
+            exercise.sets && exercise.sets.length > 0 && !this.isCardio(exercise)
+        );
+    }
+
+    /**
+     * Get every cardio effort with its distance, time, pace and speed
+     * @param {Object} options - Options
+     * @param {string} options.activity - Only include this activity (exercise ID or name)
+     * @returns {Array} Efforts in date order: [{ exerciseId, name, date, workoutId, distance, distanceMeters, durationSeconds, pace, speed }]
+     *   distance is in display units (km or mi), pace in seconds per display unit and speed in display units per hour
+     */
+    getCardioSessions(options = {}) {
+        const activityId = options.activity ? this.resolveExerciseId(options.activity) : null;
+        
+        return this.data.exercises
+            .filter(exercise => exercise.sets && exercise.exercisename && !isNaN(new Date(exercise.TIMESTAMP).getTime()))
+            .filter(exercise => (!activityId || this._exerciseId(exercise) === activityId) && this.isCardio(exercise))
+            .sort((a, b) => new Date(a.TIMESTAMP) - new Date(b.TIMESTAMP))
+            .map(exercise => {
+                const distanceMeters = exercise.sets.reduce((sum, set) => sum + (set.distance || 0), 0);
+                const durationSeconds = exercise.sets.reduce((sum, set) => sum + (set.seconds || 0), 0);
+                const distance = this.units.distance(distanceMeters);
+                const timed = distanceMeters > 0 && durationSeconds > 0;
                 
-            case 'workoutSessions':
-                this.data.workoutSessions.push(this.parseWorkoutSession(rowData));
-                break;
+                return {
+                    exerciseId: this._exerciseId(exercise),
+                    name: exercise.exercisename,
+                    date: exercise.TIMESTAMP,
+                    workoutId: exercise.workout_id,
+                    distance: UnitConverter.round(distance, 2),
+                    distanceMeters,
+                    durationSeconds,
+                    pace: timed ? Math.round(durationSeconds / distance) : null,
+                    speed: timed ? UnitConverter.round(distance / (durationSeconds / 3600), 2) : null
+                };
+            })
+            .filter(effort => effort.distanceMeters > 0 || effort.durationSeconds > 0);
+    }
+
+    /**
+     * Get best efforts per cardio activity: fastest times over set distances and the longest efforts
+     * Efforts longer than a target distance count at their average pace, so those times are marked estimated.
+     * @param {Object} options - Options
+     * @param {Array} options.distances - Target distances in meters (default: EnhancedWorkoutAnalyzer.CARDIO_DISTANCES for the activity)
+     * @returns {Object} Keyed by activity ID: { exerciseId, name, sessions, longestDistance, longestDuration, fastest: { '5k': { distanceMeters, timeSeconds, pace, date, estimated } } }
+     */
+    getCardioBestEfforts(options = {}) {
+        const activities = {};
+        
+        this.getCardioSessions().forEach(effort => {
+            if (!activities[effort.exerciseId]) {
+                activities[effort.exerciseId] = {
+                    exerciseId: effort.exerciseId,
+                    name: this._exerciseName(effort.exerciseId),
+                    sessions: 0,
+                    longestDistance: null,
+                    longestDuration: null,
+                    fastest: {},
+                    _efforts: []
+                };
+            }
+            
+            const activity = activities[effort.exerciseId];
+            activity.sessions++;
+            activity._efforts.push(effort);
+            
+            if (effort.distanceMeters > 0 && (!activity.longestDistance || effort.distanceMeters > activity.longestDistance.distanceMeters)) {
+                activity.longestDistance = effort;
+            }
+            if (effort.durationSeconds > 0 && (!activity.longestDuration || effort.durationSeconds > activity.longestDuration.durationSeconds)) {
+                activity.longestDuration = effort;
+            }
+        });
+        
+        Object.values(activities).forEach(activity => {
+            const distances = options.distances
+                || EnhancedWorkoutAnalyzer.CARDIO_DISTANCES[activity.exerciseId]
+                || EnhancedWorkoutAnalyzer.CARDIO_DISTANCES.default;
+            
+            distances.forEach(target => {
+                let best = null;
                 
-            case 'notes':
-                this.data.notes.push(rowData);
-                break;
+                activity._efforts.forEach(effort => {
+                    // Allow 1% short for GPS and logging rounding
+                    if (effort.durationSeconds <= 0 || effort.distanceMeters < target * 0.99) return;
+                    
+                    const timeSeconds = effort.durationSeconds * target / effort.distanceMeters;
+                    if (!best || timeSeconds < best.timeSeconds) {
+                        best = {
+                            distanceMeters: target,
+                            timeSeconds: Math.round(timeSeconds),
+                            pace: effort.pace,
+                            date: effort.date,
+                            estimated: effort.distanceMeters > target * 1.01
+                        };
+                    }
+                });
                 
-            default:
-                // If we can determine it's exercise log data
-                if (rowData.exercisename || rowData.logs) {
-                    this.data.exerciseLogs.push(this.parseExerciseLog(rowData));
-                }
-        }
+                if (best) activity.fastest[EnhancedWorkoutAnalyzer._distanceLabel(target)] = best;
+            });
+            
+            delete activity._efforts;
+        });
+        
+        return activities;
     }
 
     /**
-     * Parse exercise data with detailed information
-     * @param {Object} rowData - Raw exercise data
-     * @returns {Object} Parsed exercise data
+     * Get cardio distance and time totals as a time series (see getVolumeSeries for the bucket options)
+     * @param {Object} options - Series options: interval (default 'week'), blockWeeks, from, to
+     * @param {string} options.activity - Only include this activity (exercise ID or name)
+     * @returns {Array} Buckets: [{ start, end, label, distance, durationMinutes, sessions, pace, speed }]
      */
-    parseExerciseData(rowData) {
-        const exercise = { ...rowData };
+    getCardioSeries(options = {}) {
+        const efforts = this.getCardioSessions({ activity: options.activity });
+        const buckets = this._createBuckets(efforts.map(effort => new Date(effort.date)), options, {
+            distance: 0, durationMinutes: 0, sessions: 0, _timedDistance: 0, _timedSeconds: 0
+        });
         
-        // Parse logs if present (format: "weight×reps,weight×reps,...")
-        if (exercise.logs && typeof exercise.logs === 'string') {
-            exercise.sets = this.parseSetLogs(exercise.logs);
-            exercise.totalSets = exercise.sets.length;
-            exercise.totalVolume = exercise.sets.reduce((sum, set) => 
-                sum + (set.weight * set.reps), 0);
-        }
+        efforts.forEach(effort => {
+            const bucket = this._findBucket(buckets, new Date(effort.date));
+            if (!bucket) return;
+            
+            bucket.distance += this.units.distance(effort.distanceMeters);
+            bucket.durationMinutes += effort.durationSeconds / 60;
+            bucket.sessions++;
+            
+            // Pace and speed only use efforts with both a distance and a time
+            if (effort.pace !== null) {
+                bucket._timedDistance += this.units.distance(effort.distanceMeters);
+                bucket._timedSeconds += effort.durationSeconds;
+            }
+        });
         
-        return exercise;
+        return buckets.map(({ _startTime, _endTime, _timedDistance, _timedSeconds, ...bucket }) => ({
+            ...bucket,
+            distance: UnitConverter.round(bucket.distance, 2),
+            durationMinutes: Math.round(bucket.durationMinutes),
+            pace: _timedDistance > 0 ? Math.round(_timedSeconds / _timedDistance) : null,
+            speed: _timedSeconds > 0 ? UnitConverter.round(_timedDistance / (_timedSeconds / 3600), 2) : null
+        }));
+    }
+
+    /**
+     * Label a distance in meters, e.g. 500 -> "500m", 5000 -> "5k"
+     * @param {number} meters - Distance in meters
+     * @returns {string} Label
+     */
+    static _distanceLabel(meters) {
+        if (meters === 21097.5) return 'half marathon';
+        if (meters === 42195) return 'marathon';
+        return meters < 1000 ? `${meters}m` : `${meters / 1000}k`;
+    }
+}
+
+// Bucket sizes accepted by EnhancedWorkoutAnalyzer.getVolumeSeries()
+EnhancedWorkoutAnalyzer.SERIES_INTERVALS = ['day', 'week', 'month', 'block'];
+
+// History metrics accepted by EnhancedWorkoutAnalyzer.getExerciseTrend()
+EnhancedWorkoutAnalyzer.TREND_METRICS = ['e1rm', 'topSet'];
+
+// Records replayed by getRecordTimeline: heaviest set, most reps in a set, best set e1RM, session volume and distance
+EnhancedWorkoutAnalyzer.RECORD_TYPES = ['weight', 'reps', 'e1rm', 'volume', 'distance'];
+
+// Best-effort distances in meters per cardio activity ID
+EnhancedWorkoutAnalyzer.CARDIO_DISTANCES = {
+    default: [1000, 5000, 10000],
+    running: [1000, 5000, 10000, 21097.5, 42195],
+    'rowing-machine': [500, 2000, 5000],
+    cycling: [10000, 20000, 40000]
+};
+
+/**
+ * Chainable query over an analyzer's parsed data
+ * Every filter returns a new query, so a base query can be shared and narrowed in different ways.
+ * Entry filters (date, exercise, muscle group, workout) keep or drop whole exercise entries; set
+ * filters (set type, weight) drop sets and recompute the entry totals, dropping entries left empty.
+ */
+class WorkoutQuery {
+    /**
+     * @param {EnhancedWorkoutAnalyzer} analyzer - Analyzer whose data is queried
+     * @param {Object} state - Filters, sort and paging carried over from the query this one extends
+     */
+    constructor(analyzer, state = {}) {
+        this.source = analyzer;
+        this.state = {
+            from: state.from || null,
+            to: state.to || null,
+            entryFilters: state.entryFilters || [],
+            setFilters: state.setFilters || [],
+            sort: state.sort || null,
+            offset: state.offset || 0,
+            limit: state.limit === undefined ? null : state.limit
+        };
     }
 
     /**
-     * Parse set logs from string format
-     * @param {string} logsString - Logs in format "weight×reps,weight×reps"
-     * @returns {Array} Array of set objects
+     * Create a query with some of the state replaced
+     * @param {Object} changes - State to replace
+     * @returns {WorkoutQuery} New query
      */
-    parseSetLogs(logsString) {
-        if (!logsString || logsString === '0') return [];
-        
-        return logsString.split(',').map((setStr, index) => {
-            const [weight, reps] = setStr.trim().split('x').map(v => parseFloat(v) || 0);
-            return {
-                setNumber: index + 1,
-                weight,
-                reps,
-                volume: weight * reps
-            };
-        }).filter(set => set.weight > 0 || set.reps > 0);
+    _with(changes) {
+        return new WorkoutQuery(this.source, { ...this.state, ...changes });
     }
 
     /**
-     * Parse workout session data
-     * @param {Object} rowData - Raw workout session data
-     * @returns {Object} Parsed workout session
+     * Create a query with one more entry filter
+     * @param {Function} predicate - (entry) => boolean
+     * @returns {WorkoutQuery} New query
      */
-    parseWorkoutSession(rowData) {
-        const session = { ...rowData };
-        
-        // Calculate derived metrics
-        if (session.total_time && session.workout_time) {
-            session.efficiency = (session.workout_time / session.total_time * 100).toFixed(1) + '%';
-        }
-        
-        if (session.total_weight && session.total_exercise) {
-            session.avgWeightPerExercise = (session.total_weight / session.total_exercise).toFixed(1);
-        }
-        
-        return session;
+    _withEntryFilter(predicate) {
+        return this._with({ entryFilters: this.state.entryFilters.concat(predicate) });
     }
 
     /**
-     * Parse exercise log entry
-     * @param {Object} rowData - Raw exercise log data
-     * @returns {Object} Parsed exercise log
+     * Create a query with one more set filter
+     * @param {Function} predicate - (set, entry) => boolean
+     * @returns {WorkoutQuery} New query
      */
-    parseExerciseLog(rowData) {
-        const log = { ...rowData };
+    _withSetFilter(predicate) {
+        return this._with({ setFilters: this.state.setFilters.concat(predicate) });
+    }
+
+    /**
+     * Normalize a date argument to a local calendar day
+     * @param {Date|string} value - Date, or a YYYY-MM-DD string
+     * @returns {string} YYYY-MM-DD
+     */
+    _day(value) {
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
         
-        // Parse the logs field if it exists
-        if (log.logs && typeof log.logs === 'string') {
-            log.sets = this.parseSetLogs(log.logs);
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid date: ${value}`);
         }
-        
-        return log;
+        return LocalDate.dayKey(date);
     }
 
     /**
-     * Get summary statistics from parsed data
-     * @returns {Object} Summary statistics
+     * Only keep workouts between two days (inclusive)
+     * @param {Date|string|null} from - First day, or null for no lower bound
+     * @param {Date|string|null} to - Last day, or null for no upper bound
+     * @returns {WorkoutQuery} New query
      */
-    getSummary() {
-        const totalWorkouts = this.data.workoutSessions.length;
-        const totalExercises = this.data.exercises.length;
-        const totalNotes = this.data.notes.length;
-        
-        let totalVolume = 0;
-        let totalSets = 0;
-        
-        this.data.exercises.forEach(exercise => {
-            if (exercise.sets) {
-                totalSets += exercise.sets.length;
-                totalVolume += exercise.totalVolume || 0;
-            }
+    between(from, to) {
+        return this._with({
+            from: from ? this._day(from) : null,
+            to: to ? this._day(to) : null
         });
-        
-        const workoutTimes = this.data.workoutSessions
-            .map(session => session.total_time)
-            .filter(time => time > 0);
-        
-        const avgWorkoutTime = workoutTimes.length > 0 
-            ? Math.round(workoutTimes.reduce((a, b) => a + b, 0) / workoutTimes.length)
-            : 0;
-        
-        const dateRange = this._getDateRange();
-        const exerciseTypes = this._getUniqueExercises();
-        const workoutFrequency = this._getWorkoutFrequency();
-        
-        return {
-            totalWorkouts,
-            totalExercises,
-            totalSets,
-            totalVolume,
-            totalNotes,
-            avgWorkoutTime,
-            dateRange,
-            exerciseTypes,
-            workoutFrequency
-        };
     }
 
     /**
-     * Get date range of workouts
-     * @returns {Object} Date range information
+     * Only keep workouts on or after a day
+     * @param {Date|string} from - First day
+     * @returns {WorkoutQuery} New query
      */
-    _getDateRange() {
-        const dates = this.data.workoutSessions
-            .map(session => new Date(session.starttime * 1000))
-            .filter(date => !isNaN(date.getTime()))
-            .sort((a, b) => a - b);
-        
-        if (dates.length === 0) return null;
-        
-        return {
-            start: dates[0],
-            end: dates[dates.length - 1],
-            span: Math.ceil((dates[dates.length - 1] - dates[0]) / (1000 * 60 * 60 * 24))
-        };
+    since(from) {
+        return this._with({ from: this._day(from) });
     }
 
     /**
-     * Get unique exercise names
-     * @returns {Array} Array of unique exercise names
+     * Only keep workouts on or before a day
+     * @param {Date|string} to - Last day
+     * @returns {WorkoutQuery} New query
      */
-    _getUniqueExercises() {
-        const exercises = new Set();
-        
-        this.data.exercises.forEach(exercise => {
-            if (exercise.exercisename) {
-                exercises.add(exercise.exercisename);
-            }
-        });
-        
-        return Array.from(exercises).sort();
+    until(to) {
+        return this._with({ to: this._day(to) });
     }
 
     /**
-     * Calculate workout frequency
-     * @returns {Object} Workout frequency data
+     * Only keep workouts from the last N days, counting the asOf day as the last one
+     * @param {number} days - Number of days
+     * @param {Date|string} asOf - Last day (default: today)
+     * @returns {WorkoutQuery} New query
      */
-    _getWorkoutFrequency() {
-        const dateRange = this._getDateRange();
-        if (!dateRange || dateRange.span === 0) return null;
-        
-        const workoutsPerWeek = (this.data.workoutSessions.length / dateRange.span * 7).toFixed(1);
+    lastDays(days, asOf = new Date()) {
+        if (!Number.isInteger(days) || days < 1) {
+            throw new Error(`Invalid number of days: ${days}`);
+        }
         
-        return {
-            totalDays: dateRange.span,
-            workoutsPerWeek: parseFloat(workoutsPerWeek),
-            totalWorkouts: this.data.workoutSessions.length
-        };
+        const end = asOf instanceof Date ? new Date(asOf.getTime()) : new Date(`${this._day(asOf)}T00:00:00`);
+        const start = new Date(end.getFullYear(), end.getMonth(), end.getDate() - (days - 1));
+        return this.between(start, end);
     }
 
     /**
-     * Export data as JSON
-     * @returns {string} JSON string of parsed data
+     * Only keep some exercises
+     * @param {string|Array} exercises - Exercise ID, recorded name or alias, or a list of them
+     * @returns {WorkoutQuery} New query
      */
-    toJSON() {
-        return JSON.stringify(this.data, null, 2);
+    exercise(exercises) {
+        const ids = new Set([].concat(exercises).map(exercise => this.source.resolveExerciseId(exercise)));
+        return this._withEntryFilter(entry => ids.has(this.source._exerciseId(entry)));
     }
 
     /**
-     * Get exercises by muscle group
-     * @returns {Object} Exercises grouped by body part
+     * Only keep exercises that train a muscle group
+     * @param {string|Array} groups - Muscle group or list of groups (see MuscleTaxonomy.MUSCLE_GROUPS)
+     * @param {Object} options - Match options
+     * @param {boolean} options.includeSecondary - Also match secondary muscle groups (default: false)
+     * @returns {WorkoutQuery} New query
      */
-    getExercisesByBodyPart() {
-        const bodyParts = {};
-        
-        this.data.exercises.forEach(exercise => {
-            const bodyPart = exercise.bodypart || 'Unknown';
-            if (!bodyParts[bodyPart]) {
-                bodyParts[bodyPart] = [];
-            }
-            bodyParts[bodyPart].push(exercise);
+    muscleGroup(groups, options = {}) {
+        const wanted = [].concat(groups).map(group => String(group).toLowerCase());
+        return this._withEntryFilter(entry => {
+            const muscles = this.source.taxonomy.classify(entry);
+            const trained = options.includeSecondary ? muscles.primary.concat(muscles.secondary) : muscles.primary;
+            return trained.some(group => wanted.includes(group));
         });
-        
-        return bodyParts;
     }
-}
 
-// Usage example and utility functions
-class WorkoutAnalyzer {
-    constructor(parsedData) {
-        this.data = parsedData;
+    /**
+     * Only keep exercises from workouts with a given name (ignoring case)
+     * Multi-section exercises use the name of their routine day.
+     * @param {string|Array} names - Workout name or list of names
+     * @returns {WorkoutQuery} New query
+     */
+    workout(names) {
+        const wanted = [].concat(names).map(name => String(name).trim().toLowerCase());
+        return this._withEntryFilter(entry => {
+            const name = this._workoutName(entry);
+            return name !== null && wanted.includes(name.trim().toLowerCase());
+        });
     }
 
     /**
-     * Get progress for a specific exercise
-     * @param {string} exerciseName - Name of the exercise
-     * @returns {Array} Progress data over time
+     * Only keep sets of some types; sets without a type count as 'normal'
+     * @param {string|Array} types - Set type or list of types (see WorkoutSchema.SET_TYPES)
+     * @returns {WorkoutQuery} New query
      */
-    getExerciseProgress(exerciseName) {
-        return this.data.exercises
-            .filter(ex => ex.exercisename === exerciseName)
-            .sort((a, b) => new Date(a.TIMESTAMP) - new Date(b.TIMESTAMP))
-            .map(ex => ({
-                date: ex.TIMESTAMP,
-                sets: ex.sets || [],
-                maxWeight: ex.sets ? Math.max(...ex.sets.map(s => s.weight)) : 0,
-                totalVolume: ex.totalVolume || 0
-            }));
+    setType(types) {
+        const wanted = [].concat(types);
+        return this._withSetFilter(set => wanted.includes(set.setType || 'normal'));
     }
 
     /**
-     * Get personal records
-     * @returns {Object} Personal records for each exercise
+     * Only keep sets at or above a weight
+     * @param {number} weight - Weight in the analyzer's display units
+     * @returns {WorkoutQuery} New query
      */
-    getPersonalRecords() {
-        const records = {};
-        
-        this.data.exercises.forEach(exercise => {
-            const name = exercise.exercisename;
-            if (!name || !exercise.sets) return;
-            
-            exercise.sets.forEach(set => {
-                if (!records[name] || set.weight > records[name].weight) {
-                    records[name] = {
-                        weight: set.weight,
-                        reps: set.reps,
-                        date: exercise.TIMESTAMP,
-                        volume: set.volume
-                    };
-                }
-            });
-        });
-        
-        return records;
+    minWeight(weight) {
+        // Compare in kilograms, with a little slack for unit round-trips
+        const kg = UnitConverter.toKilograms(weight, this.source.units.weightUnit) - 1e-9;
+        return this._withSetFilter(set => (set.weight || 0) >= kg);
     }
 
     /**
-     * Get workout consistency (days between workouts)
-     * @returns {Object} Consistency metrics
+     * Only keep exercise entries that pass a custom test
+     * @param {Function} predicate - (entry) => boolean, called with the parsed exercise entry
+     * @returns {WorkoutQuery} New query
      */
-    getWorkoutConsistency() {
-        const workoutDates = this.data.workoutSessions
-            .map(session => new Date(session.starttime * 1000))
-            .filter(date => !isNaN(date.getTime()))
-            .sort((a, b) => a - b);
-        
-        if (workoutDates.length < 2) return null;
-        
-        const gaps = [];
-        for (let i = 1; i < workoutDates.length; i++) {
-            const gap = Math.ceil((workoutDates[i] - workoutDates[i-1]) / (1000 * 60 * 60 * 24));
-            gaps.push(gap);
+    where(predicate) {
+        if (typeof predicate !== 'function') {
+            throw new Error('where() expects a function');
         }
-        
-        return {
-            averageGap: Math.round(gaps.reduce((a, b) => a + b, 0) / gaps.length),
-            minGap: Math.min(...gaps),
-            maxGap: Math.max(...gaps),
-            totalGaps: gaps.length
-        };
-    }
-}
-
-/**
- * Enhanced Workout Parser supporting multiple CSV formats
- * - Format 1: Multi-section format with settings, routines, sessions, notes
- * - Format 2: Strong app format with workout entries in a single table
- */
-
-class MultiFormatWorkoutParser extends WorkoutParser {
-    constructor() {
-        super();
-        this.detectedFormat = null;
+        return this._withEntryFilter(predicate);
     }
 
     /**
-     * Parse CSV content and auto-detect format
-     * @param {string} csvContent - The raw CSV content
-     * @returns {Object} Parsed workout data
+     * Sort the results of exercises()
+     * @param {string} field - 'date', 'name', 'volume', 'sets' or 'maxWeight'
+     * @param {string} direction - 'asc' (default) or 'desc'
+     * @returns {WorkoutQuery} New query
      */
-    parse(csvContent) {
-        this.detectedFormat = this.detectFormat(csvContent);
-        
-        if (this.detectedFormat === 'strong') {
-            return this.parseStrongFormat(csvContent);
-        } else {
-            // Use original multi-section parser
-            return super.parse(csvContent);
+    sortBy(field, direction = 'asc') {
+        if (!WorkoutQuery.SORT_FIELDS.includes(field)) {
+            throw new Error(`Unknown sort field: ${field}. Expected one of: ${WorkoutQuery.SORT_FIELDS.join(', ')}`);
+        }
+        if (direction !== 'asc' && direction !== 'desc') {
+            throw new Error(`Unknown sort direction: ${direction}`);
         }
+        return this._with({ sort: { field, direction } });
     }
 
     /**
-     * Detect the CSV format based on headers and structure
-     * @param {string} csvContent - The raw CSV content
-     * @returns {string} Format type: 'strong' or 'multi-section'
+     * Skip the first results of exercises()
+     * @param {number} count - Number of entries to skip
+     * @returns {WorkoutQuery} New query
      */
-    detectFormat(csvContent) {
-        const lines = csvContent.split('\n').slice(0, 5); // Check first 5 lines
-        
-        // Check for Strong format indicators
-        const strongIndicators = [
-            'Workout #', 'Exercise Name', 'Set Order', 
-            'Weight (kg)', 'Reps', 'Duration (sec)'
-        ];
-        
-        const hasStrongHeaders = lines.some(line => 
-            strongIndicators.some(indicator => line.includes(indicator))
-        );
-        
-        // Check for multi-section format indicators
-        const hasSectionHeaders = lines.some(line => 
-            line.includes('### ') || line.includes('######')
-        );
-        
-        return hasStrongHeaders ? 'strong' : 'multi-section';
+    offset(count) {
+        if (!Number.isInteger(count) || count < 0) {
+            throw new Error(`Invalid offset: ${count}`);
+        }
+        return this._with({ offset: count });
     }
 
     /**
-     * Parse Strong app CSV format
-     * @param {string} csvContent - The raw CSV content
-     * @returns {Object} Parsed workout data in standardized format
+     * Cap the number of results of exercises()
+     * @param {number|null} count - Maximum number of entries, or null for no limit
+     * @returns {WorkoutQuery} New query
      */
-    parseStrongFormat(csvContent) {
-        const lines = csvContent.split('\n');
-        let headers = [];
-        const rawEntries = [];
-        
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-            
-            const fields = this.parseCSVLine(line, ';'); // Strong uses semicolon separator
-            
-            if (i === 0) {
-                // First line is headers
-                headers = fields.map(field => field.replace(/"/g, ''));
-                continue;
-            }
-            
-            if (fields.length >= headers.length) {
-                const entry = this.createRowObject(headers, fields);
-                rawEntries.push(entry);
-            }
+    limit(count) {
+        if (count !== null && (!Number.isInteger(count) || count < 0)) {
+            throw new Error(`Invalid limit: ${count}`);
         }
-        
-        return this.transformStrongData(rawEntries);
+        return this._with({ limit: count });
     }
 
     /**
-     * Parse CSV line with custom separator
-     * @param {string} line - CSV line to parse
-     * @param {string} separator - Field separator (default: comma)
-     * @returns {Array} Array of field values
+     * Return one page of exercises()
+     * @param {number} number - Page number, starting at 1
+     * @param {number} size - Entries per page
+     * @returns {WorkoutQuery} New query
      */
-    parseCSVLine(line, separator = ',') {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
-        let i = 0;
-        
-        while (i < line.length) {
-            const char = line[i];
-            
-            if (char === '"') {
-                if (inQuotes && line[i + 1] === '"') {
-                    // Escaped quote
-                    current += '"';
-                    i += 2;
-                } else {
-                    // Toggle quote state
-                    inQuotes = !inQuotes;
-                    i++;
-                }
-            } else if (char === separator && !inQuotes) {
-                // Field separator
-                result.push(current.replace(/^"|"$/g, '').trim());
-                current = '';
-                i++;
-            } else {
-                current += char;
-                i++;
-            }
+    page(number, size) {
+        if (!Number.isInteger(number) || number < 1) {
+            throw new Error(`Invalid page: ${number}`);
         }
+        return this.offset((number - 1) * size).limit(size);
+    }
+
+    /**
+     * Get the name of the workout an entry belongs to
+     * @param {Object} entry - Parsed exercise entry
+     * @returns {string|null} Workout name, or the routine day name for multi-section data
+     */
+    _workoutName(entry) {
+        if (entry.workout_name) return entry.workout_name;
         
-        // Add the last field
-        result.push(current.replace(/^"|"$/g, '').trim());
-        
-        return result;
+        const day = (this.source.data.workoutDays || []).find(workoutDay => workoutDay._id === entry.belongplan);
+        return day && day.name ? String(day.name) : null;
     }
 
     /**
-     * Transform Strong format data into standardized structure
-     * @param {Array} rawEntries - Raw CSV entries
-     * @returns {Object} Standardized workout data
+     * Apply the filters to the exercise entries
+     * @returns {Array} Matching entries; entries narrowed by a set filter are copies with their totals recomputed
      */
-    transformStrongData(rawEntries) {
-        const workouts = new Map();
-        const exercises = [];
-        const workoutSessions = [];
+    _filteredEntries() {
+        const { from, to, entryFilters, setFilters } = this.state;
         
-        // Group entries by workout
-        rawEntries.forEach(entry => {
-            const workoutId = entry['Workout #'];
-            const date = entry['Date'];
-            const workoutName = entry['Workout Name'];
-            const duration = parseInt(entry['Duration (sec)']) || 0;
+        return this.source.data.exercises.reduce((entries, entry) => {
+            if (!entry.exercisename) return entries;
             
-            if (!workouts.has(workoutId)) {
-                workouts.set(workoutId, {
-                    id: workoutId,
-                    date: new Date(date),
-                    name: workoutName,
-                    duration: duration,
-                    exercises: new Map(),
-                    totalSets: 0,
-                    totalVolume: 0
-                });
+            if (from || to) {
+                const date = new Date(entry.TIMESTAMP);
+                if (isNaN(date.getTime())) return entries;
+                
+                const day = LocalDate.dayKey(date);
+                if ((from && day < from) || (to && day > to)) return entries;
             }
+            if (!entryFilters.every(predicate => predicate(entry))) return entries;
             
-            const workout = workouts.get(workoutId);
-            const exerciseName = entry['Exercise Name'];
-            
-            if (!workout.exercises.has(exerciseName)) {
-                workout.exercises.set(exerciseName, {
-                    name: exerciseName,
-                    sets: []
-                });
+            if (setFilters.length === 0 || !entry.sets) {
+                entries.push(entry);
+                return entries;
             }
             
-            const exercise = workout.exercises.get(exerciseName);
-            
-            // Parse set data
-            const weight = parseFloat(entry['Weight (kg)']) || 0;
-            const reps = parseInt(entry['Reps']) || 0;
-            const distance = parseFloat(entry['Distance (meters)']) || 0;
-            const seconds = parseFloat(entry['Seconds']) || 0;
-            const rpe = entry['RPE'] || '';
-            const notes = entry['Notes'] || '';
-            
-            const setData = {
-                setNumber: parseInt(entry['Set Order']),
-                weight,
-                reps,
-                distance,
-                seconds,
-                rpe,
-                notes,
-                volume: weight * reps
-            };
-            
-            exercise.sets.push(setData);
-            workout.totalSets++;
-            workout.totalVolume += setData.volume;
-        });
-        
-        // Convert to standardized format
-        workouts.forEach(workout => {
-            // Create workout session
-            const session = {
-                _id: workout.id,
-                starttime: Math.floor(workout.date.getTime() / 1000),
-                total_time: workout.duration,
-                workout_time: workout.duration,
-                total_exercise: workout.exercises.size,
-                total_weight: workout.totalVolume,
-                TIMESTAMP: workout.date.toISOString(),
-                workout_name: workout.name
-            };
-            workoutSessions.push(session);
+            const sets = entry.sets.filter(set => setFilters.every(predicate => predicate(set, entry)));
+            if (sets.length === 0) return entries;
             
-            // Create exercise entries
-            workout.exercises.forEach(exercise => {
-                const exerciseEntry = {
-                    exercisename: exercise.name,
-                    sets: exercise.sets.sort((a, b) => a.setNumber - b.setNumber),
-                    totalSets: exercise.sets.length,
-                    totalVolume: exercise.sets.reduce((sum, set) => sum + set.volume, 0),
-                    maxWeight: Math.max(...exercise.sets.map(s => s.weight)),
-                    TIMESTAMP: workout.date.toISOString(),
-                    workout_id: workout.id,
-                    workout_name: workout.name
-                };
-                exercises.push(exerciseEntry);
+            entries.push({
+                ...entry,
+                sets,
+                totalSets: sets.length,
+                totalVolume: sets.reduce((sum, set) => sum + (set.volume || 0), 0),
+                maxWeight: Math.max(...sets.map(set => set.weight || 0))
             });
-        });
-        
-        return {
-            settings: { format: 'strong', parsedAt: new Date().toISOString() },
-            routines: [],
-            workoutDays: [],
-            exercises: exercises,
-            workoutSessions: workoutSessions.sort((a, b) => a.starttime - b.starttime),
-            exerciseLogs: exercises, // Same as exercises for Strong format
-            notes: [],
-            format: 'strong',
-            totalWorkouts: workoutSessions.length,
-            dateRange: this.getStrongDateRange(workoutSessions)
-        };
-    }
-
-    /**
-     * Get date range for Strong format data
-     * @param {Array} sessions - Workout sessions
-     * @returns {Object} Date range information
-     */
-    getStrongDateRange(sessions) {
-        if (sessions.length === 0) return null;
-        
-        const dates = sessions.map(s => new Date(s.starttime * 1000)).sort((a, b) => a - b);
-        return {
-            start: dates[0],
-            end: dates[dates.length - 1],
-            span: Math.ceil((dates[dates.length - 1] - dates[0]) / (1000 * 60 * 60 * 24))
-        };
+            return entries;
+        }, []);
     }
 
     /**
-     * Enhanced summary that works with both formats
-     * @returns {Object} Summary statistics
+     * Get the value an entry is sorted by
+     * @param {Object} entry - Parsed exercise entry
+     * @param {string} field - Sort field
+     * @returns {number|string} Sort value
      */
-    getSummary() {
-        if (this.detectedFormat === 'strong') {
-            return this.getStrongSummary();
-        } else {
-            return super.getSummary();
+    _sortValue(entry, field) {
+        switch (field) {
+            case 'date': return new Date(entry.TIMESTAMP).getTime() || 0;
+            case 'name': return this.source._exerciseName(this.source._exerciseId(entry));
+            case 'volume': return entry.totalVolume || 0;
+            case 'sets': return entry.totalSets || (entry.sets ? entry.sets.length : 0);
+            case 'maxWeight': return entry.sets && entry.sets.length > 0 ? Math.max(...entry.sets.map(set => set.weight || 0)) : 0;
         }
     }
 
     /**
-     * Get summary statistics for Strong format
-     * @returns {Object} Summary statistics
+     * Get the matching exercise entries, sorted and paged
+     * Entries keep the parsed data's shape, so weights and volumes stay in kilograms.
+     * @returns {Array} Parsed exercise entries
      */
-    getStrongSummary() {
-        const totalWorkouts = this.data.workoutSessions.length;
-        const totalExercises = this.data.exercises.length;
-        
-        let totalVolume = 0;
-        let totalSets = 0;
-        const exerciseNames = new Set();
-        
-        this.data.exercises.forEach(exercise => {
-            totalSets += exercise.totalSets || 0;
-            totalVolume += exercise.totalVolume || 0;
-            exerciseNames.add(exercise.exercisename);
-        });
+    exercises() {
+        let entries = this._filteredEntries();
         
-        const workoutTimes = this.data.workoutSessions
-            .map(session => session.total_time)
-            .filter(time => time > 0);
-        
-        const avgWorkoutTime = workoutTimes.length > 0 
-            ? Math.round(workoutTimes.reduce((a, b) => a + b, 0) / workoutTimes.length / 60) // Convert to minutes
-            : 0;
+        if (this.state.sort) {
+            const { field, direction } = this.state.sort;
+            const sign = direction === 'desc' ? -1 : 1;
+            entries = entries
+                .map((entry, index) => ({ entry, index, value: this._sortValue(entry, field) }))
+                .sort((a, b) => {
+                    const order = typeof a.value === 'string' ? a.value.localeCompare(b.value) : a.value - b.value;
+                    return order * sign || a.index - b.index;
+                })
+                .map(item => item.entry);
+        }
         
-        return {
-            totalWorkouts,
-            totalExercises,
-            totalSets,
-            totalVolume,
-            avgWorkoutTime,
-            exerciseTypes: Array.from(exerciseNames).sort(),
-            dateRange: this.data.dateRange,
-            workoutFrequency: this.getStrongWorkoutFrequency(),
-            format: 'strong'
-        };
+        const start = this.state.offset;
+        return entries.slice(start, this.state.limit === null ? undefined : start + this.state.limit);
     }
 
     /**
-     * Calculate workout frequency for Strong format
-     * @returns {Object} Workout frequency data
+     * Count the matching exercise entries, ignoring paging
+     * @returns {number} Number of entries
      */
-    getStrongWorkoutFrequency() {
-        const dateRange = this.data.dateRange;
-        if (!dateRange || dateRange.span === 0) return null;
-        
-        const workoutsPerWeek = (this.data.workoutSessions.length / dateRange.span * 7).toFixed(1);
-        
-        return {
-            totalDays: dateRange.span,
-            workoutsPerWeek: parseFloat(workoutsPerWeek),
-            totalWorkouts: this.data.workoutSessions.length
-        };
-    }
-}
-
-// Enhanced Analyzer that works with both formats
-class EnhancedWorkoutAnalyzer extends WorkoutAnalyzer {
-    constructor(parsedData) {
-        super(parsedData);
-        this.format = parsedData.format || 'multi-section';
+    count() {
+        return this._filteredEntries().length;
     }
 
     /**
-     * Get exercise progress with format-aware processing
-     * @param {string} exerciseName - Name of the exercise
-     * @returns {Array} Progress data over time
+     * Get the workout sessions in the filtered view
+     * Sessions are filtered by date; once an exercise or set filter is active, only sessions that still
+     * have a matching exercise are kept (linked by ID for Strong and Hevy, by day for multi-section data).
+     * @returns {Array} Parsed workout sessions
      */
-    getExerciseProgress(exerciseName) {
-        if (this.format === 'strong') {
-            return this.data.exercises
-                .filter(ex => ex.exercisename === exerciseName)
-                .sort((a, b) => new Date(a.TIMESTAMP) - new Date(b.TIMESTAMP))
-                .map(ex => ({
-                    date: ex.TIMESTAMP,
-                    workoutId: ex.workout_id,
-                    workoutName: ex.workout_name,
-                    sets: ex.sets || [],
-                    maxWeight: ex.maxWeight || 0,
-                    totalVolume: ex.totalVolume || 0,
-                    totalSets: ex.totalSets || 0
-                }));
-        } else {
-            return super.getExerciseProgress(exerciseName);
+    sessions() {
+        const { from, to, entryFilters, setFilters } = this.state;
+        const narrowed = entryFilters.length > 0 || setFilters.length > 0;
+        const linked = new Set();
+        
+        if (narrowed) {
+            this._filteredEntries().forEach(entry => {
+                if (entry.workout_id !== undefined) {
+                    linked.add(`id:${entry.workout_id}`);
+                    return;
+                }
+                const date = new Date(entry.TIMESTAMP);
+                if (!isNaN(date.getTime())) linked.add(`day:${LocalDate.dayKey(date)}`);
+            });
         }
+        
+        return this.source.data.workoutSessions.filter(session => {
+            const date = new Date(session.starttime * 1000);
+            const day = isNaN(date.getTime()) ? null : LocalDate.dayKey(date);
+            
+            if ((from || to) && !day) return false;
+            if ((from && day < from) || (to && day > to)) return false;
+            return !narrowed || linked.has(`id:${session._id}`) || linked.has(`day:${day}`);
+        });
     }
 
     /**
-     * Get personal records with format-aware processing
-     * @returns {Object} Personal records for each exercise
+     * Group the matching exercise entries
+     * Groups cover every matching entry; sorting and paging only apply to exercises().
+     * An entry that trains several primary muscle groups counts toward each of them; unclassified ones group as 'unknown'.
+     * @param {string} key - 'exercise', 'workout', 'muscleGroup', 'day', 'week' or 'month'
+     * @returns {Array} [{ key, label, entries, sets, volume, maxWeight }] in key order; weights in display units
      */
-    getPersonalRecords() {
-        const records = {};
+    groupBy(key) {
+        if (!WorkoutQuery.GROUP_KEYS.includes(key)) {
+            throw new Error(`Unknown group key: ${key}. Expected one of: ${WorkoutQuery.GROUP_KEYS.join(', ')}`);
+        }
         
-        this.data.exercises.forEach(exercise => {
-            const name = exercise.exercisename;
-            if (!name || !exercise.sets) return;
+        const groups = new Map();
+        const add = (groupKey, label, entry) => {
+            if (!groups.has(groupKey)) {
+                groups.set(groupKey, { key: groupKey, label, entries: 0, sets: 0, volume: 0, maxWeight: 0 });
+            }
+            const group = groups.get(groupKey);
+            const sets = entry.sets || [];
             
-            exercise.sets.forEach(set => {
-                const weight = set.weight || 0;
-                if (weight === 0) return; // Skip bodyweight exercises
+            group.entries++;
+            group.sets += entry.totalSets || sets.length;
+            group.volume += entry.totalVolume || 0;
+            group.maxWeight = Math.max(group.maxWeight, ...sets.map(set => set.weight || 0));
+        };
+        
+        this._filteredEntries().forEach(entry => {
+            if (key === 'exercise') {
+                const id = this.source._exerciseId(entry);
+                add(id, this.source._exerciseName(id), entry);
+            } else if (key === 'workout') {
+                const name = this._workoutName(entry);
+                add(name || '', name || 'Unknown', entry);
+            } else if (key === 'muscleGroup') {
+                const primary = this.source.taxonomy.classify(entry).primary;
+                (primary.length > 0 ? primary : ['unknown']).forEach(group => add(group, group, entry));
+            } else {
+                const date = new Date(entry.TIMESTAMP);
+                if (isNaN(date.getTime())) return;
                 
-                if (!records[name] || weight > records[name].weight) {
-                    records[name] = {
-                        weight: weight,
-                        reps: set.reps || 0,
-                        date: exercise.TIMESTAMP,
-                        volume: set.volume || 0,
-                        workoutName: exercise.workout_name || 'Unknown'
-                    };
-                }
-            });
+                const day = LocalDate.dayKey(date);
+                const groupKey = key === 'day' ? day : key === 'week' ? LocalDate.weekStart(date) : day.slice(0, 7);
+                add(groupKey, groupKey, entry);
+            }
         });
         
-        return records;
+        return Array.from(groups.values())
+            .sort((a, b) => a.key.localeCompare(b.key))
+            .map(group => ({
+                ...group,
+                volume: this.source._weight(group.volume),
+                maxWeight: this.source._weight(group.maxWeight)
+            }));
     }
 
     /**
-     * Get workout consistency with format-aware processing
-     * @returns {Object} Consistency metrics
+     * Build a copy of the parsed data that only holds the filtered view
+     * Notes are kept when they fall inside the date range; routines, plan days and settings are kept as-is.
+     * @returns {Object} Parsed data in the shape returned by MultiFormatWorkoutParser.parse()
      */
-    getWorkoutConsistency() {
-        const workoutDates = this.data.workoutSessions
-            .map(session => {
-                if (this.format === 'strong') {
-                    return new Date(session.starttime * 1000);
-                } else {
-                    return new Date(session.starttime * 1000);
-                }
-            })
-            .filter(date => !isNaN(date.getTime()))
-            .sort((a, b) => a - b);
+    toData() {
+        const data = this.source.data;
+        const exercises = this._filteredEntries();
+        const { from, to } = this.state;
         
-        if (workoutDates.length < 2) return null;
+        const notes = (data.notes || []).filter(row => {
+            if (!from && !to) return true;
+            
+            const date = row.logTime ? new Date(row.logTime * 1000) : new Date(row.mydate || row.TIMESTAMP);
+            if (isNaN(date.getTime())) return false;
+            
+            const day = LocalDate.dayKey(date);
+            return !(from && day < from) && !(to && day > to);
+        });
         
-        const gaps = [];
-        for (let i = 1; i < workoutDates.length; i++) {
-            const gap = Math.ceil((workoutDates[i] - workoutDates[i-1]) / (1000 * 60 * 60 * 24));
-            gaps.push(gap);
+        const sessions = this.sessions();
+        const filtered = {
+            ...data,
+            exercises,
+            exerciseLogs: data.exerciseLogs === data.exercises ? exercises : data.exerciseLogs,
+            workoutSessions: sessions,
+            notes
+        };
+        
+        // Single-table data stores its date range, which has to cover only the filtered sessions
+        if (data.dateRange !== undefined) {
+            filtered.dateRange = new MultiFormatWorkoutParser().getStrongDateRange(sessions);
         }
         
-        return {
-            averageGap: Math.round(gaps.reduce((a, b) => a + b, 0) / gaps.length),
-            minGap: Math.min(...gaps),
-            maxGap: Math.max(...gaps),
-            totalGaps: gaps.length,
-            format: this.format
-        };
+        return filtered;
     }
 
     /**
-     * Get cardio exercises (distance/time based)
-     * @returns {Array} Cardio exercise data
+     * Get an analyzer over the filtered view, so every analyzer method can run against it
+     * e.g. analyzer.query().lastDays(90).analyzer().getPersonalRecords()
+     * @returns {EnhancedWorkoutAnalyzer} Analyzer with the same units and catalog
      */
-    getCardioExercises() {
-        if (this.format !== 'strong') return [];
-        
-        return this.data.exercises.filter(exercise => 
-            exercise.sets.some(set => set.distance > 0 || (set.seconds > 0 && set.weight === 0))
-        ).map(exercise => ({
-            name: exercise.exercisename,
-            sessions: exercise.sets.length,
-            totalDistance: exercise.sets.reduce((sum, set) => sum + (set.distance || 0), 0),
-            totalTime: exercise.sets.reduce((sum, set) => sum + (set.seconds || 0), 0),
-            lastPerformed: exercise.TIMESTAMP
-        }));
+    analyzer() {
+        return new EnhancedWorkoutAnalyzer(this.toData(), {
+            unitSystem: this.source.units.system,
+            catalog: this.source.catalog
+        });
     }
 
     /**
-     * Get strength exercises (weight based)
-     * @returns {Array} Strength exercise data
+     * Get summary statistics for the filtered view
+     * @returns {Object} Summary (see MultiFormatWorkoutParser.getSummary)
      */
-    getStrengthExercises() {
-        return this.data.exercises.filter(exercise => 
-            exercise.sets.some(set => (set.weight || 0) > 0)
-        );
+    summary() {
+        return this.analyzer().getSummary();
     }
 }
 
+// Fields exercises() can be sorted by
+WorkoutQuery.SORT_FIELDS = ['date', 'name', 'volume', 'sets', 'maxWeight'];
+
+// Keys groupBy() can group on
+WorkoutQuery.GROUP_KEYS = ['exercise', 'workout', 'muscleGroup', 'day', 'week', 'month'];
+
 // Export for use in Node.js or browser
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { 
         WorkoutParser, 
         WorkoutAnalyzer, 
         MultiFormatWorkoutParser,
-        EnhancedWorkoutAnalyzer
+        EnhancedWorkoutAnalyzer,
+        OneRepMaxCalculator,
+        WorkoutParseStream,
+        FormatRegistry,
+        CSVTokenizer,
+        UnitConverter,
+        LocalDate,
+        SessionLinker,
+        ParseDiagnostics,
+        WorkoutSchema,
+        ExerciseCatalog,
+        MuscleTaxonomy,
+        RPEScale,
+        TrainingLoadCalculator,
+        ProgressionPlanner,
+        ConsistencyTracker,
+        WorkoutMerger,
+        WorkoutDiff,
+        WorkoutSerializer,
+        ICalendarExporter,
+        WorkoutQuery
     };
 } else if (typeof window !== 'undefined') {
     window.WorkoutParser = WorkoutParser;
     window.WorkoutAnalyzer = WorkoutAnalyzer;
     window.MultiFormatWorkoutParser = MultiFormatWorkoutParser;
     window.EnhancedWorkoutAnalyzer = EnhancedWorkoutAnalyzer;
+    window.OneRepMaxCalculator = OneRepMaxCalculator;
+    window.WorkoutParseStream = WorkoutParseStream;
+    window.FormatRegistry = FormatRegistry;
+    window.CSVTokenizer = CSVTokenizer;
+    window.UnitConverter = UnitConverter;
+    window.LocalDate = LocalDate;
+    window.SessionLinker = SessionLinker;
+    window.ParseDiagnostics = ParseDiagnostics;
+    window.WorkoutSchema = WorkoutSchema;
+    window.ExerciseCatalog = ExerciseCatalog;
+    window.MuscleTaxonomy = MuscleTaxonomy;
+    window.RPEScale = RPEScale;
+    window.TrainingLoadCalculator = TrainingLoadCalculator;
+    window.ProgressionPlanner = ProgressionPlanner;
+    window.ConsistencyTracker = ConsistencyTracker;
+    window.WorkoutMerger = WorkoutMerger;
+    window.WorkoutDiff = WorkoutDiff;
+    window.WorkoutSerializer = WorkoutSerializer;
+    window.ICalendarExporter = ICalendarExporter;
+    window.WorkoutQuery = WorkoutQuery;
 }